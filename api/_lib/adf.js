@@ -0,0 +1,565 @@
+// api/_lib/adf.js
+//
+// Markdown <-> Atlassian Document Format (ADF).
+//
+// markdownToAdf(md)  -> ADF doc for Jira descriptions, rich-text custom fields and comments.
+// adfToMarkdown(doc) -> Markdown text for anything we read back from Jira.
+//
+// Supported Markdown: ATX headings, paragraphs (line breaks kept as hardBreak),
+// bullet/ordered lists (nested by indentation), fenced code blocks, blockquotes,
+// horizontal rules, GFM pipe tables, and inline code, links, **bold**, *italic* /
+// _italic_, ~~strike~~ and backslash escapes. `_` is emphasis only at word
+// boundaries, so snake_case and __init__ stay literal; link destinations may
+// contain balanced parentheses.
+//
+// adfToMarkdown output parses back to the same ADF: marks shared by sibling text
+// nodes are opened once around the run.
+
+const FENCE_RE = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+const HEADING_RE = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE_RE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_RE = /^\s{0,3}>\s?(.*)$/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_SEP_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// ------------------- Markdown -> ADF: inline -------------------
+
+const INLINE_RULES = [
+  { re: /\\([\\`*_{}[\]()#+\-.!|~>])/y, build: (m, marks) => [textNode(m[1], marks)] },
+  { re: /`([^`]+)`/y, build: (m) => [textNode(m[1], [{ type: "code" }])] },
+  {
+    re: /\[([^\]]+)\]\(\s*(?:<([^>\s]+)>|((?:[^()\s]|\([^()\s]*\))+))(?:\s+"[^"]*")?\s*\)/y,
+    build: (m, marks) => parseInline(m[1], [...marks, { type: "link", attrs: { href: m[2] || m[3] } }]),
+  },
+  {
+    re: /<(https?:\/\/[^>\s]+)>/y,
+    build: (m, marks) => [textNode(m[1], [...marks, { type: "link", attrs: { href: m[1] } }])],
+  },
+  { re: /\*\*(?=\S)([\s\S]+?)\*\*/y, build: (m, marks) => parseInline(m[1], addMark(marks, "strong")) },
+  { re: /~~(?=\S)([\s\S]+?)~~/y, build: (m, marks) => parseInline(m[1], addMark(marks, "strike")) },
+  { re: /\*(?=\S)([\s\S]+?)\*/y, build: (m, marks) => parseInline(m[1], addMark(marks, "em")) },
+  { re: /_(?![_\s])([\s\S]*?[^\s_])_(?!\w)/y, build: (m, marks) => parseInline(m[1], addMark(marks, "em")) },
+];
+
+function addMark(marks, type) {
+  return marks.some((m) => m.type === type) ? marks : [...marks, { type }];
+}
+
+function textNode(text, marks) {
+  const node = { type: "text", text };
+  if (marks && marks.length > 0) node.marks = marks;
+  return node;
+}
+
+function sameMarks(a, b) {
+  return JSON.stringify(a.marks || []) === JSON.stringify(b.marks || []);
+}
+
+function parseInline(text, marks = []) {
+  const out = [];
+  let buf = "";
+
+  const flush = () => {
+    if (buf) out.push(textNode(buf, marks));
+    buf = "";
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    let matched = false;
+
+    // `_` only opens emphasis at a word boundary (snake_case stays literal).
+    const prevIsWord = i > 0 && /\w/.test(text[i - 1]);
+
+    for (const rule of INLINE_RULES) {
+      if (prevIsWord && text[i] === "_") break;
+      rule.re.lastIndex = i;
+      const m = rule.re.exec(text);
+      if (!m) continue;
+
+      // Read lastIndex before build(): nested parseInline calls reuse the same regexes.
+      const next = rule.re.lastIndex;
+      flush();
+      out.push(...rule.build(m, marks));
+      i = next;
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      buf += text[i];
+      i += 1;
+    }
+  }
+  flush();
+
+  // Merge adjacent text runs that ended up with identical marks.
+  const merged = [];
+  for (const node of out) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === "text" && node.type === "text" && sameMarks(last, node)) {
+      last.text += node.text;
+    } else {
+      merged.push(node);
+    }
+  }
+  return merged;
+}
+
+function inlineWithBreaks(lines) {
+  const content = [];
+  lines.forEach((line, idx) => {
+    if (idx > 0) content.push({ type: "hardBreak" });
+    content.push(...parseInline(line.trim()));
+  });
+  return content;
+}
+
+// ------------------- Markdown -> ADF: blocks -------------------
+
+function indentOf(line) {
+  const m = line.match(/^(\s*)/);
+  return m[1].replace(/\t/g, "    ").length;
+}
+
+function isBlank(line) {
+  return !line || !line.trim();
+}
+
+function splitTableRow(line) {
+  let s = line.trim();
+  if (s.startsWith("|")) s = s.slice(1);
+  if (s.endsWith("|") && !s.endsWith("\\|")) s = s.slice(0, -1);
+
+  const cells = [];
+  let cur = "";
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === "\\" && s[i + 1] === "|") {
+      cur += "|";
+      i += 1;
+    } else if (s[i] === "|") {
+      cells.push(cur.trim());
+      cur = "";
+    } else {
+      cur += s[i];
+    }
+  }
+  cells.push(cur.trim());
+  return cells;
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes("|") && i + 1 < lines.length && TABLE_SEP_RE.test(lines[i + 1]) && lines[i + 1].includes("-");
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return (
+    FENCE_RE.test(line) ||
+    HEADING_RE.test(line) ||
+    RULE_RE.test(line) ||
+    QUOTE_RE.test(line) ||
+    LIST_RE.test(line) ||
+    isTableStart(lines, i)
+  );
+}
+
+function tableCell(type, text) {
+  const content = parseInline(text);
+  return { type, content: [{ type: "paragraph", content }] };
+}
+
+function parseTable(lines, i) {
+  const header = splitTableRow(lines[i]);
+  const rows = [{ type: "tableRow", content: header.map((c) => tableCell("tableHeader", c)) }];
+  i += 2;
+
+  while (i < lines.length && !isBlank(lines[i]) && lines[i].includes("|")) {
+    const cells = splitTableRow(lines[i]);
+    const padded = header.map((_, idx) => cells[idx] ?? "");
+    rows.push({ type: "tableRow", content: padded.map((c) => tableCell("tableCell", c)) });
+    i += 1;
+  }
+
+  return { node: { type: "table", content: rows }, next: i };
+}
+
+function parseList(lines, i) {
+  const first = lines[i].match(LIST_RE);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+
+  const list = ordered
+    ? { type: "orderedList", attrs: { order: parseInt(first[2], 10) || 1 }, content: [] }
+    : { type: "bulletList", content: [] };
+
+  while (i < lines.length) {
+    const m = lines[i].match(LIST_RE);
+    if (!m || indentOf(m[1]) !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+
+    const textLines = [m[3]];
+    const children = [];
+    i += 1;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (isBlank(line)) {
+        // A blank line only continues the item if more indented content follows.
+        let k = i;
+        while (k < lines.length && isBlank(lines[k])) k += 1;
+        if (k < lines.length && indentOf(lines[k]) > baseIndent) {
+          i = k;
+          continue;
+        }
+        break;
+      }
+
+      const nested = line.match(LIST_RE);
+      if (nested && indentOf(nested[1]) > baseIndent) {
+        const sub = parseList(lines, i);
+        children.push(sub.node);
+        i = sub.next;
+        continue;
+      }
+
+      if (indentOf(line) > baseIndent && !nested) {
+        if (FENCE_RE.test(line)) {
+          const code = parseFence(lines, i);
+          children.push(code.node);
+          i = code.next;
+          continue;
+        }
+        textLines.push(line);
+        i += 1;
+        continue;
+      }
+
+      // Lazy continuation of the item paragraph.
+      if (!nested && !startsBlock(lines, i) && children.length === 0) {
+        textLines.push(line);
+        i += 1;
+        continue;
+      }
+      break;
+    }
+
+    const item = { type: "listItem", content: [{ type: "paragraph", content: inlineWithBreaks(textLines) }] };
+    item.content.push(...children);
+    list.content.push(item);
+
+    // Skip blank lines between sibling items.
+    let k = i;
+    while (k < lines.length && isBlank(lines[k])) k += 1;
+    const sibling = k < lines.length ? lines[k].match(LIST_RE) : null;
+    if (sibling && indentOf(sibling[1]) === baseIndent && /\d/.test(sibling[2]) === ordered) i = k;
+  }
+
+  return { node: list, next: i };
+}
+
+function parseFence(lines, i) {
+  const open = lines[i].match(FENCE_RE);
+  const fence = open[1];
+  const indent = indentOf(lines[i]);
+  const body = [];
+  i += 1;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (line.trim().startsWith(fence[0].repeat(fence.length)) && /^\s*[`~]+\s*$/.test(line)) {
+      i += 1;
+      break;
+    }
+    body.push(line.slice(Math.min(indent, indentOf(line))));
+    i += 1;
+  }
+
+  const node = { type: "codeBlock" };
+  if (open[2]) node.attrs = { language: open[2] };
+  const text = body.join("\n");
+  node.content = text ? [{ type: "text", text }] : [];
+  return { node, next: i };
+}
+
+function parseBlocks(lines) {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      i += 1;
+      continue;
+    }
+
+    if (FENCE_RE.test(line)) {
+      const code = parseFence(lines, i);
+      blocks.push(code.node);
+      i = code.next;
+      continue;
+    }
+
+    const heading = line.match(HEADING_RE);
+    if (heading) {
+      blocks.push({
+        type: "heading",
+        attrs: { level: heading[1].length },
+        content: parseInline(heading[2]),
+      });
+      i += 1;
+      continue;
+    }
+
+    if (RULE_RE.test(line)) {
+      blocks.push({ type: "rule" });
+      i += 1;
+      continue;
+    }
+
+    if (QUOTE_RE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE_RE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE_RE)[1]);
+        i += 1;
+      }
+      const inner = parseBlocks(quoted);
+      blocks.push({ type: "blockquote", content: inner.length > 0 ? inner : [{ type: "paragraph", content: [] }] });
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const table = parseTable(lines, i);
+      blocks.push(table.node);
+      i = table.next;
+      continue;
+    }
+
+    if (LIST_RE.test(line)) {
+      const list = parseList(lines, i);
+      blocks.push(list.node);
+      i = list.next;
+      continue;
+    }
+
+    const para = [line];
+    i += 1;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i)) {
+      para.push(lines[i]);
+      i += 1;
+    }
+    blocks.push({ type: "paragraph", content: inlineWithBreaks(para) });
+  }
+
+  return blocks;
+}
+
+/**
+ * Convert Markdown (string, or array of lines) to an ADF document.
+ * Always returns a valid doc, with a single empty paragraph for empty input.
+ */
+export function markdownToAdf(markdown) {
+  const text = Array.isArray(markdown)
+    ? markdown.map((l) => String(l ?? "")).join("\n")
+    : String(markdown ?? "");
+
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  const content = parseBlocks(lines);
+
+  return {
+    type: "doc",
+    version: 1,
+    content: content.length > 0 ? content : [{ type: "paragraph", content: [] }],
+  };
+}
+
+// ------------------- ADF -> Markdown -------------------
+
+function escapeMd(text) {
+  // `_` only needs escaping where it could open emphasis (see the `_` rule above).
+  return text
+    .replace(/([\\`*[\]])/g, "\\$1")
+    .replace(/(?<!\w)_(?![_\s])/g, "\\_")
+    .replace(/~(?=~)/g, "\\~");
+}
+
+// Outermost first, so a link wraps its formatting.
+const MARK_ORDER = ["link", "strong", "em", "strike"];
+
+function markKey(mark) {
+  return mark.type === "link" ? `link:${mark.attrs.href}` : mark.type;
+}
+
+function inlineMarks(node) {
+  if (node.type !== "text") return [];
+  return (node.marks || [])
+    .filter((m) => MARK_ORDER.includes(m.type) && (m.type !== "link" || m.attrs?.href))
+    .sort((a, b) => MARK_ORDER.indexOf(a.type) - MARK_ORDER.indexOf(b.type));
+}
+
+function renderAtom(node) {
+  switch (node.type) {
+    case "text":
+      return (node.marks || []).some((m) => m.type === "code") ? `\`${node.text}\`` : escapeMd(node.text || "");
+    case "hardBreak":
+      return "\n";
+    case "mention":
+      return node.attrs?.text || "@unknown";
+    case "emoji":
+      return node.attrs?.text || node.attrs?.shortName || "";
+    case "inlineCard":
+      return node.attrs?.url ? `<${node.attrs.url}>` : "";
+    case "status":
+      return node.attrs?.text ? `[${node.attrs.text}]` : "";
+    case "date":
+      return node.attrs?.timestamp ? new Date(Number(node.attrs.timestamp)).toISOString().slice(0, 10) : "";
+    default:
+      return renderInline(node.content);
+  }
+}
+
+function linkDestination(href) {
+  return /^(?:[^()\s<>]|\([^()\s<>]*\))+$/.test(href) ? href : `<${href}>`;
+}
+
+// `_` unless the emphasis touches a word character, where only `*` works.
+function emDelimiter(runs, i, before) {
+  let j = i;
+  while (j < runs.length && runs[j].marks.some((m) => m.type === "em")) j++;
+  const after = runs[j]?.text[0] || "";
+  return /\w/.test(before) || /\w/.test(after) ? "*" : "_";
+}
+
+function renderInline(nodes) {
+  const runs = (nodes || []).map((node) => ({ text: renderAtom(node), marks: inlineMarks(node) }));
+  const open = []; // [{ key, mark, delimiter }], outermost first
+  let out = "";
+
+  // Delimiters hug the text: whitespace at the edges moves outside them.
+  const closeFrom = (depth) => {
+    const trailing = out.match(/\s*$/)[0];
+    out = out.slice(0, out.length - trailing.length);
+    while (open.length > depth) {
+      const { mark, delimiter } = open.pop();
+      out += mark.type === "link" ? `](${linkDestination(mark.attrs.href)})` : delimiter;
+    }
+    out += trailing;
+  };
+
+  runs.forEach((run, i) => {
+    const keys = run.marks.map(markKey);
+    let depth = 0;
+    while (depth < open.length && keys.includes(open[depth].key)) depth++;
+    if (depth < open.length) closeFrom(depth);
+
+    let text = run.text;
+    const opening = text.trim() ? run.marks.filter((m) => !open.some((o) => o.key === markKey(m))) : [];
+    if (opening.length > 0) {
+      const leading = text.match(/^\s*/)[0];
+      out += leading;
+      text = text.slice(leading.length);
+      for (const mark of opening) {
+        const delimiter =
+          mark.type === "strong" ? "**" : mark.type === "strike" ? "~~" : mark.type === "em" ? emDelimiter(runs, i, out.slice(-1)) : "[";
+        out += delimiter;
+        open.push({ key: markKey(mark), mark, delimiter });
+      }
+    }
+    out += text;
+  });
+  closeFrom(0);
+  return out;
+}
+
+function indentLines(text, prefix) {
+  return text
+    .split("\n")
+    .map((l) => (l ? prefix + l : l))
+    .join("\n");
+}
+
+function renderList(node, ordered) {
+  let n = ordered ? Number(node.attrs?.order) || 1 : 0;
+
+  return (node.content || [])
+    .map((item) => {
+      const marker = ordered ? `${n++}. ` : "- ";
+      const pad = " ".repeat(marker.length);
+      const parts = (item.content || []).map(renderBlock).filter((s) => s !== "");
+      const [head = "", ...rest] = parts.join("\n").split("\n");
+      return [marker + head, ...rest.map((l) => (l ? pad + l : l))].join("\n");
+    })
+    .join("\n");
+}
+
+function renderTable(node) {
+  const rows = (node.content || []).map((row) =>
+    (row.content || []).map((cell) =>
+      (cell.content || []).map(renderBlock).join(" ").replace(/\n+/g, " ").replace(/\|/g, "\\|")
+    )
+  );
+  if (rows.length === 0) return "";
+
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] ?? "").join(" | ")} |`;
+
+  return [line(rows[0]), line(Array(width).fill("---")), ...rows.slice(1).map(line)].join("\n");
+}
+
+function renderBlock(node) {
+  if (!node) return "";
+
+  switch (node.type) {
+    case "doc":
+      return renderBlocks(node.content);
+    case "paragraph":
+      return renderInline(node.content);
+    case "heading":
+      return `${"#".repeat(Number(node.attrs?.level) || 1)} ${renderInline(node.content)}`;
+    case "bulletList":
+      return renderList(node, false);
+    case "orderedList":
+      return renderList(node, true);
+    case "codeBlock": {
+      const lang = node.attrs?.language || "";
+      const text = (node.content || []).map((c) => c.text || "").join("");
+      return `\`\`\`${lang}\n${text}\n\`\`\``;
+    }
+    case "blockquote":
+      return indentLines(renderBlocks(node.content), "> ");
+    case "rule":
+      return "---";
+    case "table":
+      return renderTable(node);
+    case "panel":
+    case "expand":
+    case "nestedExpand": {
+      const title = node.attrs?.title ? `**${escapeMd(node.attrs.title)}**\n\n` : "";
+      return title + renderBlocks(node.content);
+    }
+    case "mediaSingle":
+    case "mediaGroup":
+    case "media":
+      return "";
+    default:
+      return node.content ? renderBlocks(node.content) : renderInline([node]);
+  }
+}
+
+function renderBlocks(nodes) {
+  return (nodes || [])
+    .map(renderBlock)
+    .filter((s) => s !== "")
+    .join("\n\n");
+}
+
+/**
+ * Convert an ADF document (or node) to Markdown. Plain strings pass through.
+ */
+export function adfToMarkdown(doc) {
+  if (!doc) return "";
+  if (typeof doc === "string") return doc;
+  if (typeof doc !== "object") return String(doc);
+  return renderBlock(doc).trim();
+}
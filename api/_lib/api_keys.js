@@ -0,0 +1,188 @@
+// api/_lib/api_keys.js
+//
+// Per-client API keys (orky_api_keys) and the check every route runs.
+//
+// Keys look like `orky_<prefix>_<secret>`. Only the prefix (lookup) and a
+// SHA-256 of the whole key are stored; the plaintext is returned once, by
+// createApiKey(). A row names its client and grants scopes:
+//   intake:write  /api/intake, /api/intake/*, /api/add-story
+//   forge:run     /api/brain/forge, /api/brain/forge_to_pr, /api/brain/jira_scanner
+//   github:pr     /api/github/pr, /api/brain/forge_to_pr, /api/brain/jira_scanner
+//   runs:admin    the control API (src/api/routes.ts)
+// Keys past expires_at or with revoked_at set are refused.
+//
+// ORKY_API_KEY stays valid as the service's own key (client "orky-internal",
+// every scope): self-calls, cron triggers and /api/keys use it. Hand clients
+// their own keys instead of sharing it. A self-call made for someone else (the
+// scanner acting on a webhook, say) names them in `x-orky-on-behalf-of`; only
+// ORKY_API_KEY may send that header, and it is recorded on the audit entries.
+//
+// Presented as `x-orky-key: <key>` or `Authorization: Bearer <key>`. Hashes
+// are compared with crypto.timingSafeEqual.
+
+import crypto from "crypto";
+
+const KEYS_TABLE = "orky_api_keys";
+
+export const API_SCOPES = ["intake:write", "forge:run", "github:pr", "runs:admin"];
+export const INTERNAL_CLIENT = "orky-internal";
+export const ON_BEHALF_OF_HEADER = "x-orky-on-behalf-of";
+
+const KEY_FORMAT = /^orky_([0-9a-f]{12})_[A-Za-z0-9_-]{32,}$/;
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key), "utf8").digest();
+}
+
+function sameHash(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function authError(statusCode, message, details) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  if (details) e.details = details;
+  return e;
+}
+
+/**
+ * The key a request presents (x-orky-key, else Authorization: Bearer), or "".
+ */
+export function presentedApiKey(req) {
+  const headers = req.headers || {};
+  const header = headers["x-orky-key"];
+  if (typeof header === "string" && header.trim()) return header.trim();
+
+  const auth = headers.authorization || "";
+  const m = typeof auth === "string" ? auth.match(/^Bearer\s+(.+)$/i) : null;
+  return m?.[1]?.trim() || "";
+}
+
+async function lookupKey(key) {
+  const m = key.match(KEY_FORMAT);
+  if (!m) return null;
+
+  const supabase = await getSupabase();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from(KEYS_TABLE)
+    .select("id, client_name, key_hash, scopes, expires_at, revoked_at")
+    .eq("key_prefix", m[1])
+    .maybeSingle();
+
+  if (error) throw authError(503, "API key store unavailable.", error);
+  if (!data || !sameHash(hashKey(key), Buffer.from(data.key_hash, "hex"))) return null;
+  return data;
+}
+
+/**
+ * Authenticate a request and check it holds every scope in `scopes` (a scope
+ * or an array). Returns { keyId, clientName, scopes, onBehalfOf } and sets
+ * req.apiClient; throws 401 (missing / unknown / expired / revoked key) or 403
+ * (missing scope, or x-orky-on-behalf-of sent with a client key).
+ */
+export async function requireApiKey(req, scopes = []) {
+  const required = Array.isArray(scopes) ? scopes : [scopes];
+  const key = presentedApiKey(req);
+  if (!key) throw authError(401, "Unauthorized. Send x-orky-key or Authorization: Bearer <key>.");
+
+  let client;
+  const internal = process.env.ORKY_API_KEY;
+  if (internal && sameHash(hashKey(key), hashKey(internal))) {
+    client = { keyId: null, clientName: INTERNAL_CLIENT, scopes: [...API_SCOPES] };
+  } else {
+    const row = await lookupKey(key);
+    if (!row) throw authError(401, "Unauthorized");
+    if (row.revoked_at) throw authError(401, "API key revoked.");
+    if (row.expires_at && Date.parse(row.expires_at) <= Date.now()) throw authError(401, "API key expired.");
+    client = { keyId: row.id, clientName: row.client_name, scopes: row.scopes || [] };
+  }
+
+  const behalf = req.headers?.[ON_BEHALF_OF_HEADER];
+  client.onBehalfOf = typeof behalf === "string" && behalf.trim() ? behalf.trim() : null;
+  if (client.onBehalfOf && client.clientName !== INTERNAL_CLIENT) {
+    throw authError(403, `Only ORKY_API_KEY may send ${ON_BEHALF_OF_HEADER}.`);
+  }
+
+  const missing = required.filter((s) => !client.scopes.includes(s));
+  if (missing.length > 0) {
+    throw authError(403, `API key lacks scope: ${missing.join(", ")}`, { required, granted: client.scopes });
+  }
+
+  req.apiClient = client;
+  return client;
+}
+
+function requireStore(supabase) {
+  if (!supabase) throw authError(503, "API keys need ORKY_SUPABASE_URL / ORKY_SUPABASE_SERVICE_ROLE_KEY.");
+  return supabase;
+}
+
+/**
+ * Issue a key. Returns the row (without hash) plus `key`, the only time the
+ * plaintext is available.
+ */
+export async function createApiKey({ clientName, scopes, expiresAt = null }) {
+  const name = String(clientName || "").trim();
+  if (!name) throw authError(400, "clientName is required.");
+  if (name === INTERNAL_CLIENT) throw authError(400, `clientName "${INTERNAL_CLIENT}" is reserved.`);
+
+  const granted = [...new Set(Array.isArray(scopes) ? scopes : [])];
+  const unknown = granted.filter((s) => !API_SCOPES.includes(s));
+  if (granted.length === 0 || unknown.length > 0) {
+    throw authError(400, `scopes must be a non-empty subset of: ${API_SCOPES.join(", ")}`, { unknown });
+  }
+  if (expiresAt !== null && Number.isNaN(Date.parse(expiresAt))) throw authError(400, "expiresAt must be an ISO date.");
+
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const key = `orky_${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+
+  const supabase = requireStore(await getSupabase());
+  const { data, error } = await supabase
+    .from(KEYS_TABLE)
+    .insert({
+      client_name: name,
+      key_prefix: prefix,
+      key_hash: hashKey(key).toString("hex"),
+      scopes: granted,
+      expires_at: expiresAt ? new Date(expiresAt).toISOString() : null,
+    })
+    .select("id, client_name, key_prefix, scopes, expires_at, revoked_at, created_at")
+    .single();
+
+  if (error) throw error;
+  return { ...data, key };
+}
+
+export async function listApiKeys() {
+  const supabase = requireStore(await getSupabase());
+  const { data, error } = await supabase
+    .from(KEYS_TABLE)
+    .select("id, client_name, key_prefix, scopes, expires_at, revoked_at, created_at")
+    .order("created_at", { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function revokeApiKey(id) {
+  const supabase = requireStore(await getSupabase());
+  const { data, error } = await supabase
+    .from(KEYS_TABLE)
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", id)
+    .is("revoked_at", null)
+    .select("id, client_name, key_prefix, revoked_at")
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw authError(404, "No active API key with that id.");
+  return data;
+}
@@ -0,0 +1,85 @@
+// api/_lib/audit.js
+//
+// orky_audit_log entries: an INTENT row before a side effect and a RESULT row
+// after it, sharing one correlation_id. client_name is the API client the
+// request authenticated as (see api_keys.js); on_behalf_of is who the internal
+// client was acting for (x-orky-on-behalf-of), e.g. "webhook:jira" or "cron".
+//
+// Best effort: without Supabase, or when the insert fails, the entry is logged
+// to the console and the caller carries on.
+
+import crypto from "crypto";
+
+const AUDIT_TABLE = "orky_audit_log";
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+export function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Write one entry: { correlationId, phase: "INTENT" | "RESULT", tool, action,
+ * idempotencyScope, idempotencyKey, clientName?, onBehalfOf?, jiraKey?, runId?,
+ * result?, details? }.
+ */
+export async function recordAudit(entry) {
+  const row = {
+    correlation_id: entry.correlationId,
+    phase: entry.phase,
+    tool: entry.tool,
+    action: entry.action,
+    idempotency_scope: entry.idempotencyScope,
+    idempotency_key: entry.idempotencyKey,
+    client_name: entry.clientName || null,
+    on_behalf_of: entry.onBehalfOf || null,
+    jira_key: entry.jiraKey || null,
+    run_id: entry.runId || null,
+    result: entry.result || null,
+    details: entry.details ?? null,
+  };
+
+  try {
+    const supabase = await getSupabase();
+    if (!supabase) {
+      console.log("[audit]", JSON.stringify(row));
+      return;
+    }
+    const { error } = await supabase.from(AUDIT_TABLE).insert(row);
+    if (error) throw error;
+  } catch (e) {
+    console.error("[audit] write failed:", e?.message || e, JSON.stringify(row));
+  }
+}
+
+/**
+ * The audit fields for the client a route authenticated (req.apiClient, set by
+ * requireApiKey).
+ */
+export function auditClient(req) {
+  return { clientName: req.apiClient?.clientName || null, onBehalfOf: req.apiClient?.onBehalfOf || null };
+}
+
+/**
+ * Record INTENT (with `entry.details`), run `fn`, then record RESULT: SUCCEEDED
+ * with `summarize(value)` as details, or FAILED with the error, which is
+ * rethrown. idempotencyKey defaults to the correlation id.
+ */
+export async function audited(entry, fn, summarize = () => null) {
+  const correlationId = newCorrelationId();
+  const base = { idempotencyKey: correlationId, ...entry, correlationId };
+  await recordAudit({ ...base, phase: "INTENT" });
+  let value;
+  try {
+    value = await fn();
+  } catch (e) {
+    await recordAudit({ ...base, phase: "RESULT", result: "FAILED", details: { error: e?.message || String(e) } });
+    throw e;
+  }
+  await recordAudit({ ...base, phase: "RESULT", result: "SUCCEEDED", details: summarize(value) });
+  return value;
+}
@@ -0,0 +1,114 @@
+// api/_lib/github.js
+//
+// GitHub App access for intake (reading files referenced by payloads) and the
+// scanner (which repos the installation can reach).
+//
+// Env:
+// - GH_APP_ID, GH_APP_INSTALLATION_ID, GH_APP_PRIVATE_KEY (PEM, literal \n allowed)
+// - GH_OWNER            owner of every repo we read
+// - GH_DEFAULT_BRANCH   ref used when none is given
+// - GH_DEFAULT_REPO     repo used when none is given (optional)
+
+import { Octokit } from "octokit";
+import { createAppAuth } from "@octokit/auth-app";
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+function normalizePem(pem) {
+  // If stored as single line with literal \n in Vercel env
+  return pem.includes("\\n") ? pem.replace(/\\n/g, "\n") : pem;
+}
+
+export async function getOctokitAsInstallation() {
+  const auth = createAppAuth({
+    appId: mustEnv("GH_APP_ID"),
+    privateKey: normalizePem(mustEnv("GH_APP_PRIVATE_KEY")),
+    installationId: mustEnv("GH_APP_INSTALLATION_ID"),
+  });
+
+  const { token } = await auth({ type: "installation" });
+  return new Octokit({ auth: token });
+}
+
+const REPOS_TTL_MS = 10 * 60 * 1000;
+let reposCache = null; // { at, names }
+
+/**
+ * Names of the GH_OWNER repos the App installation can reach, cached for 10 min.
+ */
+export async function installationRepos() {
+  if (reposCache && Date.now() - reposCache.at < REPOS_TTL_MS) return reposCache.names;
+
+  const owner = mustEnv("GH_OWNER").toLowerCase();
+  const octokit = await getOctokitAsInstallation();
+  const repos = await octokit.paginate("GET /installation/repositories", { per_page: 100 });
+  const names = repos.filter((r) => r.owner?.login?.toLowerCase() === owner).map((r) => r.name);
+
+  reposCache = { at: Date.now(), names };
+  return names;
+}
+
+/**
+ * Resolve { repo?, path, ref? } against GH_OWNER / GH_DEFAULT_REPO / GH_DEFAULT_BRANCH.
+ */
+export function repoFileRef({ repo, path, ref }) {
+  const resolvedRepo = repo || process.env.GH_DEFAULT_REPO;
+  if (!resolvedRepo) {
+    const e = new Error("No repo given and GH_DEFAULT_REPO is not set.");
+    e.statusCode = 400;
+    throw e;
+  }
+  return {
+    owner: mustEnv("GH_OWNER"),
+    repo: resolvedRepo,
+    path: String(path).replace(/^\/+/, ""),
+    ref: ref || mustEnv("GH_DEFAULT_BRANCH"),
+  };
+}
+
+function notFound(e, file) {
+  if (e?.status !== 404) return e;
+  const err = new Error(`${file.owner}/${file.repo}:${file.path}@${file.ref} not found.`);
+  err.statusCode = 404;
+  return err;
+}
+
+/**
+ * Metadata of a repo file: { path, sha, size, content? } (content is base64 and
+ * only present for files up to 1 MB). Throws 404 / 400 for missing paths and
+ * directories.
+ */
+export async function statRepoFile(octokit, file) {
+  let data;
+  try {
+    ({ data } = await octokit.request("GET /repos/{owner}/{repo}/contents/{path}", file));
+  } catch (e) {
+    throw notFound(e, file);
+  }
+
+  if (Array.isArray(data) || data?.type !== "file") {
+    const e = new Error(`${file.repo}:${file.path} is not a file.`);
+    e.statusCode = 400;
+    throw e;
+  }
+  return { path: data.path, sha: data.sha, size: data.size, content: data.encoding === "base64" ? data.content : null };
+}
+
+/**
+ * Bytes of a repo file as a Buffer (blobs API for files over 1 MB).
+ */
+export async function readRepoFile(octokit, file, stat) {
+  const meta = stat || (await statRepoFile(octokit, file));
+  if (meta.content) return Buffer.from(meta.content, "base64");
+
+  const { data } = await octokit.request("GET /repos/{owner}/{repo}/git/blobs/{file_sha}", {
+    owner: file.owner,
+    repo: file.repo,
+    file_sha: meta.sha,
+  });
+  return Buffer.from(data.content, "base64");
+}
@@ -0,0 +1,92 @@
+// api/_lib/idempotency.js
+//
+// orky_idempotency_keys: one row per (scope, key) side effect. A caller reserves
+// the key before acting (status RESERVED) and completes it with SUCCEEDED or
+// FAILED plus the result JSON, which later callers read back instead of acting
+// again.
+//
+// A FAILED key, or a RESERVED one older than `staleMs` (its worker died), can be
+// reserved again. Without Supabase the keys are per instance only.
+
+const IDEMPOTENCY_TABLE = "orky_idempotency_keys";
+
+const memoryKeys = new Map(); // "<scope>|<key>" -> { status, result, updatedAt }, fallback store
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+function reservable(status, updatedAtMs, staleMs, now) {
+  return status === "FAILED" || (status === "RESERVED" && updatedAtMs < now - staleMs);
+}
+
+/**
+ * Reserve (scope, key). Returns { reserved: true } when the caller may act, or
+ * { reserved: false, status, result } with the existing row's state.
+ */
+export async function reserveIdempotencyKey(scope, key, { staleMs }) {
+  const now = Date.now();
+  const supabase = await getSupabase();
+
+  if (!supabase) {
+    const k = `${scope}|${key}`;
+    const held = memoryKeys.get(k);
+    if (held && !reservable(held.status, held.updatedAt, staleMs, now)) {
+      return { reserved: false, status: held.status, result: held.result };
+    }
+    memoryKeys.set(k, { status: "RESERVED", result: null, updatedAt: now });
+    return { reserved: true };
+  }
+
+  const nowIso = new Date(now).toISOString();
+  const row = { scope, key, status: "RESERVED", result_json: null, updated_at: nowIso };
+
+  const inserted = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .upsert(row, { onConflict: "scope,key", ignoreDuplicates: true })
+    .select("id");
+  if (inserted.error) throw inserted.error;
+  if ((inserted.data || []).length > 0) return { reserved: true };
+
+  const staleIso = new Date(now - staleMs).toISOString();
+  const taken = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .update(row)
+    .eq("scope", scope)
+    .eq("key", key)
+    .or(`status.eq.FAILED,and(status.eq.RESERVED,updated_at.lt.${staleIso})`)
+    .select("id")
+    .maybeSingle();
+  if (taken.error) throw taken.error;
+  if (taken.data) return { reserved: true };
+
+  const { data, error } = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .select("status, result_json")
+    .eq("scope", scope)
+    .eq("key", key)
+    .maybeSingle();
+  if (error) throw error;
+  return { reserved: false, status: data?.status || "RESERVED", result: data?.result_json ?? null };
+}
+
+/**
+ * Complete a reserved key with "SUCCEEDED" or "FAILED" and its result JSON.
+ */
+export async function completeIdempotencyKey(scope, key, status, result) {
+  const supabase = await getSupabase();
+
+  if (!supabase) {
+    memoryKeys.set(`${scope}|${key}`, { status, result: result ?? null, updatedAt: Date.now() });
+    return;
+  }
+
+  const { error } = await supabase
+    .from(IDEMPOTENCY_TABLE)
+    .update({ status, result_json: result ?? null, updated_at: new Date().toISOString() })
+    .eq("scope", scope)
+    .eq("key", key);
+  if (error) throw error;
+}
@@ -0,0 +1,140 @@
+// api/_lib/intake_attachments.js
+//
+// Attachments on intake epics/stories (`attachments[]`, see the Attachment schema):
+//   { "filename": "mockup.png", "contentType": "image/png", "content": "<base64>" }
+//   { "filename": "sample.csv", "github": { "repo": "ohh-web", "path": "docs/sample.csv", "ref": "main" } }
+//
+// Uploaded with POST /rest/api/3/issue/{key}/attachments once the issue exists.
+// - INTAKE_ATTACHMENT_MAX_BYTES caps each file (default 10 MB); larger files
+//   are reported and skipped, not uploaded.
+// - On issues that already existed, a file whose name and size match an
+//   existing attachment is reported "unchanged" instead of uploaded twice.
+// - Dry run: content is decoded / GitHub files are looked up and size-checked,
+//   nothing is uploaded ("would-upload").
+//
+// Results, one per attachment:
+//   { index, filename, ok, action: "uploaded" | "unchanged" | "would-upload", size, id?, error? }
+
+import { jiraFetch } from "./jira.js";
+import { getOctokitAsInstallation, readRepoFile, repoFileRef, statRepoFile } from "./github.js";
+
+const DEFAULT_CONTENT_TYPE = "application/octet-stream";
+
+export function attachmentMaxBytes() {
+  return Number(process.env.INTAKE_ATTACHMENT_MAX_BYTES || 10 * 1024 * 1024);
+}
+
+function tooLarge(size) {
+  const max = attachmentMaxBytes();
+  if (size <= max) return null;
+  const e = new Error(`File is ${size} bytes; the limit is ${max} (INTAKE_ATTACHMENT_MAX_BYTES).`);
+  e.statusCode = 413;
+  return e;
+}
+
+function base64Size(content) {
+  const clean = content.replace(/\s+/g, "");
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.length % 4 === 1) {
+    const e = new Error("content is not valid base64.");
+    e.statusCode = 400;
+    throw e;
+  }
+  const padding = clean.endsWith("==") ? 2 : clean.endsWith("=") ? 1 : 0;
+  return { clean, size: Math.floor((clean.length * 3) / 4) - padding };
+}
+
+/**
+ * Size-check an attachment and, unless `metaOnly`, load its bytes.
+ * Returns { size, bytes? }.
+ */
+async function loadAttachment(att, { getOctokit, metaOnly }) {
+  if (att.content !== undefined && att.github !== undefined) {
+    const e = new Error("Give either content or github, not both.");
+    e.statusCode = 400;
+    throw e;
+  }
+
+  if (att.content !== undefined) {
+    const { clean, size } = base64Size(String(att.content));
+    const err = tooLarge(size);
+    if (err) throw err;
+    return { size, bytes: metaOnly ? null : Buffer.from(clean, "base64") };
+  }
+
+  const octokit = await getOctokit();
+  const file = repoFileRef(att.github || {});
+  const stat = await statRepoFile(octokit, file);
+  const err = tooLarge(stat.size);
+  if (err) throw err;
+  return { size: stat.size, bytes: metaOnly ? null : await readRepoFile(octokit, file, stat) };
+}
+
+async function existingAttachments(jira, issueKey) {
+  const issue = await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(issueKey)}?fields=attachment`, {
+    method: "GET",
+  });
+  return issue?.fields?.attachment || [];
+}
+
+async function upload(jira, issueKey, att, bytes) {
+  const form = new FormData();
+  form.append("file", new Blob([bytes], { type: att.contentType || DEFAULT_CONTENT_TYPE }), att.filename);
+
+  const created = await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(issueKey)}/attachments`, {
+    method: "POST",
+    headers: { "X-Atlassian-Token": "no-check" },
+    body: form,
+  });
+  return Array.isArray(created) ? created[0] : created;
+}
+
+/**
+ * Upload an item's attachments to `issueKey`, one at a time.
+ *
+ * `issueAction` is the upsert action of the issue ("created" skips the
+ * duplicate check). `getOctokit` may be shared (memoized) across items.
+ * Returns one result per attachment.
+ */
+export async function uploadAttachments(
+  jira,
+  { issueKey, issueAction, attachments, dryRun = false, getOctokit = getOctokitAsInstallation }
+) {
+  const results = [];
+  let existing = null;
+
+  for (let k = 0; k < attachments.length; k++) {
+    const att = attachments[k] || {};
+    const base = { index: k, filename: att.filename };
+
+    try {
+      const { size, bytes } = await loadAttachment(att, { getOctokit, metaOnly: dryRun });
+
+      if (issueKey && issueAction !== "created") {
+        existing ??= await existingAttachments(jira, issueKey);
+        const same = existing.find((a) => a.filename === att.filename && Number(a.size) === size);
+        if (same) {
+          results.push({ ...base, ok: true, action: "unchanged", size, id: same.id });
+          continue;
+        }
+      }
+
+      if (dryRun) {
+        results.push({ ...base, ok: true, action: "would-upload", size });
+        continue;
+      }
+
+      const created = await upload(jira, issueKey, att, bytes);
+      results.push({ ...base, ok: true, action: "uploaded", size, id: created?.id ?? null });
+    } catch (e) {
+      results.push({
+        ...base,
+        ok: false,
+        error: e?.message || "Attachment upload failed",
+        jiraDetails: e?.details || null,
+        statusCode: e?.statusCode || 500,
+      });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,736 @@
+// api/_lib/intake_batch.js
+//
+// Epic/Story batch processing shared by POST /api/intake/batch (synchronous)
+// and the async intake jobs (api/intake/jobs/[id].js, api/cron/intake-jobs.js).
+// Single epics / stories (/api/intake, /api/add-story) go through the same item
+// code via processSingleEpic / processSingleStory.
+//
+// Epics/stories arrive validated and normalized to the canonical schema keys
+// (summary / description, see api/_lib/intake_schema.js).
+//
+// The batch report doubles as the checkpoint: `report.results[i]` exists once
+// epic i has been handled, and `report.results[i].stories` grows one entry per
+// processed story. runBatch() resumes from whatever the report already holds.
+//
+// Stories may carry subtasks[] (created right after their story) and links[]
+// (created in a final pass once every item has a key); see intake_relations.js.
+// Each story result holds `subtasks` / `links` arrays for those.
+//
+// Epics/stories may carry attachments[], uploaded right after their issue is
+// created or updated (see intake_attachments.js) and reported as `attachments`
+// on the item; totals.attachmentsUploaded / attachmentsUnchanged / attachmentsFailed.
+//
+// assignee / reporter / watchers[] are resolved from emails or names (see
+// jira_users.js). An unresolved assignee or reporter fails the item with
+// `userErrors` (unless options.defaultAssignee applies, then `userWarnings`);
+// watchers are added after the issue and reported per user as `watchers`.
+//
+// Stories may name a `sprint` and `fixVersions` (see jira_placement.js), applied
+// after the story exists and reported as `placement`; totals.placementsFailed /
+// versionsCreated.
+//
+// Atomic mode (options.atomic): every issue created is recorded in
+// `report.created`; the first failed item stops the batch and everything created
+// is rolled back (see intake_rollback.js), reported in `report.rollback`.
+//
+// Item `fields` may use Jira field display names ("Story Points"); they are
+// resolved and coerced by jira_fields.js, and items with unknown or ambiguous
+// names fail with `fieldErrors`.
+//
+// Dry runs (options.dryRun) return the exact `fields` each item would send and
+// check them against createmeta (allowedValues, types, lengths; see
+// dryRunProblems in jira_fields.js). Items Jira would reject fail with
+// `invalidFields`, including the closest allowed values as `suggestions`.
+//
+// Stories under an epic are created `ctx.concurrency` at a time (payload
+// `options.concurrency`, else INTAKE_STORY_CONCURRENCY, default 4). Jira
+// retries (429 / 5xx / network) are counted into totals.retries / totals.rateLimited.
+
+import { markdownToAdf } from "./adf.js";
+import { jiraFetch } from "./jira.js";
+import { getCreateFields, getFieldCatalogue, getMyAccountId } from "./jira_meta.js";
+import { dryRunProblems, findEpicNameFieldId, resolveFields } from "./jira_fields.js";
+import { upsertIssueByPdeId } from "./pde_upsert.js";
+import { createPayloadLinks, createSubtasks, loadLinkTypes, loadSubtaskMeta } from "./intake_relations.js";
+import { uploadAttachments } from "./intake_attachments.js";
+import { getOctokitAsInstallation } from "./github.js";
+import { addWatchers, resolvePeople } from "./jira_users.js";
+import { createVersionIndex, createVersionsDefault, loadBoardSprints, placeIssue, placementFailed } from "./jira_placement.js";
+import { rollbackConfig, rollbackCreated } from "./intake_rollback.js";
+import { mapWithConcurrency, resolveConcurrency } from "./pool.js";
+
+export function missingRequired(fieldsMeta, fieldsPayload) {
+  return Object.entries(fieldsMeta || {})
+    .filter(([, def]) => def?.required)
+    .filter(([fieldId]) => fieldsPayload[fieldId] === undefined)
+    .map(([fieldId, def]) => ({ fieldId, name: def?.name }));
+}
+
+// Protect critical routing keys from being overridden by payload.
+const PROTECTED = new Set(["project", "issuetype", "parent", "summary", "description"]);
+
+function mergeAllowed(ctx, meta, baseFields, extraFields) {
+  const { fields, errors } = resolveFields(ctx.fieldCatalogue, meta, extraFields, { protectedKeys: PROTECTED });
+  return { fields: { ...baseFields, ...fields }, fieldErrors: errors };
+}
+
+function userErrorResult(base, people) {
+  return { ...base, ok: false, error: "Could not resolve Jira users.", userErrors: people.errors, userWarnings: people.warnings };
+}
+
+/**
+ * Issue-level extras after an epic/story exists: attachments, watchers, then
+ * sprint / fix-version placement (stories only; epics carry neither).
+ */
+async function finishItem(ctx, report, result, issue, item, people) {
+  if (people.warnings.length > 0) result.userWarnings = people.warnings;
+
+  if (Array.isArray(item.attachments) && item.attachments.length > 0) {
+    result.attachments = await attachTo(ctx, report, issue.key || null, issue.action, item.attachments);
+  }
+  if (people.watchers.length > 0) {
+    result.watchers = await addWatchers(ctx.jira, issue.key, people.watchers, { dryRun: ctx.dryRun });
+  }
+
+  const placement = await placeIssue(ctx.jira, issue.key, item, {
+    dryRun: ctx.dryRun,
+    createVersions: ctx.createVersions,
+    getSprints: ctx.getSprints,
+    versions: ctx.versions,
+  });
+  if (placement) {
+    result.placement = placement;
+    if (placementFailed(placement)) report.totals.placementsFailed++;
+    report.totals.versionsCreated += (placement.fixVersions?.versions || []).filter((v) => v.created).length;
+  }
+  return result;
+}
+
+function fieldErrorResult(base, fieldErrors) {
+  return { ...base, ok: false, error: "Unknown or ambiguous field names.", fieldErrors };
+}
+
+function invalidFieldsResult(base, invalidFields, fields) {
+  return { ...base, ok: false, error: "Jira would reject these field values.", invalidFields, fields };
+}
+
+function applyPdeIds(fields, input) {
+  const pdeEpicField = process.env.JIRA_FIELD_PDE_EPIC_ID;
+  const pdeStoryField = process.env.JIRA_FIELD_PDE_STORY_ID;
+
+  if (pdeEpicField && input?.PDEEpicID) fields[pdeEpicField] = String(input.PDEEpicID);
+  if (pdeStoryField && input?.PDEStoryID) fields[pdeStoryField] = String(input.PDEStoryID);
+  return fields;
+}
+
+function safeString(v, fallback = "") {
+  if (v === null || v === undefined) return fallback;
+  return String(v);
+}
+
+function memo(load) {
+  let p = null;
+  return () => {
+    if (!p) p = load().catch((e) => {
+      p = null;
+      throw e;
+    });
+    return p;
+  };
+}
+
+function recordCreated(report, action, key, entry) {
+  if (!report.atomic || report.dryRun || action !== "created" || !key) return;
+  report.created.push({ key, ...entry });
+}
+
+function countAction(totals, prefix, action) {
+  if (action === "updated") totals[`${prefix}Updated`]++;
+  else if (action === "unchanged") totals[`${prefix}Unchanged`]++;
+  else totals[`${prefix}Created`]++;
+}
+
+async function attachTo(ctx, report, issueKey, issueAction, attachments) {
+  const results = await uploadAttachments(ctx.jira, {
+    issueKey,
+    issueAction,
+    attachments,
+    dryRun: ctx.dryRun,
+    getOctokit: ctx.getOctokit,
+  });
+  for (const r of results) {
+    if (!r.ok) report.totals.attachmentsFailed++;
+    else if (r.action === "unchanged") report.totals.attachmentsUnchanged++;
+    else report.totals.attachmentsUploaded++;
+  }
+  return results;
+}
+
+/**
+ * Fetch everything the batch needs from Jira once per run (or job slice).
+ */
+export async function loadBatchContext(
+  jira,
+  { dryRun = false, concurrency, defaultAssignee = false, createVersions = createVersionsDefault() } = {}
+) {
+  const myAccountId = await getMyAccountId(jira);
+
+  // Read metadata once per run (cached across requests in jira_meta.js).
+  const epicMeta = await getCreateFields(jira, "Epic");
+  const storyMeta = await getCreateFields(jira, "Story");
+  const fieldCatalogue = await getFieldCatalogue(jira);
+
+  return {
+    jira,
+    dryRun,
+    concurrency: resolveConcurrency(concurrency ?? process.env.INTAKE_STORY_CONCURRENCY),
+    defaultAssignee,
+    createVersions,
+    myAccountId,
+    epicMeta,
+    storyMeta,
+    fieldCatalogue,
+    epicNameFieldId: findEpicNameFieldId(fieldCatalogue, epicMeta),
+    // Only fetched when a payload actually has subtasks / links.
+    getSubtaskMeta: memo(() => loadSubtaskMeta(jira)),
+    getLinkTypes: memo(() => loadLinkTypes(jira)),
+    getOctokit: memo(() => getOctokitAsInstallation()),
+    getSprints: memo(() => loadBoardSprints(jira)),
+    versions: createVersionIndex(jira),
+  };
+}
+
+export function createBatchReport(
+  epics,
+  { dryRun = false, atomic = false, startedAt = new Date().toISOString() } = {}
+) {
+  return {
+    ok: true,
+    mode: "batch",
+    dryRun,
+    atomic,
+    ...(atomic ? { created: [], rollback: null } : {}),
+    startedAt,
+    finishedAt: null,
+    totals: {
+      epicsRequested: epics.length,
+      epicsCreated: 0,
+      epicsUpdated: 0,
+      epicsUnchanged: 0,
+      epicsFailed: 0,
+      storiesCreated: 0,
+      storiesUpdated: 0,
+      storiesUnchanged: 0,
+      storiesFailed: 0,
+      subtasksCreated: 0,
+      subtasksUpdated: 0,
+      subtasksUnchanged: 0,
+      subtasksFailed: 0,
+      linksCreated: 0,
+      linksFailed: 0,
+      attachmentsUploaded: 0,
+      attachmentsUnchanged: 0,
+      attachmentsFailed: 0,
+      placementsFailed: 0,
+      versionsCreated: 0,
+      retries: 0,
+      rateLimited: 0,
+    },
+    results: [],
+  };
+}
+
+/**
+ * Jira fields for an epic item (also used by plan mode, see intake_plan.js).
+ * Returns { fields, fieldErrors }.
+ */
+export function buildEpicFields(ctx, item, people = null) {
+  const { jira, myAccountId, epicMeta, epicNameFieldId } = ctx;
+  const epicSummary = safeString(item.summary, "").trim();
+  const epicDescription = safeString(item.description, "Created by Orky batch API.");
+
+  // Build base epic fields (then allow merges).
+  const epicFields = {
+    project: { key: jira.projectKey },
+    summary: epicSummary,
+    issuetype: { name: "Epic" },
+    description: markdownToAdf(epicDescription),
+  };
+
+  // Epic Name field (team-managed still has it; Jira varies by config)
+  if (epicNameFieldId && epicMeta?.[epicNameFieldId]?.required) {
+    epicFields[epicNameFieldId] = epicSummary;
+  }
+
+  // Reporter (only if Jira requires)
+  if (epicMeta?.reporter?.required) {
+    epicFields.reporter = { accountId: myAccountId };
+  }
+
+  const merged = mergeAllowed(ctx, epicMeta, epicFields, item.fields);
+  Object.assign(merged.fields, people?.fields);
+  applyPdeIds(merged.fields, item);
+  return merged;
+}
+
+async function processEpic(ctx, report, item, i) {
+  const { jira, dryRun, epicMeta } = ctx;
+  const epicSummary = safeString(item.summary, "").trim();
+
+  if (!epicSummary) {
+    report.totals.epicsFailed++;
+    return {
+      index: i,
+      ok: false,
+      epic: null,
+      error: "Missing summary",
+      stories: [],
+    };
+  }
+
+  const people = await resolvePeople(jira, item, { defaultAssignee: ctx.defaultAssignee });
+  if (people.errors.length > 0) {
+    report.totals.epicsFailed++;
+    return userErrorResult({ index: i, epic: null, stories: [] }, people);
+  }
+
+  const { fields: epicFields, fieldErrors } = buildEpicFields(ctx, item, people);
+  if (fieldErrors.length > 0) {
+    report.totals.epicsFailed++;
+    return fieldErrorResult({ index: i, epic: null, stories: [] }, fieldErrors);
+  }
+
+  const epicMissing = missingRequired(epicMeta, epicFields);
+  if (epicMissing.length > 0) {
+    report.totals.epicsFailed++;
+    return {
+      index: i,
+      ok: false,
+      epic: null,
+      error: "Jira requires additional fields for Epic.",
+      missingRequired: epicMissing,
+      stories: [],
+    };
+  }
+
+  try {
+    const epicResult = await upsertIssueByPdeId(jira, {
+      issueType: "Epic",
+      pdeId: item.PDEEpicID,
+      key: item.key,
+      fields: epicFields,
+      dryRun,
+    });
+
+    let epicCreate = epicResult;
+    let epicKey = epicResult?.key || null;
+    if (dryRun) {
+      const invalid = dryRunProblems(epicMeta, epicResult);
+      if (invalid.length > 0) {
+        report.totals.epicsFailed++;
+        return invalidFieldsResult({ index: i, epic: null, stories: [] }, invalid, epicResult.fields);
+      }
+      epicKey = epicResult.key || "(dry-run)";
+      epicCreate = { key: epicKey, action: epicResult.action, fields: epicResult.fields };
+    }
+
+    recordCreated(report, epicResult.action, epicKey, { issueType: "Epic", epicIndex: i });
+
+    const result = {
+      index: i,
+      ok: true,
+      action: epicResult.action,
+      epic: epicCreate,
+      epicKey,
+      stories: [],
+    };
+
+    // Counted once finished: an item whose extras fail is counted as failed only.
+    await finishItem(ctx, report, result, epicResult, item, people);
+    countAction(report.totals, "epics", epicResult.action);
+    return result;
+  } catch (e) {
+    report.totals.epicsFailed++;
+    return {
+      index: i,
+      ok: false,
+      epic: null,
+      error: e?.message || "Epic create failed",
+      jiraDetails: e?.details || null,
+      statusCode: e?.statusCode || 500,
+      stories: [],
+    };
+  }
+}
+
+/**
+ * Jira fields for a story item under `epicKey` (also used by plan mode).
+ * Returns { fields, fieldErrors }.
+ */
+export function buildStoryFields(ctx, epicItem, epicKey, s, people = null) {
+  const { jira, myAccountId, storyMeta } = ctx;
+  const storySummary = safeString(s.summary, "").trim();
+  const storyDescription = safeString(
+    s.description,
+    epicKey && epicKey !== "(dry-run)" ? `Created by Orky batch API under Epic ${epicKey}.` : "Created by Orky batch API."
+  );
+
+  const storyFields = {
+    project: { key: jira.projectKey },
+    summary: storySummary,
+    issuetype: { name: "Story" },
+    description: markdownToAdf(storyDescription),
+    parent: { key: epicKey && epicKey !== "(dry-run)" ? epicKey : "ORKY-EXAMPLE" },
+  };
+
+  // Reporter if required
+  if (storyMeta?.reporter?.required) {
+    storyFields.reporter = { accountId: myAccountId };
+  }
+
+  const merged = mergeAllowed(ctx, storyMeta, storyFields, s.fields);
+  Object.assign(merged.fields, people?.fields);
+  applyPdeIds(merged.fields, { PDEEpicID: epicItem.PDEEpicID, ...s });
+
+  const acField = process.env.JIRA_FIELD_ACCEPTANCE_CRITERIA;
+  if (acField && s.acceptanceCriteria) merged.fields[acField] = markdownToAdf(s.acceptanceCriteria);
+  return merged;
+}
+
+async function processStory(ctx, report, epicItem, epicResult, s, j) {
+  const { jira, dryRun, myAccountId, storyMeta } = ctx;
+  const epicKey = epicResult.epicKey;
+  const storySummary = safeString(s.summary, "").trim();
+
+  if (!storySummary) {
+    report.totals.storiesFailed++;
+    return {
+      index: j,
+      ok: false,
+      story: null,
+      error: "Missing summary",
+    };
+  }
+
+  const people = await resolvePeople(jira, s, { defaultAssignee: ctx.defaultAssignee });
+  if (people.errors.length > 0) {
+    report.totals.storiesFailed++;
+    return userErrorResult({ index: j, story: null }, people);
+  }
+
+  const { fields: storyFields, fieldErrors } = buildStoryFields(ctx, epicItem, epicKey, s, people);
+  if (fieldErrors.length > 0) {
+    report.totals.storiesFailed++;
+    return fieldErrorResult({ index: j, story: null }, fieldErrors);
+  }
+
+  const storyMissing = missingRequired(storyMeta, storyFields);
+  if (storyMissing.length > 0) {
+    report.totals.storiesFailed++;
+    return {
+      index: j,
+      ok: false,
+      story: null,
+      error: "Jira requires additional fields for Story.",
+      missingRequired: storyMissing,
+    };
+  }
+
+  try {
+    const storyResult = await upsertIssueByPdeId(jira, {
+      issueType: "Story",
+      pdeId: s.PDEStoryID,
+      key: s.key,
+      fields: storyFields,
+      dryRun,
+    });
+    if (dryRun) {
+      const invalid = dryRunProblems(storyMeta, storyResult);
+      if (invalid.length > 0) {
+        report.totals.storiesFailed++;
+        return invalidFieldsResult({ index: j, story: null }, invalid, storyResult.fields);
+      }
+    }
+    const storyCreate = dryRun ? { key: storyResult.key || "(dry-run)", fields: storyResult.fields } : storyResult;
+
+    recordCreated(report, storyResult.action, storyResult.key, { issueType: "Story", epicIndex: epicResult.index, storyIndex: j });
+
+    const result = {
+      index: j,
+      ok: true,
+      action: storyResult.action,
+      story: storyCreate,
+    };
+
+    await finishItem(ctx, report, result, storyResult, s, people);
+
+    if (Array.isArray(s.subtasks) && s.subtasks.length > 0) {
+      result.subtasks = await createSubtasks(jira, {
+        parentKey: storyResult.key || null,
+        subtasks: s.subtasks,
+        dryRun,
+        myAccountId,
+        getMeta: ctx.getSubtaskMeta,
+      });
+      for (const st of result.subtasks) {
+        if (st.ok) countAction(report.totals, "subtasks", st.action);
+        else report.totals.subtasksFailed++;
+        recordCreated(report, st.action, st.subtask?.key, {
+          issueType: "Subtask",
+          epicIndex: epicResult.index,
+          storyIndex: j,
+          subtaskIndex: st.index,
+        });
+      }
+    }
+
+    // Counted once finished, as in processEpic.
+    countAction(report.totals, "stories", storyResult.action);
+    return result;
+  } catch (e) {
+    report.totals.storiesFailed++;
+    return {
+      index: j,
+      ok: false,
+      story: null,
+      error: e?.message || "Story create failed",
+      jiraDetails: e?.details || null,
+      statusCode: e?.statusCode || 500,
+    };
+  }
+}
+
+// A failed single item answers with its own status: Jira's, else 400 (payload).
+function singleResult(result) {
+  if (!result.ok && !result.statusCode) result.statusCode = 400;
+  return result;
+}
+
+/**
+ * The error body of a failed single item: { ok: false, error, ...what failed
+ * (fieldErrors, userErrors, missingRequired, jiraDetails, ...) }.
+ */
+export function singleItemError(result) {
+  const { index, ok, statusCode, epic, story, stories, ...failure } = result;
+  return { ok: false, ...failure };
+}
+
+/**
+ * One epic outside a batch, exactly as a batch epic (its stories[] are ignored).
+ * Returns the epic result ({ ok, action, epic, epicKey, attachments?, watchers?,
+ * userWarnings? } or { ok: false, statusCode, error, ... }).
+ */
+export async function processSingleEpic(ctx, item) {
+  const report = createBatchReport([item], { dryRun: ctx.dryRun });
+  return singleResult(await processEpic(ctx, report, item, 0));
+}
+
+/**
+ * One story under the existing epic `epicKey`, exactly as a batch story.
+ * Throws 404 when the epic does not exist. Returns the story result ({ ok,
+ * action, story, attachments?, watchers?, placement?, userWarnings? } or
+ * { ok: false, statusCode, error, ... }).
+ */
+export async function processSingleStory(ctx, epicKey, item) {
+  try {
+    await jiraFetch(ctx.jira, `/rest/api/3/issue/${encodeURIComponent(epicKey)}?fields=key`, { method: "GET" });
+  } catch (e) {
+    if (e?.statusCode === 404) e.message = `Epic ${epicKey} not found.`;
+    throw e;
+  }
+  const report = createBatchReport([], { dryRun: ctx.dryRun });
+  return singleResult(await processStory(ctx, report, {}, { index: 0, epicKey }, item, 0));
+}
+
+/**
+ * Process epics/stories not yet present in `report`, mutating it in place.
+ *
+ * Options:
+ * - onCheckpoint(report): awaited after every epic and every story window.
+ * - deadline: epoch ms; when reached, stops before the next item.
+ *
+ * In atomic mode the first failure switches the run to rolling back; a resumed
+ * run with `report.rollback` set only continues the rollback.
+ *
+ * Returns { done } — false only when stopped by the deadline.
+ */
+export async function runBatch(ctx, epics, report, { onCheckpoint, deadline } = {}) {
+  ctx = {
+    ...ctx,
+    jira: {
+      ...ctx.jira,
+      onRetry: ({ status }) => {
+        report.totals.retries++;
+        if (status === 429) report.totals.rateLimited++;
+      },
+    },
+  };
+
+  const checkpoint = async () => {
+    if (onCheckpoint) await onCheckpoint(report);
+  };
+  const outOfTime = () => deadline !== undefined && Date.now() >= deadline;
+  const mustRollBack = () => report.atomic && (report.rollback || firstFailure(report));
+
+  if (mustRollBack()) return rollBack(ctx, report, { checkpoint, outOfTime });
+
+  for (let i = 0; i < epics.length; i++) {
+    const item = epics[i] || {};
+
+    if (!report.results[i]) {
+      if (outOfTime()) return { done: false };
+      report.results[i] = await processEpic(ctx, report, item, i);
+      await checkpoint();
+      if (mustRollBack()) return rollBack(ctx, report, { checkpoint, outOfTime });
+    }
+
+    const epicResult = report.results[i];
+    if (!epicResult.ok) continue;
+
+    // Stories go in windows of `concurrency`; the checkpoint after each window
+    // keeps `stories.length` a valid resume cursor.
+    const stories = Array.isArray(item.stories) ? item.stories : [];
+    for (let j = epicResult.stories.length; j < stories.length; j += ctx.concurrency) {
+      if (outOfTime()) return { done: false };
+      const window = stories.slice(j, j + ctx.concurrency);
+      const done = await mapWithConcurrency(window, ctx.concurrency, (s, k) =>
+        processStory(ctx, report, item, epicResult, s || {}, j + k)
+      );
+      epicResult.stories.push(...done);
+      await checkpoint();
+      if (mustRollBack()) return rollBack(ctx, report, { checkpoint, outOfTime });
+    }
+  }
+
+  if (!(await runLinks(ctx, epics, report, { checkpoint, outOfTime }))) return { done: false };
+  if (mustRollBack()) return rollBack(ctx, report, { checkpoint, outOfTime });
+
+  report.finishedAt = new Date().toISOString();
+  return { done: true };
+}
+
+/**
+ * Describe the first failed item in the report, or null when nothing failed.
+ */
+function firstFailure(report) {
+  for (const epic of report.results) {
+    if (!epic) continue;
+    if (!epic.ok) return `Epic ${epic.index} failed: ${epic.error}`;
+    const epicAtt = (epic.attachments || []).find((a) => !a.ok);
+    if (epicAtt) return `Attachment "${epicAtt.filename}" on epic ${epic.index} failed: ${epicAtt.error}`;
+
+    for (const story of epic.stories) {
+      if (!story.ok) return `Story ${epic.index}.${story.index} failed: ${story.error}`;
+      const att = (story.attachments || []).find((a) => !a.ok);
+      if (att) return `Attachment "${att.filename}" on story ${epic.index}.${story.index} failed: ${att.error}`;
+      if (placementFailed(story.placement)) return `Placement of story ${epic.index}.${story.index} failed.`;
+      const sub = (story.subtasks || []).find((st) => !st.ok);
+      if (sub) return `Subtask ${epic.index}.${story.index}.${sub.index} failed: ${sub.error}`;
+
+      for (const owner of [story, ...(story.subtasks || [])]) {
+        const link = (owner.links || []).find((l) => !l.ok);
+        if (link) return `Link "${link.type}" on story ${epic.index}.${story.index} failed: ${link.error}`;
+      }
+    }
+  }
+  return null;
+}
+
+async function rollBack(ctx, report, { checkpoint, outOfTime }) {
+  if (!report.rollback) {
+    report.ok = false;
+    report.rollback = {
+      reason: firstFailure(report),
+      mode: rollbackConfig().mode,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      rolledBack: [],
+      failed: [],
+    };
+    await checkpoint();
+  }
+
+  const { done } = await rollbackCreated(ctx.jira, report, { onProgress: checkpoint, outOfTime });
+  if (!done) return { done: false };
+
+  report.finishedAt = new Date().toISOString();
+  return { done: true };
+}
+
+function itemKey(key) {
+  return key && key !== "(dry-run)" ? key : null;
+}
+
+/**
+ * PDE ID -> Jira key (null when the item was not created) for every payload item.
+ */
+function pdeKeyIndex(epics, report) {
+  const index = new Map();
+  const put = (pdeId, key) => {
+    if (pdeId && !index.get(String(pdeId))) index.set(String(pdeId), key || null);
+  };
+
+  epics.forEach((item, i) => {
+    const epicResult = report.results[i];
+    put(item?.PDEEpicID, itemKey(epicResult?.epicKey));
+
+    (item?.stories || []).forEach((s, j) => {
+      const storyResult = epicResult?.stories?.[j];
+      put(s?.PDEStoryID, itemKey(storyResult?.story?.key));
+
+      (s?.subtasks || []).forEach((st, k) => put(st?.PDESubtaskID, itemKey(storyResult?.subtasks?.[k]?.subtask?.key)));
+    });
+  });
+
+  return index;
+}
+
+/**
+ * Link pass: one epic at a time, skipping stories whose links are already reported.
+ */
+async function runLinks(ctx, epics, report, { checkpoint, outOfTime }) {
+  let pdeKeys = null;
+
+  for (let i = 0; i < epics.length; i++) {
+    const epicResult = report.results[i];
+    if (!epicResult?.ok) continue;
+
+    const pending = [];
+    (epics[i]?.stories || []).forEach((s, j) => {
+      const storyResult = epicResult.stories[j];
+      if (!storyResult) return;
+
+      if (Array.isArray(s?.links) && s.links.length > 0 && !storyResult.links) {
+        pending.push({ target: storyResult, key: itemKey(storyResult.story?.key), links: s.links });
+      }
+      (s?.subtasks || []).forEach((st, k) => {
+        const subtaskResult = storyResult.subtasks?.[k];
+        if (subtaskResult && Array.isArray(st?.links) && st.links.length > 0 && !subtaskResult.links) {
+          pending.push({ target: subtaskResult, key: itemKey(subtaskResult.subtask?.key), links: st.links });
+        }
+      });
+    });
+    if (pending.length === 0) continue;
+
+    if (outOfTime()) return false;
+    pdeKeys = pdeKeys || pdeKeyIndex(epics, report);
+
+    const results = await createPayloadLinks(ctx.jira, {
+      sources: pending,
+      pdeKeys,
+      dryRun: ctx.dryRun,
+      getLinkTypes: ctx.getLinkTypes,
+    });
+
+    pending.forEach((p, n) => {
+      p.target.links = results[n];
+      for (const l of results[n]) {
+        if (l.ok) report.totals.linksCreated++;
+        else report.totals.linksFailed++;
+      }
+    });
+    await checkpoint();
+  }
+
+  return true;
+}
@@ -0,0 +1,160 @@
+// api/_lib/intake_export.js
+//
+// Read epics back out of Jira as a batch intake payload (GET /api/intake/export).
+//
+// Each epic is exported with its child stories and their subtasks:
+//   key, PDE IDs (JIRA_FIELD_PDE_EPIC_ID / _STORY_ID / _SUBTASK_ID), summary,
+//   description and acceptance criteria (JIRA_FIELD_ACCEPTANCE_CRITERIA) as
+//   Markdown, and labels under `fields`.
+// The result validates against BatchPayload, so it can be edited and sent to
+// /api/intake/batch again. Epics and stories carry `key` and update in place;
+// subtasks are matched by PDESubtaskID only (the schema has no subtask key).
+//
+// ADF -> Markdown is lossy for content Markdown cannot express (panels, mentions,
+// colours); see adf.js.
+
+import { adfToMarkdown } from "./adf.js";
+import { searchIssues } from "./jira.js";
+import { fieldValueText, jqlString } from "./pde_upsert.js";
+
+const PAGE_SIZE = 100;
+const KEY_CHUNK = 50;
+
+function pdeFields() {
+  return {
+    epic: process.env.JIRA_FIELD_PDE_EPIC_ID || null,
+    story: process.env.JIRA_FIELD_PDE_STORY_ID || null,
+    subtask: process.env.JIRA_FIELD_PDE_SUBTASK_ID || null,
+    ac: process.env.JIRA_FIELD_ACCEPTANCE_CRITERIA || null,
+  };
+}
+
+function requestedFields() {
+  const f = pdeFields();
+  return ["summary", "description", "labels", "issuetype", "parent", f.epic, f.story, f.subtask, f.ac].filter(Boolean);
+}
+
+function searchAll(jira, jql, { limit = Infinity } = {}) {
+  return searchIssues(jira, jql, { fields: requestedFields(), limit, pageSize: PAGE_SIZE });
+}
+
+async function childrenOf(jira, parentKeys) {
+  const out = [];
+  for (let i = 0; i < parentKeys.length; i += KEY_CHUNK) {
+    const keys = parentKeys.slice(i, i + KEY_CHUNK).map(jqlString).join(", ");
+    out.push(...(await searchAll(jira, `parent in (${keys}) ORDER BY key ASC`)));
+  }
+  return out;
+}
+
+function markdownOf(v) {
+  if (v === null || v === undefined || v === "") return undefined;
+  const md = (typeof v === "object" ? adfToMarkdown(v) : String(v)).trim();
+  return md || undefined;
+}
+
+function textOf(v) {
+  const t = fieldValueText(v).trim();
+  return t || undefined;
+}
+
+function labelsOf(f) {
+  return Array.isArray(f.labels) && f.labels.length > 0 ? { labels: f.labels } : undefined;
+}
+
+// Drop undefined keys so the payload stays minimal and schema-valid.
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+}
+
+function toSubtask(issue) {
+  const f = issue.fields || {};
+  const ids = pdeFields();
+  return compact({
+    PDESubtaskID: ids.subtask ? textOf(f[ids.subtask]) : undefined,
+    summary: f.summary,
+    description: markdownOf(f.description),
+    fields: labelsOf(f),
+  });
+}
+
+function toStory(issue, subtasks) {
+  const f = issue.fields || {};
+  const ids = pdeFields();
+  return compact({
+    key: issue.key,
+    PDEStoryID: ids.story ? textOf(f[ids.story]) : undefined,
+    summary: f.summary,
+    description: markdownOf(f.description),
+    acceptanceCriteria: ids.ac ? markdownOf(f[ids.ac]) : undefined,
+    fields: labelsOf(f),
+    subtasks: subtasks.length > 0 ? subtasks.map(toSubtask) : undefined,
+  });
+}
+
+function toEpic(issue, stories) {
+  const f = issue.fields || {};
+  const ids = pdeFields();
+  return compact({
+    key: issue.key,
+    PDEEpicID: ids.epic ? textOf(f[ids.epic]) : undefined,
+    summary: f.summary,
+    description: markdownOf(f.description),
+    fields: labelsOf(f),
+    stories,
+  });
+}
+
+function groupByParent(issues) {
+  const byParent = new Map();
+  for (const it of issues) {
+    const parent = it.fields?.parent?.key;
+    if (!parent) continue;
+    if (!byParent.has(parent)) byParent.set(parent, []);
+    byParent.get(parent).push(it);
+  }
+  return byParent;
+}
+
+/**
+ * Export epics selected by `epicKey` or `jql` (at most `limit` epics).
+ * Issues matched by `jql` that are not epics are listed in `skipped`.
+ * Returns { epics, skipped }.
+ */
+export async function exportEpics(jira, { epicKey, jql, limit = 50 }) {
+  const selected = epicKey
+    ? await searchAll(jira, `key = ${jqlString(epicKey)}`, { limit: 1 })
+    : await searchAll(jira, jql, { limit });
+
+  if (epicKey && selected.length === 0) {
+    const e = new Error(`Issue ${epicKey} not found.`);
+    e.statusCode = 404;
+    throw e;
+  }
+
+  const epicIssues = selected.filter((it) => it.fields?.issuetype?.name === "Epic");
+  const skipped = selected
+    .filter((it) => it.fields?.issuetype?.name !== "Epic")
+    .map((it) => ({ key: it.key, issueType: it.fields?.issuetype?.name || null }));
+
+  if (epicKey && epicIssues.length === 0) {
+    const e = new Error(`${epicKey} is not an Epic.`);
+    e.statusCode = 400;
+    e.details = { skipped };
+    throw e;
+  }
+
+  const children = await childrenOf(jira, epicIssues.map((it) => it.key));
+  const stories = children.filter((it) => !it.fields?.issuetype?.subtask);
+  const subtasksByStory = groupByParent(await childrenOf(jira, stories.map((it) => it.key)));
+  const storiesByEpic = groupByParent(stories);
+
+  const epics = epicIssues.map((epic) =>
+    toEpic(
+      epic,
+      (storiesByEpic.get(epic.key) || []).map((s) => toStory(s, subtasksByStory.get(s.key) || []))
+    )
+  );
+
+  return { epics, skipped };
+}
@@ -0,0 +1,342 @@
+// api/_lib/intake_formats.js
+//
+// CSV and YAML bodies for the intake routes, converted into the JSON `epics[]`
+// shape each route already accepts.
+//
+// Epics and stories use the canonical schema keys (summary / description,
+// see api/_lib/intake_schema.js); the result is validated like a JSON body.
+//
+// Format is picked from Content-Type (or ?format=csv|yaml|json):
+//   text/csv                                          -> CSV
+//   application/yaml, application/x-yaml, text/yaml   -> YAML
+//   anything else                                     -> JSON (req.body as parsed by the runtime)
+//
+// CSV: one row per story, header row required, column names are matched
+// case-insensitively ignoring spaces/underscores/dashes:
+//   PDEEpicID | Epic ID          epic grouping key (falls back to Epic Summary)
+//   Epic Summary | Epic Title
+//   Epic Description
+//   PDEStoryID | Story ID
+//   Story Summary | Story Title | Summary | Title
+//   Story Description | Description
+//   Acceptance Criteria | AC     multi-line cells are fine (quote them)
+//   fields.<jiraField>           extra story field, e.g. fields.labels, fields.priority
+//   epic.fields.<jiraField>      extra epic field
+// Rows sharing an epic key become one epic; a row without story columns only
+// describes the epic. Bad rows are skipped and reported in `parseErrors` as
+// { row, error }, where `row` is the 1-based line the record starts on. An epic
+// none of whose rows gives an Epic Summary is skipped with its stories.
+//
+// CSV bodies take their batch options from the query string (csvOptionsFromQuery).
+//
+// YAML: the same document as the JSON body; a top-level list is read as `epics`.
+
+import { parse as parseYaml } from "yaml";
+import { INTAKE_SCHEMA } from "./intake_schema.js";
+import { readRawBody } from "./raw_body.js";
+
+const YAML_TYPES = new Set(["application/yaml", "application/x-yaml", "text/yaml", "text/x-yaml"]);
+
+const COLUMN_ALIASES = {
+  pdeepicid: "epicId",
+  epicid: "epicId",
+  epicsummary: "epicSummary",
+  epictitle: "epicSummary",
+  epic: "epicSummary",
+  epicdescription: "epicDescription",
+  pdestoryid: "storyId",
+  storyid: "storyId",
+  storysummary: "storySummary",
+  storytitle: "storySummary",
+  summary: "storySummary",
+  title: "storySummary",
+  story: "storySummary",
+  storydescription: "storyDescription",
+  description: "storyDescription",
+  acceptancecriteria: "acceptanceCriteria",
+  ac: "acceptanceCriteria",
+};
+
+function formatError(message, details) {
+  const e = new Error(message);
+  e.statusCode = 400;
+  e.details = details || null;
+  return e;
+}
+
+function contentTypeOf(req) {
+  return String(req.headers?.["content-type"] || "").split(";")[0].trim().toLowerCase();
+}
+
+export function detectIntakeFormat(req) {
+  const q = String(req.query?.format || "").toLowerCase();
+  if (q === "csv" || q === "yaml" || q === "yml" || q === "json") return q === "yml" ? "yaml" : q;
+
+  const type = contentTypeOf(req);
+  if (type === "text/csv" || type === "application/csv") return "csv";
+  if (YAML_TYPES.has(type)) return "yaml";
+  return "json";
+}
+
+const OPTION_SCHEMAS = INTAKE_SCHEMA.$defs.Options.properties;
+
+/**
+ * Batch options for a CSV body, from the query string: every key of the schema's
+ * Options (?dryRun=1&atomic=true&concurrency=4&apply=<planHash>). Booleans take
+ * 1/true/0/false and integers digits; anything else is passed through as text so
+ * validation reports it under /options/<name>.
+ */
+export function csvOptionsFromQuery(query = {}) {
+  const options = {};
+  for (const [name, schema] of Object.entries(OPTION_SCHEMAS)) {
+    const raw = Array.isArray(query[name]) ? query[name][0] : query[name];
+    if (raw === undefined) continue;
+    const v = String(raw).trim();
+    if (schema.type === "boolean" && /^(1|true|0|false)$/i.test(v)) options[name] = /^(1|true)$/i.test(v);
+    else if (schema.type === "integer" && /^-?\d+$/.test(v)) options[name] = Number(v);
+    else options[name] = v;
+  }
+  return options;
+}
+
+// ------------------- CSV -------------------
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  const counts = [",", ";", "\t"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+/**
+ * RFC 4180 parser. Returns [{ line, cells }] where `line` is the 1-based line
+ * the record starts on, plus an error for an unterminated quote.
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (!(cells.length === 1 && cells[0] === "")) records.push({ line: recordLine, cells });
+    cells = [];
+    cell = "";
+  };
+
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n") line += 1;
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && cell === "") {
+      inQuotes = true;
+      quoteLine = line;
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      endRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (inQuotes) {
+    return { records, error: { row: recordLine, error: `Unterminated quoted cell starting on line ${quoteLine}` } };
+  }
+  if (cell !== "" || cells.length > 0) endRecord();
+  return { records, error: null };
+}
+
+function normalizeHeader(h) {
+  return String(h || "").trim().toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+function mapHeader(raw) {
+  const h = String(raw || "").trim();
+  const epicField = h.match(/^epic[\s_.-]*fields\.(.+)$/i);
+  if (epicField) return { kind: "epicField", name: epicField[1].trim() };
+  const storyField = h.match(/^(?:story[\s_.-]*)?fields\.(.+)$/i);
+  if (storyField) return { kind: "storyField", name: storyField[1].trim() };
+
+  const key = COLUMN_ALIASES[normalizeHeader(h)];
+  return key ? { kind: "column", name: key } : { kind: "ignored", name: h };
+}
+
+function csvFieldValue(name, raw) {
+  const v = String(raw).trim();
+  if (/^[[{]/.test(v)) {
+    try {
+      return JSON.parse(v);
+    } catch {
+      // fall through: keep as text
+    }
+  }
+  if (name === "labels") return v.split(/[,\s]+/).filter(Boolean);
+  if (name === "components") return v.split(/\s*,\s*/).filter(Boolean).map((c) => ({ name: c }));
+  return v;
+}
+
+/**
+ * Convert CSV text into { epics, parseErrors }.
+ */
+export function csvToEpics(text) {
+  const parseErrors = [];
+
+  const { records, error } = parseCsv(String(text || ""));
+  if (error) parseErrors.push(error);
+  if (records.length === 0) return { epics: [], parseErrors: [...parseErrors, { row: 1, error: "CSV has no header row" }] };
+
+  const [headerRec, ...rows] = records;
+  const columns = headerRec.cells.map(mapHeader);
+  const known = new Set(columns.filter((c) => c.kind === "column").map((c) => c.name));
+
+  if (!known.has("epicId") && !known.has("epicSummary")) {
+    return {
+      epics: [],
+      parseErrors: [...parseErrors, { row: headerRec.line, error: "CSV needs an Epic ID or Epic Summary column" }],
+    };
+  }
+
+  const epics = [];
+  const epicsByKey = new Map();
+  const epicRows = new Map(); // epic -> line of its first row
+
+  for (const { line, cells } of rows) {
+    if (cells.every((c) => !String(c).trim())) continue;
+
+    if (cells.length > columns.length) {
+      parseErrors.push({ row: line, error: `Row has ${cells.length} cells but the header has ${columns.length}` });
+      continue;
+    }
+
+    const row = {};
+    const storyFields = {};
+    const epicFields = {};
+    columns.forEach((col, idx) => {
+      const value = cells[idx] ?? "";
+      if (!String(value).trim()) return;
+      if (col.kind === "column") row[col.name] = col.name === "acceptanceCriteria" ? value : String(value).trim();
+      else if (col.kind === "storyField") storyFields[col.name] = csvFieldValue(col.name, value);
+      else if (col.kind === "epicField") epicFields[col.name] = csvFieldValue(col.name, value);
+    });
+
+    const epicKey = row.epicId || row.epicSummary;
+    if (!epicKey) {
+      parseErrors.push({ row: line, error: "Missing Epic ID and Epic Summary" });
+      continue;
+    }
+
+    let epic = epicsByKey.get(epicKey);
+    if (!epic) {
+      epic = {};
+      if (row.epicId) epic.PDEEpicID = row.epicId;
+      epic.summary = row.epicSummary || "";
+      if (row.epicDescription) epic.description = row.epicDescription;
+      epic.stories = [];
+      epicsByKey.set(epicKey, epic);
+      epicRows.set(epic, line);
+      epics.push(epic);
+    }
+    // Later rows of the same epic may fill in epic columns left blank earlier.
+    if (row.epicSummary && !epic.summary) epic.summary = row.epicSummary;
+    if (row.epicDescription && !epic.description) epic.description = row.epicDescription;
+    if (Object.keys(epicFields).length > 0) epic.fields = { ...epicFields, ...(epic.fields || {}) };
+
+    const hasStory =
+      row.storyId || row.storySummary || row.storyDescription || row.acceptanceCriteria || Object.keys(storyFields).length > 0;
+    if (!hasStory) continue;
+
+    if (!row.storySummary) {
+      parseErrors.push({ row: line, error: "Story row is missing Story Summary" });
+      continue;
+    }
+
+    const story = { summary: row.storySummary };
+    if (row.storyId) story.PDEStoryID = row.storyId;
+    if (row.epicId) story.PDEEpicID = row.epicId;
+    if (row.storyDescription) story.description = row.storyDescription;
+    if (row.acceptanceCriteria) story.acceptanceCriteria = row.acceptanceCriteria;
+    if (Object.keys(storyFields).length > 0) story.fields = storyFields;
+
+    epic.stories.push(story);
+  }
+
+  // Only known once every row is read: no row of the group gave a summary.
+  const named = epics.filter((epic) => {
+    if (epic.summary) return true;
+    parseErrors.push({ row: epicRows.get(epic), error: `Epic ${epic.PDEEpicID} has no Epic Summary` });
+    return false;
+  });
+
+  return { epics: named, parseErrors };
+}
+
+// ------------------- Entry point -------------------
+
+/**
+ * Read the request body in whatever format it was sent.
+ * Returns { format, body, parseErrors }; throws 400 when nothing usable was sent.
+ */
+export async function readIntakeBody(req) {
+  const format = detectIntakeFormat(req);
+
+  if (format === "json") {
+    let body = req.body;
+    if (typeof body === "string" || Buffer.isBuffer(body)) {
+      try {
+        body = JSON.parse(body.toString() || "{}");
+      } catch (e) {
+        throw formatError(`Invalid JSON body: ${e.message}`);
+      }
+    }
+    return { format, body: body || {}, parseErrors: [] };
+  }
+
+  const bytes = await readRawBody(req);
+  if (bytes === null && req.body && typeof req.body === "object") {
+    // Already parsed by the runtime (e.g. ?format=yaml on a JSON request).
+    return { format: "json", body: req.body, parseErrors: [] };
+  }
+
+  const raw = bytes ? bytes.toString("utf8") : "";
+  if (format === "yaml") {
+    let doc;
+    try {
+      doc = parseYaml(raw);
+    } catch (e) {
+      const pos = e?.linePos?.[0];
+      throw formatError(`Invalid YAML body: ${e.message}`, pos ? { line: pos.line, col: pos.col } : null);
+    }
+    const body = Array.isArray(doc) ? { epics: doc } : doc || {};
+    return { format, body, parseErrors: [] };
+  }
+
+  const { epics, parseErrors } = csvToEpics(raw);
+  const options = csvOptionsFromQuery(req.query);
+
+  if (epics.length === 0) {
+    throw formatError("CSV produced no epics.", { parseErrors });
+  }
+  return { format, body: { epics, options }, parseErrors };
+}
@@ -0,0 +1,217 @@
+// api/_lib/intake_jobs.js
+//
+// Async batch intake jobs (orky_intake_jobs).
+//
+// Lifecycle: QUEUED -> RUNNING -> SUCCEEDED | FAILED
+//
+// A job is processed in time-boxed slices. Each slice claims a lease
+// (locked_by / lock_expires_at, same idea as orky_runs), resumes runBatch()
+// from the stored report and saves the report after every epic/story.
+// If the slice runs out of time it releases the lease and triggers the next
+// slice; if the function dies instead, the lease expires and the intake-jobs
+// cron picks the job up again (every 2 minutes, see vercel.json). A slice
+// (INTAKE_JOB_SLICE_MS, default 40000) must end within the 60s maxDuration that
+// vercel.json gives the cron and /api/intake/jobs/:id.
+//
+// A crash between a Jira create and the checkpoint write can repeat that one
+// item on resume; items with PDE IDs are upserted, so they are not duplicated.
+
+import crypto from "crypto";
+import { supabase } from "./supabase.js";
+import { createBatchReport, loadBatchContext, runBatch } from "./intake_batch.js";
+import { normalizeEpic } from "./intake_schema.js";
+
+const JOBS_TABLE = "orky_intake_jobs";
+
+const SLICE_MS = Number(process.env.INTAKE_JOB_SLICE_MS || 40000);
+const LEASE_MS = SLICE_MS + 30000;
+const MAX_ATTEMPTS = Number(process.env.INTAKE_JOB_MAX_ATTEMPTS || 5);
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+function leaseUntil() {
+  return new Date(Date.now() + LEASE_MS).toISOString();
+}
+
+/**
+ * Queue a batch payload as a job owned by `clientName` (see getIntakeJob).
+ */
+export async function createIntakeJob(payload, { clientName = null } = {}) {
+  const epics = Array.isArray(payload?.epics) ? payload.epics : [];
+  const dryRun = !!payload?.options?.dryRun;
+  const atomic = !!payload?.options?.atomic;
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .insert({
+      status: "QUEUED",
+      client_name: clientName,
+      payload,
+      report: createBatchReport(epics, { dryRun, atomic, startedAt: null }),
+    })
+    .select("id, status, created_at")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function getIntakeJob(jobId) {
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select("id, status, client_name, report, attempts, last_error, created_at, updated_at, finished_at")
+    .eq("id", jobId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function claimJob(jobId, workerId) {
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .update({
+      status: "RUNNING",
+      locked_by: workerId,
+      lock_expires_at: leaseUntil(),
+      updated_at: nowIso,
+    })
+    .eq("id", jobId)
+    .in("status", ["QUEUED", "RUNNING"])
+    .or(`lock_expires_at.is.null,lock_expires_at.lt.${nowIso}`)
+    .select("id, payload, report, attempts")
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateClaimed(jobId, workerId, patch) {
+  const { error } = await supabase
+    .from(JOBS_TABLE)
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", jobId)
+    .eq("locked_by", workerId);
+
+  if (error) throw error;
+}
+
+/**
+ * Job ids whose lease is free (never started, released, or expired after a crash).
+ */
+export async function listRunnableIntakeJobs(limit = 5) {
+  const nowIso = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from(JOBS_TABLE)
+    .select("id")
+    .in("status", ["QUEUED", "RUNNING"])
+    .or(`lock_expires_at.is.null,lock_expires_at.lt.${nowIso}`)
+    .order("created_at", { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return (data || []).map((r) => r.id);
+}
+
+/**
+ * Run one time-boxed slice of a job.
+ * Returns { claimed, done, status }; claimed=false means another worker holds the lease.
+ */
+export async function runIntakeJobSlice(jobId) {
+  const workerId = `intake-${crypto.randomUUID()}`;
+  const job = await claimJob(jobId, workerId);
+  if (!job) return { claimed: false, done: false, status: null };
+
+  const attempts = (job.attempts || 0) + 1;
+  const report = job.report || createBatchReport(job.payload?.epics || []);
+  if (!report.startedAt) report.startedAt = new Date().toISOString();
+
+  try {
+    if (attempts > MAX_ATTEMPTS) {
+      throw new Error(`Job exceeded ${MAX_ATTEMPTS} attempts without finishing.`);
+    }
+
+    await updateClaimed(jobId, workerId, { attempts, report });
+
+    const jira = {
+      baseUrl: mustEnv("JIRA_BASE_URL"),
+      email: mustEnv("JIRA_EMAIL"),
+      apiToken: mustEnv("JIRA_API_TOKEN"),
+      projectKey: mustEnv("JIRA_PROJECT_KEY"),
+    };
+
+    // Payloads are stored normalized; this also covers jobs queued with legacy keys.
+    const epics = (Array.isArray(job.payload?.epics) ? job.payload.epics : []).map(normalizeEpic);
+    const ctx = await loadBatchContext(jira, {
+      dryRun: !!report.dryRun,
+      concurrency: job.payload?.options?.concurrency,
+      defaultAssignee: !!job.payload?.options?.defaultAssignee,
+      createVersions: job.payload?.options?.createVersions,
+    });
+
+    const { done } = await runBatch(ctx, epics, report, {
+      deadline: Date.now() + SLICE_MS,
+      onCheckpoint: (r) => updateClaimed(jobId, workerId, { report: r, lock_expires_at: leaseUntil() }),
+    });
+
+    if (done) {
+      await updateClaimed(jobId, workerId, {
+        status: "SUCCEEDED",
+        report,
+        locked_by: null,
+        lock_expires_at: null,
+        finished_at: new Date().toISOString(),
+      });
+      return { claimed: true, done: true, status: "SUCCEEDED" };
+    }
+
+    // Out of time: release the lease so the next slice can claim it. A
+    // finished slice does not count as a failed attempt.
+    await updateClaimed(jobId, workerId, { report, attempts: 0, locked_by: null, lock_expires_at: null });
+    return { claimed: true, done: false, status: "RUNNING" };
+  } catch (e) {
+    const msg = String(e?.message || e);
+    console.error("[intake-jobs] slice failed:", jobId, msg);
+
+    const failed = attempts >= MAX_ATTEMPTS;
+    await updateClaimed(jobId, workerId, {
+      status: failed ? "FAILED" : "RUNNING",
+      report: failed ? { ...report, ok: false, finishedAt: new Date().toISOString() } : report,
+      last_error: msg,
+      locked_by: null,
+      lock_expires_at: null,
+      ...(failed ? { finished_at: new Date().toISOString() } : {}),
+    }).catch(() => {});
+
+    return { claimed: true, done: failed, status: failed ? "FAILED" : "RUNNING" };
+  }
+}
+
+/**
+ * Fire the next slice through the public route without waiting for it to finish.
+ * A serverless function cannot outlive its response, so each slice is its own request.
+ */
+export async function triggerIntakeJobSlice(baseUrl, jobId) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 1500);
+
+  try {
+    await fetch(`${baseUrl}/api/intake/jobs/${encodeURIComponent(jobId)}`, {
+      method: "POST",
+      headers: { authorization: `Bearer ${mustEnv("ORKY_API_KEY")}` },
+      signal: controller.signal,
+    });
+  } catch (e) {
+    // Aborting is expected; the cron sweep covers a trigger that never landed.
+    if (e?.name !== "AbortError") console.error("[intake-jobs] trigger failed:", jobId, e?.message || e);
+  } finally {
+    clearTimeout(timer);
+  }
+}
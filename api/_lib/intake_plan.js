@@ -0,0 +1,272 @@
+// api/_lib/intake_plan.js
+//
+// Plan/apply for batch intake (options.plan / options.apply on /api/intake/batch).
+//
+// plan:  resolve every epic/story of the payload to its Jira issue (by `key`, else
+//        by PDE ID), fetch the current fields and diff them against what intake
+//        would send. Each item gets an action:
+//          create   no issue yet
+//          update   issue exists, `changes` lists { field, from, to }
+//          noop     issue exists and already matches
+//          orphan   child of a planned epic in Jira that the payload does not mention
+//          error    referenced issue could not be read, `fields` has unknown or
+//                   ambiguous names, or required fields are missing
+//        The plan is summarized by `planHash`, a hash of every item's key, action
+//        and changes (including the current Jira values).
+//
+// apply: re-plan the same payload; if the hash differs from the one given, Jira or
+//        the payload changed and nothing is written (409 with the fresh plan).
+//        Otherwise creates are created and updates PUT only the changed fields.
+//        Orphans are reported, never touched.
+//
+// Compared fields: summary, description and acceptance criteria (as Markdown, only
+// when the payload sets them), parent, labels, PDE IDs and anything under `fields`.
+
+import { adfToMarkdown, markdownToAdf } from "./adf.js";
+import { jiraFetch, searchIssues } from "./jira.js";
+import { fieldsHash, findIssueByPdeId, upsertIssueByPdeId } from "./pde_upsert.js";
+import { buildEpicFields, buildStoryFields, missingRequired } from "./intake_batch.js";
+
+// Sent on create only; never diffed.
+const NOT_COMPARED = new Set(["project", "issuetype", "reporter"]);
+
+function isAdf(v) {
+  return !!v && typeof v === "object" && v.type === "doc";
+}
+
+// Both sides as adfToMarkdown writes them, so a plain-text value (a text custom
+// field) and the ADF intake would send compare equal when they say the same.
+function markdownOf(v) {
+  return adfToMarkdown(isAdf(v) ? v : markdownToAdf(String(v ?? ""))).trim();
+}
+
+function displayValue(v) {
+  return isAdf(v) ? adfToMarkdown(v) : v ?? null;
+}
+
+function sameValue(want, have) {
+  if (isAdf(want) || isAdf(have)) return markdownOf(want) === markdownOf(have);
+  if (want === null || want === undefined) {
+    return have === null || have === undefined || have === "" || (Array.isArray(have) && have.length === 0);
+  }
+  if (Array.isArray(want)) {
+    if (!Array.isArray(have) || have.length !== want.length) return false;
+    if (want.every((v) => typeof v === "string") && have.every((v) => typeof v === "string")) {
+      return [...want].sort().join("\n") === [...have].sort().join("\n");
+    }
+    return want.every((v, i) => sameValue(v, have[i]));
+  }
+  if (typeof want === "object") {
+    // Jira returns richer objects ({ id, self, name, ... }); compare what we send.
+    if (!have || typeof have !== "object") return false;
+    return Object.keys(want).every((k) => sameValue(want[k], have[k]));
+  }
+  return String(want) === String(have ?? "");
+}
+
+function comparedFields(fields, input) {
+  const acField = process.env.JIRA_FIELD_ACCEPTANCE_CRITERIA;
+  return Object.keys(fields).filter((f) => {
+    if (NOT_COMPARED.has(f)) return false;
+    // Unset description / AC would only diff against the default intake text.
+    if (f === "description" && input.description === undefined) return false;
+    if (f === acField && input.acceptanceCriteria === undefined) return false;
+    return true;
+  });
+}
+
+async function resolveIssue(jira, issueType, input, pdeId) {
+  if (input.key) return { key: input.key, source: "key" };
+  if (!pdeId) return null;
+  const found = await findIssueByPdeId(jira, issueType, pdeId);
+  return found ? { key: found.key, source: found.source } : null;
+}
+
+async function planItem(ctx, { ref, issueType, input, pdeId, fields, fieldErrors, meta }) {
+  const item = { ref, issueType, key: null, source: null, action: null, changes: [] };
+  if (fieldErrors.length > 0) {
+    return { ...item, action: "error", error: "Unknown or ambiguous field names.", fieldErrors };
+  }
+
+  try {
+    const existing = await resolveIssue(ctx.jira, issueType, input, pdeId);
+    const compared = comparedFields(fields, input);
+
+    if (!existing) {
+      const missing = missingRequired(meta, fields);
+      if (missing.length > 0) {
+        return { ...item, action: "error", error: `Jira requires additional fields for ${issueType}.`, missingRequired: missing };
+      }
+      item.action = "create";
+      item.changes = compared.map((field) => ({ field, from: null, to: displayValue(fields[field]) }));
+      return item;
+    }
+
+    item.key = existing.key;
+    item.source = existing.source;
+
+    const current = await jiraFetch(
+      ctx.jira,
+      `/rest/api/3/issue/${encodeURIComponent(existing.key)}?fields=${encodeURIComponent(compared.join(","))}`,
+      { method: "GET" }
+    );
+    const have = current?.fields || {};
+
+    item.changes = compared
+      .filter((field) => !sameValue(fields[field], have[field]))
+      .map((field) => ({ field, from: displayValue(have[field]), to: displayValue(fields[field]) }));
+    item.action = item.changes.length > 0 ? "update" : "noop";
+    return item;
+  } catch (e) {
+    return { ...item, action: "error", error: e?.message || "Could not read Jira state", statusCode: e?.statusCode || 500 };
+  }
+}
+
+async function childKeys(jira, epicKey) {
+  const issues = await searchIssues(jira, `parent = "${epicKey}" ORDER BY key ASC`, { fields: ["summary", "issuetype"] });
+  return issues.map((it) => ({ key: it.key, summary: it.fields?.summary || null, issueType: it.fields?.issuetype?.name || null }));
+}
+
+function newEpicRef(i) {
+  return `(new epic /epics/${i})`;
+}
+
+/**
+ * Diff the payload against Jira. Returns { planHash, totals, items }.
+ */
+export async function buildPlan(ctx, epics) {
+  const items = [];
+
+  for (let i = 0; i < epics.length; i++) {
+    const epicIn = epics[i] || {};
+    const epicItem = await planItem(ctx, {
+      ref: `/epics/${i}`,
+      issueType: "Epic",
+      input: epicIn,
+      pdeId: epicIn.PDEEpicID,
+      ...buildEpicFields(ctx, epicIn),
+      meta: ctx.epicMeta,
+    });
+    items.push(epicItem);
+
+    const storyKeys = new Set();
+    const stories = Array.isArray(epicIn.stories) ? epicIn.stories : [];
+    for (let j = 0; j < stories.length; j++) {
+      const s = stories[j] || {};
+      const { fields, fieldErrors } = buildStoryFields(ctx, epicIn, epicItem.key, s);
+      if (!epicItem.key) fields.parent = { key: newEpicRef(i) };
+
+      const storyItem = await planItem(ctx, {
+        ref: `/epics/${i}/stories/${j}`,
+        issueType: "Story",
+        input: s,
+        pdeId: s.PDEStoryID,
+        fields,
+        fieldErrors,
+        meta: ctx.storyMeta,
+      });
+      if (storyItem.key) storyKeys.add(storyItem.key);
+      items.push(storyItem);
+    }
+
+    if (epicItem.key) {
+      try {
+        for (const child of await childKeys(ctx.jira, epicItem.key)) {
+          if (storyKeys.has(child.key)) continue;
+          items.push({
+            ref: null,
+            issueType: child.issueType,
+            key: child.key,
+            parent: epicItem.key,
+            summary: child.summary,
+            action: "orphan",
+            changes: [],
+          });
+        }
+      } catch (e) {
+        items.push({ ref: `/epics/${i}`, issueType: "Epic", key: epicItem.key, action: "error", changes: [], error: `Could not list children: ${e?.message || e}` });
+      }
+    }
+  }
+
+  const totals = { create: 0, update: 0, noop: 0, orphan: 0, error: 0 };
+  for (const it of items) totals[it.action]++;
+
+  const planHash = fieldsHash(items.map(({ ref, key, action, changes }) => ({ ref, key, action, changes })));
+  return { planHash, totals, items };
+}
+
+function changedFields(fields, changes) {
+  const out = {};
+  for (const { field } of changes) out[field] = fields[field];
+  return out;
+}
+
+async function applyItem(ctx, planned, { issueType, pdeId, fields }) {
+  const base = { ref: planned.ref, issueType, action: planned.action, key: planned.key };
+  try {
+    if (planned.action === "create") {
+      const created = await upsertIssueByPdeId(ctx.jira, { issueType, pdeId, fields });
+      return { ...base, ok: true, key: created.key };
+    }
+    if (planned.action === "update") {
+      await jiraFetch(ctx.jira, `/rest/api/3/issue/${encodeURIComponent(planned.key)}`, {
+        method: "PUT",
+        body: JSON.stringify({ fields: changedFields(fields, planned.changes) }),
+      });
+    }
+    return { ...base, ok: true };
+  } catch (e) {
+    return {
+      ...base,
+      ok: false,
+      error: e?.message || `${issueType} ${planned.action} failed`,
+      jiraDetails: e?.details || null,
+      statusCode: e?.statusCode || 500,
+    };
+  }
+}
+
+/**
+ * Execute a plan built by buildPlan() for the same payload.
+ * Returns { totals, results } with one result per create/update/noop item.
+ */
+export async function applyPlan(ctx, epics, plan) {
+  const byRef = new Map(plan.items.filter((it) => it.ref && it.action !== "orphan").map((it) => [it.ref, it]));
+  const totals = { created: 0, updated: 0, noop: 0, failed: 0 };
+  const results = [];
+
+  const record = (r) => {
+    results.push(r);
+    if (!r.ok) totals.failed++;
+    else if (r.action === "create") totals.created++;
+    else if (r.action === "update") totals.updated++;
+    else totals.noop++;
+    return r;
+  };
+
+  for (let i = 0; i < epics.length; i++) {
+    const epicIn = epics[i] || {};
+    const epicPlanned = byRef.get(`/epics/${i}`);
+    const epicResult = record(
+      await applyItem(ctx, epicPlanned, { issueType: "Epic", pdeId: epicIn.PDEEpicID, fields: buildEpicFields(ctx, epicIn).fields })
+    );
+    const epicKey = epicResult.ok ? epicResult.key : null;
+
+    const stories = Array.isArray(epicIn.stories) ? epicIn.stories : [];
+    for (let j = 0; j < stories.length; j++) {
+      const s = stories[j] || {};
+      const planned = byRef.get(`/epics/${i}/stories/${j}`);
+
+      if (!epicKey) {
+        record({ ref: planned.ref, issueType: "Story", action: planned.action, key: planned.key, ok: false, error: "Skipped because Epic was not applied." });
+        continue;
+      }
+      record(
+        await applyItem(ctx, planned, { issueType: "Story", pdeId: s.PDEStoryID, fields: buildStoryFields(ctx, epicIn, epicKey, s).fields })
+      );
+    }
+  }
+
+  return { totals, results };
+}
@@ -0,0 +1,270 @@
+// api/_lib/intake_relations.js
+//
+// Subtasks and issue links for batch intake (/api/intake/batch, async jobs and
+// /api/intake batch mode).
+//
+// Subtasks (`stories[].subtasks[]`):
+// - Created under their story with the project's sub-task issue type
+//   (JIRA_SUBTASK_ISSUE_TYPE, else the project's first sub-task issue type).
+// - Items with PDESubtaskID are upserted like epics/stories when
+//   JIRA_FIELD_PDE_SUBTASK_ID is set.
+// - `fields` accepts display names like stories do (see jira_fields.js).
+//
+// Links (`stories[].links[]`, `subtasks[].links[]`):
+//   { "type": "blocks", "pdeId": "STORY-2" }      an item of the same payload
+//   { "type": "relates to", "issueKey": "ORKY-9" }  an existing Jira issue
+// `type` matches a Jira link type by name ("Blocks"), outward ("blocks") or
+// inward ("is blocked by") description, case-insensitively. Links are created
+// after every epic/story/subtask exists, and each one is reported as
+// { type, target, ok, ... } on the item that declared it.
+
+import { markdownToAdf } from "./adf.js";
+import { jiraFetch } from "./jira.js";
+import { dryRunProblems, resolveFields } from "./jira_fields.js";
+import { getCreateFieldsById, getFieldCatalogue, getIssueTypes } from "./jira_meta.js";
+import { upsertIssueByPdeId } from "./pde_upsert.js";
+
+const PROTECTED = new Set(["project", "issuetype", "parent", "summary", "description", "reporter"]);
+
+/**
+ * Resolve the sub-task issue type of the project and its create fields.
+ * Returns { issueType: { id, name }, fields, fieldCatalogue }.
+ */
+export async function loadSubtaskMeta(jira) {
+  const issueTypes = await getIssueTypes(jira);
+
+  const wanted = String(process.env.JIRA_SUBTASK_ISSUE_TYPE || "").toLowerCase();
+  const issueType = wanted
+    ? issueTypes.find((t) => t.name.toLowerCase() === wanted)
+    : issueTypes.find((t) => t.subtask);
+
+  if (!issueType) {
+    const e = new Error(
+      wanted
+        ? `Sub-task issue type "${process.env.JIRA_SUBTASK_ISSUE_TYPE}" not found in project ${jira.projectKey}.`
+        : `Project ${jira.projectKey} has no sub-task issue type.`
+    );
+    e.statusCode = 400;
+    e.details = { issueTypes };
+    throw e;
+  }
+
+  return {
+    issueType: { id: issueType.id, name: issueType.name },
+    fields: await getCreateFieldsById(jira, issueType.id),
+    fieldCatalogue: await getFieldCatalogue(jira),
+  };
+}
+
+function subtaskFields(jira, meta, parentKey, input, myAccountId) {
+  const fields = {
+    project: { key: jira.projectKey },
+    summary: String(input.summary).trim(),
+    issuetype: { id: meta.issueType.id },
+    description: markdownToAdf(input.description || `Created by Orky batch API under ${parentKey}.`),
+    parent: { key: parentKey },
+  };
+
+  if (meta.fields?.reporter?.required && myAccountId) {
+    fields.reporter = { accountId: myAccountId };
+  }
+
+  const extra = resolveFields(meta.fieldCatalogue, meta.fields, input.fields, { protectedKeys: PROTECTED });
+  Object.assign(fields, extra.fields);
+
+  const pdeSubtaskField = process.env.JIRA_FIELD_PDE_SUBTASK_ID;
+  if (pdeSubtaskField && input.PDESubtaskID) fields[pdeSubtaskField] = String(input.PDESubtaskID);
+
+  return { fields, fieldErrors: extra.errors };
+}
+
+/**
+ * Create (or upsert) the subtasks of one story, one at a time.
+ * `getMeta` is a memoized loadSubtaskMeta() so the lookup happens once per batch.
+ * Returns one { index, ok, action, subtask, error? } per input.
+ */
+export async function createSubtasks(jira, { parentKey, subtasks, dryRun = false, myAccountId, getMeta }) {
+  const results = [];
+
+  for (let k = 0; k < subtasks.length; k++) {
+    const input = subtasks[k] || {};
+    try {
+      const meta = await getMeta();
+      const { fields, fieldErrors } = subtaskFields(jira, meta, parentKey || "(dry-run)", input, myAccountId);
+      if (fieldErrors.length > 0) {
+        results.push({ index: k, ok: false, subtask: null, error: "Unknown or ambiguous field names.", fieldErrors });
+        continue;
+      }
+
+      const missing = Object.entries(meta.fields || {})
+        .filter(([fieldId, def]) => def?.required && fields[fieldId] === undefined)
+        .map(([fieldId, def]) => ({ fieldId, name: def?.name }));
+      if (missing.length > 0) {
+        results.push({
+          index: k,
+          ok: false,
+          subtask: null,
+          error: `Jira requires additional fields for ${meta.issueType.name}.`,
+          missingRequired: missing,
+        });
+        continue;
+      }
+
+      const r = await upsertIssueByPdeId(jira, {
+        issueType: "Subtask",
+        pdeId: input.PDESubtaskID,
+        fields,
+        dryRun,
+      });
+
+      const invalid = dryRun ? dryRunProblems(meta.fields, r) : [];
+      if (invalid.length > 0) {
+        results.push({
+          index: k,
+          ok: false,
+          subtask: null,
+          error: "Jira would reject these field values.",
+          invalidFields: invalid,
+          fields: r.fields,
+        });
+        continue;
+      }
+
+      results.push({
+        index: k,
+        ok: true,
+        action: r.action,
+        subtask: dryRun ? { key: r.key || "(dry-run)", fields: r.fields } : r,
+      });
+    } catch (e) {
+      results.push({
+        index: k,
+        ok: false,
+        subtask: null,
+        error: e?.message || "Subtask create failed",
+        jiraDetails: e?.details || null,
+        statusCode: e?.statusCode || 500,
+      });
+    }
+  }
+
+  return results;
+}
+
+// ------------------- Links -------------------
+
+export async function loadLinkTypes(jira) {
+  const resp = await jiraFetch(jira, "/rest/api/3/issueLinkType", { method: "GET" });
+  return resp?.issueLinkTypes || [];
+}
+
+/**
+ * Map a payload link type to a Jira link type.
+ * `reverse` is true when the payload used the inward wording ("is blocked by").
+ */
+export function resolveLinkType(linkTypes, type) {
+  const t = String(type || "").trim().toLowerCase();
+  for (const lt of linkTypes) {
+    if (String(lt?.name || "").toLowerCase() === t) return { name: lt.name, reverse: false };
+    if (String(lt?.outward || "").toLowerCase() === t) return { name: lt.name, reverse: false };
+  }
+  for (const lt of linkTypes) {
+    if (String(lt?.inward || "").toLowerCase() === t) return { name: lt.name, reverse: true };
+  }
+  return null;
+}
+
+function linkTarget(link) {
+  return link?.issueKey ? { issueKey: link.issueKey } : { pdeId: link?.pdeId };
+}
+
+/**
+ * Create the links declared by batch items.
+ *
+ * sources: [{ key, links }] where `key` is the declaring item's Jira key (null
+ * when it was not created). pdeKeys: Map of PDE ID -> Jira key for the payload.
+ * `getLinkTypes` lets the caller share one loadLinkTypes() across calls.
+ * Returns one result array per source, in order.
+ */
+export async function createPayloadLinks(jira, { sources, pdeKeys, dryRun = false, getLinkTypes }) {
+  let types = [];
+  let typesError = null;
+  try {
+    types = await (getLinkTypes ? getLinkTypes() : loadLinkTypes(jira));
+  } catch (e) {
+    typesError = `Could not load Jira link types: ${e?.message || e}`;
+  }
+
+  const out = [];
+
+  for (const source of sources) {
+    const results = [];
+
+    for (const link of source.links || []) {
+      const base = { type: link?.type, target: linkTarget(link) };
+
+      if (typesError) {
+        results.push({ ...base, ok: false, error: typesError });
+        continue;
+      }
+
+      const linkType = resolveLinkType(types, link?.type);
+      if (!linkType) {
+        results.push({
+          ...base,
+          ok: false,
+          error: `Unknown link type "${link?.type}". Known: ${types.map((t) => t.outward || t.name).join(", ")}`,
+        });
+        continue;
+      }
+
+      let toKey = link.issueKey || null;
+      if (!toKey) {
+        if (!pdeKeys.has(link.pdeId)) {
+          results.push({ ...base, ok: false, error: `PDE ID ${link.pdeId} is not an item of this payload.` });
+          continue;
+        }
+        toKey = pdeKeys.get(link.pdeId);
+      }
+
+      if (dryRun) {
+        results.push({ ...base, ok: true, dryRun: true, linkType: linkType.name, from: source.key, to: toKey });
+        continue;
+      }
+      if (!source.key) {
+        results.push({ ...base, ok: false, error: "Skipped because the item was not created." });
+        continue;
+      }
+      if (!toKey) {
+        results.push({ ...base, ok: false, error: `Skipped because ${link.pdeId} was not created.` });
+        continue;
+      }
+
+      // Jira treats inwardIssue as the link source, i.e. "<inwardIssue> blocks <outwardIssue>".
+      const [from, to] = linkType.reverse ? [toKey, source.key] : [source.key, toKey];
+      try {
+        await jiraFetch(jira, "/rest/api/3/issueLink", {
+          method: "POST",
+          body: JSON.stringify({
+            type: { name: linkType.name },
+            inwardIssue: { key: from },
+            outwardIssue: { key: to },
+          }),
+        });
+        results.push({ ...base, ok: true, linkType: linkType.name, from: source.key, to: toKey });
+      } catch (e) {
+        results.push({
+          ...base,
+          ok: false,
+          error: e?.message || "Link create failed",
+          jiraDetails: e?.details || null,
+          statusCode: e?.statusCode || 500,
+        });
+      }
+    }
+
+    out.push(results);
+  }
+
+  return out;
+}
@@ -0,0 +1,93 @@
+// api/_lib/intake_rollback.js
+//
+// Compensation for atomic batch intake (options.atomic = true).
+//
+// The batch records every issue it created (report.created, in creation order).
+// When an item fails, those issues are undone newest-first, so subtasks and
+// stories go before their parents:
+//   INTAKE_ROLLBACK_MODE=delete (default)   DELETE /issue/{key}
+//   INTAKE_ROLLBACK_MODE=transition         add INTAKE_ROLLBACK_LABEL (default
+//                                           "orky-rolled-back") and transition to
+//                                           INTAKE_ROLLBACK_STATUS (default "Won't Do")
+//
+// Issues that already existed and were only updated are not touched.
+
+import { jiraFetch } from "./jira.js";
+
+export function rollbackConfig() {
+  return {
+    mode: String(process.env.INTAKE_ROLLBACK_MODE || "delete").toLowerCase() === "transition" ? "transition" : "delete",
+    status: process.env.INTAKE_ROLLBACK_STATUS || "Won't Do",
+    label: process.env.INTAKE_ROLLBACK_LABEL || "orky-rolled-back",
+  };
+}
+
+async function deleteIssue(jira, key) {
+  await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(key)}?deleteSubtasks=true`, { method: "DELETE" });
+}
+
+async function retireIssue(jira, key, { status, label }) {
+  const path = `/rest/api/3/issue/${encodeURIComponent(key)}`;
+
+  await jiraFetch(jira, path, {
+    method: "PUT",
+    body: JSON.stringify({ update: { labels: [{ add: label }] } }),
+  });
+
+  const resp = await jiraFetch(jira, `${path}/transitions`, { method: "GET" });
+  const transitions = resp?.transitions || [];
+  const wanted = status.toLowerCase();
+  const t = transitions.find(
+    (tr) => String(tr?.to?.name || "").toLowerCase() === wanted || String(tr?.name || "").toLowerCase() === wanted
+  );
+
+  if (!t) {
+    const e = new Error(`No transition to "${status}" available for ${key}.`);
+    e.statusCode = 409;
+    e.details = { available: transitions.map((tr) => ({ id: tr.id, name: tr.name, to: tr?.to?.name || null })) };
+    throw e;
+  }
+
+  await jiraFetch(jira, `${path}/transitions`, {
+    method: "POST",
+    body: JSON.stringify({ transition: { id: String(t.id) } }),
+  });
+}
+
+/**
+ * Undo everything in report.created that report.rollback has not handled yet,
+ * newest first. Mutates report.rollback ({ reason, mode, rolledBack, failed })
+ * and awaits onProgress(report) after each issue.
+ *
+ * Returns { done } — false only when stopped by outOfTime().
+ */
+export async function rollbackCreated(jira, report, { onProgress, outOfTime } = {}) {
+  const rb = report.rollback;
+  const handled = new Set([...rb.rolledBack.map((r) => r.key), ...rb.failed.map((r) => r.key)]);
+  const cfg = rollbackConfig();
+
+  for (let i = report.created.length - 1; i >= 0; i--) {
+    const item = report.created[i];
+    if (handled.has(item.key)) continue;
+    if (outOfTime?.()) return { done: false };
+
+    try {
+      if (rb.mode === "transition") await retireIssue(jira, item.key, cfg);
+      else await deleteIssue(jira, item.key);
+      rb.rolledBack.push({ ...item, action: rb.mode === "transition" ? "transitioned" : "deleted" });
+    } catch (e) {
+      // A child removed together with its parent is already gone.
+      if (rb.mode === "delete" && e?.statusCode === 404) {
+        rb.rolledBack.push({ ...item, action: "deleted" });
+      } else {
+        rb.failed.push({ ...item, error: e?.message || "Rollback failed", jiraDetails: e?.details || null });
+      }
+    }
+
+    handled.add(item.key);
+    if (onProgress) await onProgress(report);
+  }
+
+  rb.finishedAt = new Date().toISOString();
+  return { done: true };
+}
@@ -0,0 +1,352 @@
+// api/_lib/intake_schema.js
+//
+// The published JSON Schema for intake payloads (served by GET /api/intake/schema)
+// and the validation/normalization every intake route runs before calling Jira.
+//
+// Canonical item keys are `summary` / `description`. Legacy aliases are accepted:
+//   Epic:  title, epicSummary  -> summary    epicDescription  -> description
+//   Story: title, storySummary -> summary    storyDescription -> description
+// When both are sent, the canonical key wins.
+//
+// Entry points ($defs):
+//   BatchPayload  { epics: [Epic], options? }       /api/intake (batch), /api/intake/batch
+//   EpicPayload   Epic + { options? }               /api/intake (create epic; with stories[], a batch of one)
+//   StoryPayload  Story + { epicKey }               /api/intake (add story), /api/add-story
+//
+// Batch stories may also carry subtasks[] and links[] (see api/_lib/intake_relations.js).
+// Epics and stories may carry attachments[] (see api/_lib/intake_attachments.js) and
+// assignee / reporter / watchers[] by email or name (see api/_lib/jira_users.js).
+// Stories may name a sprint and fixVersions[] (see api/_lib/jira_placement.js).
+
+import Ajv from "ajv";
+
+const SCHEMA_ID = "https://orky-service/schemas/intake.schema.json";
+
+const SUMMARY_MAX = 255;
+
+const summaryText = { type: "string", pattern: "\\S", maxLength: SUMMARY_MAX };
+const markdownText = { type: "string" };
+
+// Shared by Epic (a batch item) and EpicPayload, which also takes batch options.
+const epicSchema = {
+  type: "object",
+  additionalProperties: false,
+  patternProperties: { "^x-": {} },
+  anyOf: [{ required: ["summary"] }, { required: ["title"] }, { required: ["epicSummary"] }],
+  "x-requiredOneOf": ["summary", "title", "epicSummary"],
+  properties: {
+    PDEEpicID: { $ref: "#/$defs/PdeId" },
+    key: { $ref: "#/$defs/JiraKey", description: "Existing Jira issue to update instead of creating one." },
+    summary: summaryText,
+    title: summaryText,
+    epicSummary: summaryText,
+    description: markdownText,
+    epicDescription: markdownText,
+    fields: { $ref: "#/$defs/Fields" },
+    attachments: { $ref: "#/$defs/Attachments" },
+    assignee: { $ref: "#/$defs/UserRef" },
+    reporter: { $ref: "#/$defs/UserRef" },
+    watchers: { $ref: "#/$defs/Watchers" },
+    stories: { type: "array", items: { $ref: "#/$defs/Story" } },
+  },
+};
+
+export const INTAKE_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  $id: SCHEMA_ID,
+  title: "Orky intake payload",
+  description:
+    "Epics and Stories accepted by /api/intake, /api/intake/batch and /api/add-story. " +
+    "Descriptions and acceptance criteria are Markdown.",
+  anyOf: [
+    { $ref: "#/$defs/BatchPayload" },
+    { $ref: "#/$defs/StoryPayload" },
+    { $ref: "#/$defs/EpicPayload" },
+  ],
+  $defs: {
+    PdeId: { type: "string", pattern: "\\S", maxLength: 255 },
+    JiraKey: { type: "string", pattern: "^[A-Z][A-Z0-9_]*-[0-9]+$" },
+    Fields: {
+      type: "object",
+      description:
+        "Extra Jira fields keyed by field ID (labels, customfield_XXXXX) or display name (\"Story Points\"); values are coerced to the field type.",
+    },
+    AcceptanceCriteria: {
+      anyOf: [markdownText, { type: "array", items: { type: "string" } }],
+    },
+    Link: {
+      type: "object",
+      additionalProperties: false,
+      required: ["type"],
+      anyOf: [{ required: ["pdeId"] }, { required: ["issueKey"] }],
+      "x-requiredOneOf": ["pdeId", "issueKey"],
+      properties: {
+        type: { type: "string", pattern: "\\S", description: 'Jira link type or its wording, e.g. "blocks", "relates to".' },
+        pdeId: { $ref: "#/$defs/PdeId" },
+        issueKey: { $ref: "#/$defs/JiraKey" },
+      },
+    },
+    Links: { type: "array", items: { $ref: "#/$defs/Link" } },
+    UserRef: { type: "string", pattern: "\\S", maxLength: 255, description: "Email, display name or accountId." },
+    Watchers: { type: "array", maxItems: 50, items: { $ref: "#/$defs/UserRef" } },
+    Sprint: {
+      anyOf: [{ type: "integer", minimum: 1 }, { type: "string", pattern: "\\S", maxLength: 255 }],
+      description: 'Sprint id or name on JIRA_BOARD_ID, or "active" / "next".',
+    },
+    FixVersions: {
+      type: "array",
+      maxItems: 20,
+      uniqueItems: true,
+      items: { type: "string", pattern: "\\S", maxLength: 255 },
+      description: "Version names of the project.",
+    },
+    Attachment: {
+      type: "object",
+      additionalProperties: false,
+      patternProperties: { "^x-": {} },
+      required: ["filename"],
+      anyOf: [{ required: ["content"] }, { required: ["github"] }],
+      "x-requiredOneOf": ["content", "github"],
+      properties: {
+        filename: { type: "string", pattern: "\\S", maxLength: 255 },
+        contentType: { type: "string", pattern: "^[\\w.+-]+/[\\w.+-]+$", description: "Defaults to application/octet-stream." },
+        content: { type: "string", contentEncoding: "base64", description: "File content, base64-encoded." },
+        github: {
+          type: "object",
+          additionalProperties: false,
+          required: ["path"],
+          description: "A file in a repo of GH_OWNER, read through the GitHub App.",
+          properties: {
+            repo: { type: "string", pattern: "\\S", description: "Defaults to GH_DEFAULT_REPO." },
+            path: { type: "string", pattern: "\\S" },
+            ref: { type: "string", pattern: "\\S", description: "Branch, tag or SHA; defaults to GH_DEFAULT_BRANCH." },
+          },
+        },
+      },
+    },
+    Attachments: { type: "array", maxItems: 20, items: { $ref: "#/$defs/Attachment" } },
+    Subtask: {
+      type: "object",
+      additionalProperties: false,
+      patternProperties: { "^x-": {} },
+      required: ["summary"],
+      properties: {
+        PDESubtaskID: { $ref: "#/$defs/PdeId" },
+        summary: summaryText,
+        description: markdownText,
+        fields: { $ref: "#/$defs/Fields" },
+        links: { $ref: "#/$defs/Links" },
+      },
+    },
+    Options: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        dryRun: { type: "boolean" },
+        async: { type: "boolean" },
+        atomic: { type: "boolean", description: "/api/intake/batch: roll back everything created when any item fails." },
+        plan: { type: "boolean", description: "/api/intake/batch: return a diff plan against Jira instead of writing." },
+        apply: {
+          type: "string",
+          pattern: "^[0-9a-f]{64}$",
+          description: "/api/intake/batch: planHash of a previous plan to execute; refused if Jira changed.",
+        },
+        concurrency: { type: "integer", minimum: 1, maximum: 10 },
+        defaultAssignee: {
+          type: "boolean",
+          description: "Assign items whose assignee cannot be resolved to INTAKE_DEFAULT_ASSIGNEE (or the project default) instead of failing them.",
+        },
+        createVersions: {
+          type: "boolean",
+          description: "Create fixVersions that do not exist yet. Defaults to INTAKE_CREATE_VERSIONS=1.",
+        },
+      },
+    },
+    Story: {
+      type: "object",
+      additionalProperties: false,
+      patternProperties: { "^x-": {} },
+      anyOf: [{ required: ["summary"] }, { required: ["title"] }, { required: ["storySummary"] }],
+      "x-requiredOneOf": ["summary", "title", "storySummary"],
+      properties: {
+        PDEStoryID: { $ref: "#/$defs/PdeId" },
+        PDEEpicID: { $ref: "#/$defs/PdeId" },
+        key: { $ref: "#/$defs/JiraKey", description: "Existing Jira issue to update instead of creating one." },
+        summary: summaryText,
+        title: summaryText,
+        storySummary: summaryText,
+        description: markdownText,
+        storyDescription: markdownText,
+        acceptanceCriteria: { $ref: "#/$defs/AcceptanceCriteria" },
+        fields: { $ref: "#/$defs/Fields" },
+        subtasks: { type: "array", items: { $ref: "#/$defs/Subtask" } },
+        links: { $ref: "#/$defs/Links" },
+        attachments: { $ref: "#/$defs/Attachments" },
+        assignee: { $ref: "#/$defs/UserRef" },
+        reporter: { $ref: "#/$defs/UserRef" },
+        watchers: { $ref: "#/$defs/Watchers" },
+        sprint: { $ref: "#/$defs/Sprint" },
+        fixVersions: { $ref: "#/$defs/FixVersions" },
+      },
+    },
+    Epic: epicSchema,
+    BatchPayload: {
+      type: "object",
+      additionalProperties: false,
+      patternProperties: { "^x-": {} },
+      required: ["epics"],
+      properties: {
+        epics: { type: "array", minItems: 1, items: { $ref: "#/$defs/Epic" } },
+        options: { $ref: "#/$defs/Options" },
+      },
+    },
+    EpicPayload: {
+      ...epicSchema,
+      properties: { ...epicSchema.properties, options: { $ref: "#/$defs/Options" } },
+    },
+    StoryPayload: {
+      type: "object",
+      required: ["epicKey"],
+      additionalProperties: false,
+      patternProperties: { "^x-": {} },
+      anyOf: [{ required: ["summary"] }, { required: ["title"] }, { required: ["storySummary"] }],
+      "x-requiredOneOf": ["summary", "title", "storySummary"],
+      properties: {
+        epicKey: { $ref: "#/$defs/JiraKey" },
+        PDEStoryID: { $ref: "#/$defs/PdeId" },
+        PDEEpicID: { $ref: "#/$defs/PdeId" },
+        summary: summaryText,
+        title: summaryText,
+        storySummary: summaryText,
+        description: markdownText,
+        storyDescription: markdownText,
+        acceptanceCriteria: { $ref: "#/$defs/AcceptanceCriteria" },
+        fields: { $ref: "#/$defs/Fields" },
+        attachments: { $ref: "#/$defs/Attachments" },
+        assignee: { $ref: "#/$defs/UserRef" },
+        reporter: { $ref: "#/$defs/UserRef" },
+        watchers: { $ref: "#/$defs/Watchers" },
+        sprint: { $ref: "#/$defs/Sprint" },
+        fixVersions: { $ref: "#/$defs/FixVersions" },
+      },
+    },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, verbose: true, strictRequired: false });
+ajv.addVocabulary(["x-requiredOneOf"]);
+ajv.addSchema(INTAKE_SCHEMA);
+
+const VALIDATORS = {
+  batch: ajv.getSchema(`${SCHEMA_ID}#/$defs/BatchPayload`),
+  epic: ajv.getSchema(`${SCHEMA_ID}#/$defs/EpicPayload`),
+  story: ajv.getSchema(`${SCHEMA_ID}#/$defs/StoryPayload`),
+};
+
+function toViolation(err) {
+  const base = err.instancePath || "";
+
+  if (err.keyword === "required") {
+    return { path: `${base}/${err.params.missingProperty}`, message: "is required", keyword: "required" };
+  }
+  if (err.keyword === "additionalProperties") {
+    return {
+      path: `${base}/${err.params.additionalProperty}`,
+      message: "is not a known intake field (use `fields` for extra Jira fields)",
+      keyword: "additionalProperties",
+    };
+  }
+  if (err.keyword === "anyOf" && err.parentSchema?.["x-requiredOneOf"]) {
+    const [first, ...others] = err.parentSchema["x-requiredOneOf"];
+    return {
+      path: `${base}/${first}`,
+      message: `is required (or one of: ${others.join(", ")})`,
+      keyword: "required",
+    };
+  }
+  if (err.keyword === "pattern" && err.schema === "\\S") {
+    return { path: base, message: "must not be blank", keyword: "minLength" };
+  }
+  return { path: base, message: err.message || "is invalid", keyword: err.keyword };
+}
+
+/**
+ * Validate a payload against the schema entry for `kind` ("batch" | "epic" | "story").
+ * Returns a list of { path, message, keyword } with JSON-pointer paths; empty when valid.
+ */
+export function validateIntakePayload(body, kind) {
+  const validate = VALIDATORS[kind];
+  if (!validate) throw new Error(`Unknown intake payload kind: ${kind}`);
+  if (validate(body)) return [];
+
+  // Branch errors of the alias anyOf are summarized by the anyOf error itself.
+  const errors = (validate.errors || []).filter((e) => !/\/anyOf\/\d+\/required$/.test(e.schemaPath));
+
+  const seen = new Set();
+  const violations = [];
+  for (const err of errors) {
+    const v = toViolation(err);
+    const key = `${v.path}|${v.message}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    violations.push(v);
+  }
+  return violations;
+}
+
+/**
+ * Which schema entry a request body targets, mirroring how /api/intake picks its mode.
+ */
+export function intakeKindOf(body) {
+  if (body?.epics !== undefined) return "batch";
+  if (body?.epicKey !== undefined) return "story";
+  return "epic";
+}
+
+/**
+ * The 400 body every intake route returns for a payload that fails validation.
+ */
+export function invalidIntakeResponse(violations) {
+  return {
+    ok: false,
+    error: `Invalid intake payload: ${violations.length} violation(s).`,
+    violations,
+    schema: "/api/intake/schema",
+  };
+}
+
+function pick(...values) {
+  return values.find((v) => v !== undefined && v !== null);
+}
+
+function withoutAliases(obj, aliases) {
+  const out = { ...obj };
+  for (const k of aliases) delete out[k];
+  return out;
+}
+
+export function normalizeStory(s = {}) {
+  const out = withoutAliases(s, ["title", "storySummary", "storyDescription"]);
+  out.summary = pick(s.summary, s.title, s.storySummary);
+  const description = pick(s.description, s.storyDescription);
+  if (description !== undefined) out.description = description;
+  return out;
+}
+
+export function normalizeEpic(e = {}) {
+  const out = withoutAliases(e, ["title", "epicSummary", "epicDescription"]);
+  out.summary = pick(e.summary, e.title, e.epicSummary);
+  const description = pick(e.description, e.epicDescription);
+  if (description !== undefined) out.description = description;
+  if (Array.isArray(e.stories)) out.stories = e.stories.map(normalizeStory);
+  return out;
+}
+
+/**
+ * Rewrite legacy aliases to canonical keys. Run after validateIntakePayload().
+ */
+export function normalizeIntakePayload(body, kind) {
+  if (kind === "batch") return { ...body, epics: body.epics.map(normalizeEpic) };
+  if (kind === "epic") return normalizeEpic(body);
+  return normalizeStory(body);
+}
@@ -0,0 +1,148 @@
+// api/_lib/jira.js
+//
+// Shared Jira REST helpers for the intake routes.
+// `jira` is always { baseUrl, email, apiToken, projectKey, onRetry? }.
+//
+// Retries:
+// - 429: waits for Retry-After (seconds or HTTP date), at least the backoff delay.
+//   Jira has not processed a throttled request, so this applies to every method.
+// - 502/503/504 and network errors: exponential backoff with full jitter, only
+//   for GET/HEAD/PUT/DELETE. A gateway timeout on a POST may come after Jira
+//   committed the write, so retrying would duplicate the issue, link or comment;
+//   callers whose POST is safe to repeat (add to sprint, add watcher) pass
+//   `retry: "idempotent"`, and upsertIssueByPdeId re-checks its PDE lookup.
+// - Tunable with JIRA_MAX_RETRIES (default 4) and JIRA_RETRY_BASE_MS (default 500).
+// - jira.onRetry({ attempt, status, delayMs, path }) is called before each retry,
+//   so callers can surface retry counts. Callers with their own retry loop (the
+//   create re-check in pde_upsert.js) wait through backoff() for the same policy.
+
+const RETRYABLE_STATUS = new Set([429, 502, 503, 504]);
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE"]);
+const MAX_DELAY_MS = 30000;
+
+export function retryConfig() {
+  return {
+    maxRetries: Number(process.env.JIRA_MAX_RETRIES ?? 4),
+    baseMs: Number(process.env.JIRA_RETRY_BASE_MS ?? 500),
+  };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function retryDelayMs(attempt, baseMs, retryAfterMs) {
+  const backoff = Math.min(MAX_DELAY_MS, baseMs * 2 ** attempt);
+  const jittered = Math.random() * backoff;
+  if (retryAfterMs === null) return jittered;
+  return Math.min(MAX_DELAY_MS, retryAfterMs) + jittered / 4;
+}
+
+/**
+ * Wait before retry number `attempt + 1` of `path`: exponential backoff with full
+ * jitter (at least `retryAfterMs` when given). Calls jira.onRetry before sleeping.
+ */
+export async function backoff(jira, { attempt, status, path, retryAfterMs = null }) {
+  const delayMs = retryDelayMs(attempt, retryConfig().baseMs, retryAfterMs);
+  jira.onRetry?.({ attempt: attempt + 1, status, delayMs, path });
+  await sleep(delayMs);
+}
+
+export function authHeader(email, token) {
+  const basic = Buffer.from(`${email}:${token}`).toString("base64");
+  return `Basic ${basic}`;
+}
+
+/**
+ * True when a failed request may be sent again as-is: always for 429, for
+ * 5xx / network errors (status null) only when repeating it cannot duplicate a write.
+ */
+export function isRetryable(init, status) {
+  if (status === 429) return true;
+  if (status !== null && !RETRYABLE_STATUS.has(status)) return false;
+  return init.retry === "idempotent" || IDEMPOTENT_METHODS.has(String(init.method || "GET").toUpperCase());
+}
+
+async function fetchWithRetry(jira, path, { retry, ...init }) {
+  const { maxRetries } = retryConfig();
+  const policy = { method: init.method, retry };
+
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    try {
+      res = await fetch(`${jira.baseUrl}${path}`, {
+        ...init,
+        headers: {
+          Authorization: authHeader(jira.email, jira.apiToken),
+          Accept: "application/json",
+          // Multipart bodies (attachments) set their own boundary header.
+          ...(init.body instanceof FormData ? {} : { "Content-Type": "application/json" }),
+          ...(init.headers || {}),
+        },
+      });
+    } catch (e) {
+      // Network error (DNS, reset, timeout): retry like a 503.
+      if (attempt >= maxRetries || !isRetryable(policy, null)) throw e;
+      await backoff(jira, { attempt, status: null, path });
+      continue;
+    }
+
+    if (!isRetryable(policy, res.status) || attempt >= maxRetries) return res;
+
+    const retryAfterMs = res.status === 429 ? parseRetryAfterMs(res.headers.get("retry-after")) : null;
+    await res.text().catch(() => "");
+    await backoff(jira, { attempt, status: res.status, path, retryAfterMs });
+  }
+}
+
+export async function jiraFetch(jira, path, init = {}) {
+  const res = await fetchWithRetry(jira, path, init);
+
+  const text = await res.text();
+  let json = null;
+  try {
+    json = text ? JSON.parse(text) : null;
+  } catch {
+    json = { raw: text };
+  }
+
+  if (!res.ok) {
+    const err = new Error(`Jira error ${res.status}: ${res.statusText}`);
+    err.statusCode = res.status;
+    err.details = json;
+    throw err;
+  }
+  return json;
+}
+
+/**
+ * Every issue matching `jql` (up to `limit`), through the enhanced search
+ * (GET /rest/api/3/search/jql), which pages with nextPageToken instead of
+ * startAt / total. `fields` is a list of field IDs.
+ */
+export async function searchIssues(jira, jql, { fields = [], limit = Infinity, pageSize = 100 } = {}) {
+  const issues = [];
+  let nextPageToken = null;
+  while (issues.length < limit) {
+    const params = new URLSearchParams({
+      jql,
+      maxResults: String(Math.min(pageSize, limit - issues.length)),
+      fields: fields.join(","),
+    });
+    if (nextPageToken) params.set("nextPageToken", nextPageToken);
+    const resp = await jiraFetch(jira, `/rest/api/3/search/jql?${params.toString()}`, { method: "GET" });
+    const page = resp?.issues || [];
+    issues.push(...page);
+    nextPageToken = resp?.nextPageToken || null;
+    if (page.length === 0 || !nextPageToken || resp?.isLast) break;
+  }
+  return issues;
+}
@@ -0,0 +1,353 @@
+// api/_lib/jira_fields.js
+//
+// Resolve the `fields` passthrough of intake items to Jira field IDs.
+//
+// Keys may be field IDs ("customfield_10016", "labels") or display names
+// ("Story Points", "Team", "Acceptance Criteria"), matched case-insensitively
+// against the site's field catalogue and the issue type's create fields. When a
+// name matches several fields, the ones on the create screen win; anything
+// still ambiguous or unknown is reported, never guessed.
+//
+// Values are coerced from the field schema (createmeta first, else catalogue):
+//   number                 "5" -> 5
+//   option                 "High" -> { value: "High" }
+//   array of options       "A" / ["A", "B"] -> [{ value: "A" }, ...]
+//   labels                 "a, b" -> ["a", "b"]
+//   components / versions  "Backend" -> [{ name: "Backend" }]
+//   user                   "<accountId>" -> { accountId }
+//   priority               "High" -> { name: "High" }
+//   rich text              Markdown string (or array of lines) -> ADF
+// Objects are sent as given.
+//
+// checkFieldValues() / dryRunProblems() are the dry-run gate: it checks a final payload against the
+// createmeta schema, allowedValues and Jira's length limits, so that a clean dry
+// run means the real run will not be rejected for its field values.
+
+import { adfToMarkdown, markdownToAdf } from "./adf.js";
+
+const EPIC_NAME_CUSTOM = "com.pyxis.greenhopper.jira:gh-epic-label";
+const TEXTAREA_CUSTOM = "com.atlassian.jira.plugin.system.customfieldtypes:textarea";
+const RICH_TEXT_SYSTEM = new Set(["description", "environment"]);
+const NAMED_TYPES = new Set(["priority", "resolution", "component", "version", "securitylevel"]);
+const TEXTFIELD_CUSTOM = "com.atlassian.jira.plugin.system.customfieldtypes:textfield";
+const STRUCTURAL = new Set(["project", "issuetype", "parent"]);
+const MAX_SHORT_TEXT = 255;
+const MAX_RICH_TEXT = 32767;
+
+function isPlainObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+function norm(name) {
+  return String(name || "").trim().toLowerCase();
+}
+
+function isFieldId(key, catalogue, createMeta) {
+  if (createMeta?.[key]) return true;
+  if (/^customfield_\d+$/.test(key)) return true;
+  return catalogue.some((f) => f.id === key);
+}
+
+function candidatesFor(name, catalogue, createMeta) {
+  const wanted = norm(name);
+  const byId = new Map();
+  for (const f of catalogue) {
+    if (norm(f.name) === wanted) byId.set(f.id, { id: f.id, name: f.name });
+  }
+  for (const [id, def] of Object.entries(createMeta || {})) {
+    if (norm(def?.name) === wanted) byId.set(id, { id, name: def.name });
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Field ID for a key of `fields`: { id } or { error, candidates? }.
+ */
+export function resolveFieldId(catalogue, createMeta, key) {
+  if (isFieldId(key, catalogue, createMeta)) return { id: key };
+
+  const candidates = candidatesFor(key, catalogue, createMeta);
+  if (candidates.length === 1) return { id: candidates[0].id };
+  if (candidates.length === 0) return { error: "Unknown field name." };
+
+  const onScreen = candidates.filter((c) => createMeta?.[c.id]);
+  if (onScreen.length === 1) return { id: onScreen[0].id };
+
+  return { error: "Ambiguous field name; use one of the field IDs.", candidates };
+}
+
+function schemaOf(fieldId, catalogue, createMeta) {
+  return createMeta?.[fieldId]?.schema || catalogue.find((f) => f.id === fieldId)?.schema || null;
+}
+
+function canonicalOption(allowedValues, value) {
+  const wanted = norm(value);
+  const hit = (allowedValues || []).find((o) => norm(o?.value ?? o?.name) === wanted);
+  return hit?.value ?? hit?.name ?? String(value);
+}
+
+function coerceItem(itemType, value, allowedValues) {
+  if (isPlainObject(value)) return value;
+  if (itemType === "option") return { value: canonicalOption(allowedValues, value) };
+  if (itemType === "user") return { accountId: String(value) };
+  if (NAMED_TYPES.has(itemType)) return { name: canonicalOption(allowedValues, value) };
+  return value;
+}
+
+function toList(value, { splitText = false } = {}) {
+  if (Array.isArray(value)) return value;
+  if (splitText && typeof value === "string") return value.split(/[,\s]+/).filter(Boolean);
+  return [value];
+}
+
+/**
+ * Coerce a payload value to the shape Jira expects for `fieldId`.
+ * Throws (with a message for fieldErrors) when the value cannot fit.
+ */
+export function coerceFieldValue(fieldId, schema, value, allowedValues) {
+  if (value === null || value === undefined || !schema) return value;
+
+  const type = schema.type;
+
+  if (type === "number") {
+    if (typeof value === "number") return value;
+    const n = Number(String(value).trim());
+    if (String(value).trim() === "" || !Number.isFinite(n)) throw new Error(`Expected a number, got "${value}".`);
+    return n;
+  }
+
+  if (type === "string" && (schema.custom === TEXTAREA_CUSTOM || RICH_TEXT_SYSTEM.has(fieldId))) {
+    return typeof value === "string" || Array.isArray(value) ? markdownToAdf(value) : value;
+  }
+
+  if (type === "array") {
+    const items = toList(value, { splitText: schema.items === "string" });
+    return items.map((v) => coerceItem(schema.items, v, allowedValues));
+  }
+
+  if (type === "option" || type === "user" || NAMED_TYPES.has(type)) {
+    if (Array.isArray(value)) throw new Error(`Expected a single ${type}, got a list.`);
+    return coerceItem(type, value, allowedValues);
+  }
+
+  return value;
+}
+
+/**
+ * Resolve and coerce an item's `fields` object.
+ *
+ * `protectedKeys` are dropped after resolution, so a display name such as
+ * "Summary" cannot override them either.
+ * Returns { fields, errors: [{ field, error, candidates? }] }.
+ */
+export function resolveFields(catalogue, createMeta, extraFields, { protectedKeys = new Set() } = {}) {
+  const fields = {};
+  const errors = [];
+  if (!isPlainObject(extraFields)) return { fields, errors };
+
+  const cat = Array.isArray(catalogue) ? catalogue : [];
+  const seen = new Map(); // fieldId -> payload key
+
+  for (const [key, value] of Object.entries(extraFields)) {
+    const r = resolveFieldId(cat, createMeta, key);
+    if (r.error) {
+      errors.push({ field: key, error: r.error, ...(r.candidates ? { candidates: r.candidates } : {}) });
+      continue;
+    }
+
+    if (protectedKeys.has(r.id)) continue;
+
+    if (seen.has(r.id)) {
+      errors.push({ field: key, fieldId: r.id, error: `Same field as "${seen.get(r.id)}".` });
+      continue;
+    }
+    seen.set(r.id, key);
+
+    try {
+      fields[r.id] = coerceFieldValue(r.id, schemaOf(r.id, cat, createMeta), value, createMeta?.[r.id]?.allowedValues);
+    } catch (e) {
+      errors.push({ field: key, fieldId: r.id, error: e?.message || "Invalid value." });
+    }
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * The Epic Name field (company-managed projects), by its custom type rather
+ * than by name; falls back to a field called exactly "Epic Name".
+ */
+export function findEpicNameFieldId(catalogue, createMeta) {
+  const entries = [
+    ...Object.entries(createMeta || {}).map(([id, def]) => ({ id, name: def?.name, schema: def?.schema })),
+    ...(Array.isArray(catalogue) ? catalogue : []),
+  ];
+
+  const byType = entries.find((f) => f.schema?.custom === EPIC_NAME_CUSTOM);
+  if (byType) return byType.id;
+
+  return entries.find((f) => norm(f.name) === "epic name")?.id || null;
+}
+
+// ------------------- Dry-run validation -------------------
+
+function isRichText(fieldId, schema) {
+  return schema?.custom === TEXTAREA_CUSTOM || RICH_TEXT_SYSTEM.has(fieldId);
+}
+
+function isAdf(v) {
+  return isPlainObject(v) && v.type === "doc";
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const up = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = up;
+    }
+  }
+  return prev[b.length];
+}
+
+function labelOf(allowed) {
+  return allowed?.value ?? allowed?.name ?? allowed?.id ?? null;
+}
+
+/**
+ * Up to `limit` allowed values closest to `given` (case-insensitive edit
+ * distance, prefix matches first).
+ */
+export function suggestAllowed(allowedValues, given, limit = 3) {
+  const wanted = norm(given);
+  return (allowedValues || [])
+    .map(labelOf)
+    .filter((label) => label !== null)
+    .map((label) => {
+      const l = norm(label);
+      return { label, score: l.startsWith(wanted) || wanted.startsWith(l) ? 0 : editDistance(wanted, l) };
+    })
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit)
+    .map((x) => x.label);
+}
+
+function matchesAllowed(allowedValues, v) {
+  return allowedValues.some(
+    (a) =>
+      (v.id !== undefined && String(a?.id) === String(v.id)) ||
+      (v.value !== undefined && a?.value === v.value) ||
+      (v.name !== undefined && a?.name === v.name)
+  );
+}
+
+function checkAllowed(def, v) {
+  if (!isPlainObject(v)) return { error: "Expected an object ({ value }, { name } or { id })." };
+  const allowed = def?.allowedValues;
+  if (!Array.isArray(allowed) || allowed.length === 0 || matchesAllowed(allowed, v)) return null;
+
+  const given = v.value ?? v.name ?? v.id;
+  return { error: `"${given}" is not an allowed value.`, value: given, suggestions: suggestAllowed(allowed, given) };
+}
+
+function checkText(fieldId, schema, value) {
+  if (isRichText(fieldId, schema)) {
+    if (!isAdf(value)) return { error: "Expected rich text (ADF document)." };
+    const length = adfToMarkdown(value).length;
+    return length > MAX_RICH_TEXT ? { error: `Text is ${length} characters; the limit is ${MAX_RICH_TEXT}.` } : null;
+  }
+
+  if (typeof value !== "string") return { error: "Expected a string." };
+  const limited = fieldId === "summary" || schema?.custom === TEXTFIELD_CUSTOM;
+  if (limited && value.length > MAX_SHORT_TEXT) {
+    return { error: `Text is ${value.length} characters; the limit is ${MAX_SHORT_TEXT}.` };
+  }
+  if (fieldId === "summary" && /[\r\n]/.test(value)) return { error: "Summary must be a single line." };
+  return null;
+}
+
+function checkArrayItem(fieldId, def, itemType, v) {
+  if (itemType === "string") {
+    if (typeof v !== "string") return { error: "Expected a list of strings." };
+    if (fieldId === "labels" && /\s/.test(v)) return { error: `Label "${v}" contains whitespace.`, value: v };
+    if (v.length > MAX_SHORT_TEXT) return { error: `"${v.slice(0, 40)}..." is longer than ${MAX_SHORT_TEXT} characters.` };
+    return null;
+  }
+  if (itemType === "user") return isPlainObject(v) && v.accountId ? null : { error: "Expected [{ accountId }]." };
+  if (itemType === "option" || NAMED_TYPES.has(itemType)) return checkAllowed(def, v);
+  return null;
+}
+
+function checkValue(fieldId, def, value) {
+  const schema = def?.schema;
+  const type = schema?.type;
+
+  if (value === null) return def?.required ? { error: "Required field cannot be null." } : null;
+
+  switch (type) {
+    case "string":
+      return checkText(fieldId, schema, value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value) ? null : { error: "Expected a number." };
+    case "date":
+      return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) ? null : { error: "Expected a date (YYYY-MM-DD)." };
+    case "datetime":
+      return typeof value === "string" && !Number.isNaN(Date.parse(value)) ? null : { error: "Expected an ISO date-time." };
+    case "user":
+      return isPlainObject(value) && value.accountId ? null : { error: "Expected { accountId }." };
+    case "option":
+    case "option-with-child":
+      return checkAllowed(def, value);
+    case "array": {
+      if (!Array.isArray(value)) return { error: "Expected a list." };
+      for (const v of value) {
+        const problem = checkArrayItem(fieldId, def, schema.items, v);
+        if (problem) return problem;
+      }
+      return null;
+    }
+    default:
+      return NAMED_TYPES.has(type) ? checkAllowed(def, value) : null;
+  }
+}
+
+/**
+ * Check a final Jira `fields` payload against createmeta for its issue type.
+ *
+ * `onScreen`: also flag fields missing from createmeta (Jira rejects fields that
+ * are not on the create screen); pass false for updates.
+ * Returns [{ fieldId, name, error, value?, suggestions? }], empty when clean.
+ */
+export function checkFieldValues(fieldsMeta, fields, { onScreen = true } = {}) {
+  const meta = fieldsMeta || {};
+  const known = Object.keys(meta).length > 0;
+  const problems = [];
+
+  for (const [fieldId, value] of Object.entries(fields || {})) {
+    if (STRUCTURAL.has(fieldId)) continue;
+
+    const def = meta[fieldId];
+    if (!def) {
+      if (onScreen && known) problems.push({ fieldId, name: null, error: "Field is not on the create screen." });
+      continue;
+    }
+
+    const problem = checkValue(fieldId, def, value);
+    if (problem) problems.push({ fieldId, name: def.name || null, ...problem });
+  }
+
+  return problems;
+}
+
+/**
+ * Field problems in a dry-run upsertIssueByPdeId() result. Creates are checked
+ * against the create screen; updates only for their values; "unchanged" sends
+ * nothing.
+ */
+export function dryRunProblems(fieldsMeta, dryRunResult) {
+  if (dryRunResult.action === "unchanged") return [];
+  return checkFieldValues(fieldsMeta, dryRunResult.fields, { onScreen: dryRunResult.action === "created" });
+}
@@ -0,0 +1,252 @@
+// api/_lib/jira_meta.js
+//
+// Cached Jira metadata for intake: the project's issue types, the create fields
+// per issue type, the site's field catalogue, user search results and the
+// accountId of the API user.
+//
+// Source: the paginated createmeta endpoints
+//   GET /rest/api/3/issue/createmeta/{project}/issuetypes
+//   GET /rest/api/3/issue/createmeta/{project}/issuetypes/{issueTypeId}
+// (the old `/issue/createmeta?expand=projects.issuetypes.fields` is deprecated).
+//
+// Cache:
+// - In memory per function instance, JIRA_META_TTL_MS (default 15 minutes).
+// - Persisted to orky_jira_meta_cache when ORKY_SUPABASE_* is configured, so cold
+//   starts skip Jira too. Persistence is best-effort, like orky_pde_issue_map.
+//   User search results (names, emails) are personal data and stay in memory.
+// - POST /api/intake/meta/refresh drops both (invalidateJiraMeta).
+//
+// Create fields keep the old createmeta shape: { [fieldId]: { name, required, schema, allowedValues, ... } }.
+
+import { jiraFetch } from "./jira.js";
+
+const CACHE_TABLE = "orky_jira_meta_cache";
+const PAGE_SIZE = 50;
+
+const memory = new Map(); // cacheKey -> { value, expiresAt }
+const inFlight = new Map(); // cacheKey -> Promise
+
+function ttlMs() {
+  return Number(process.env.JIRA_META_TTL_MS || 15 * 60 * 1000);
+}
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+function siteOf(jira) {
+  return String(jira.baseUrl || "").replace(/\/+$/, "");
+}
+
+function scopeOf(jira) {
+  return `${siteOf(jira)}|${jira.projectKey}`;
+}
+
+async function readPersisted(cacheKey) {
+  const supabase = await getSupabase();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from(CACHE_TABLE)
+    .select("value, expires_at")
+    .eq("cache_key", cacheKey)
+    .gt("expires_at", new Date().toISOString())
+    .maybeSingle();
+
+  if (error) {
+    console.error("[jira-meta] read failed:", error.message);
+    return null;
+  }
+  return data ? { value: data.value, expiresAt: Date.parse(data.expires_at) } : null;
+}
+
+async function writePersisted(cacheKey, value, expiresAt) {
+  const supabase = await getSupabase();
+  if (!supabase) return;
+
+  const { error } = await supabase.from(CACHE_TABLE).upsert(
+    {
+      cache_key: cacheKey,
+      value,
+      expires_at: new Date(expiresAt).toISOString(),
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "cache_key" }
+  );
+
+  if (error) console.error("[jira-meta] write failed:", error.message);
+}
+
+async function cached(cacheKey, load, { persist = true } = {}) {
+  const hit = memory.get(cacheKey);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+  if (inFlight.has(cacheKey)) return inFlight.get(cacheKey);
+
+  const p = (async () => {
+    const persisted = persist ? await readPersisted(cacheKey) : null;
+    if (persisted) {
+      memory.set(cacheKey, persisted);
+      return persisted.value;
+    }
+
+    const value = await load();
+    const expiresAt = Date.now() + ttlMs();
+    memory.set(cacheKey, { value, expiresAt });
+    if (persist) await writePersisted(cacheKey, value, expiresAt);
+    return value;
+  })();
+
+  inFlight.set(cacheKey, p);
+  try {
+    return await p;
+  } finally {
+    inFlight.delete(cacheKey);
+  }
+}
+
+async function fetchAllPages(jira, path, listKey) {
+  const out = [];
+  for (let startAt = 0; ; ) {
+    const sep = path.includes("?") ? "&" : "?";
+    const resp = await jiraFetch(jira, `${path}${sep}startAt=${startAt}&maxResults=${PAGE_SIZE}`, { method: "GET" });
+    const page = resp?.[listKey] || resp?.values || [];
+    out.push(...page);
+    startAt += page.length;
+    if (page.length === 0 || startAt >= (resp?.total ?? 0)) return out;
+  }
+}
+
+/**
+ * Issue types available for create in the project: [{ id, name, subtask, hierarchyLevel }].
+ */
+export async function getIssueTypes(jira) {
+  return cached(`${scopeOf(jira)}|issuetypes`, async () => {
+    const types = await fetchAllPages(
+      jira,
+      `/rest/api/3/issue/createmeta/${encodeURIComponent(jira.projectKey)}/issuetypes`,
+      "issueTypes"
+    );
+    return types.map((t) => ({
+      id: String(t.id),
+      name: t.name,
+      subtask: !!t.subtask,
+      hierarchyLevel: t.hierarchyLevel ?? null,
+    }));
+  });
+}
+
+export async function findIssueType(jira, name) {
+  const wanted = String(name || "").toLowerCase();
+  return (await getIssueTypes(jira)).find((t) => t.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Create fields for an issue type id, keyed by field id.
+ */
+export async function getCreateFieldsById(jira, issueTypeId) {
+  return cached(`${scopeOf(jira)}|fields|${issueTypeId}`, async () => {
+    const fields = await fetchAllPages(
+      jira,
+      `/rest/api/3/issue/createmeta/${encodeURIComponent(jira.projectKey)}/issuetypes/${encodeURIComponent(issueTypeId)}`,
+      "fields"
+    );
+    const byId = {};
+    for (const f of fields) {
+      const fieldId = f.fieldId || f.key;
+      if (fieldId) byId[fieldId] = f;
+    }
+    return byId;
+  });
+}
+
+/**
+ * Create fields for an issue type name ({} when the project has no such type).
+ */
+export async function getCreateFields(jira, issueTypeName) {
+  const type = await findIssueType(jira, issueTypeName);
+  return type ? getCreateFieldsById(jira, type.id) : {};
+}
+
+/**
+ * The site's field catalogue (GET /rest/api/3/field): [{ id, name, custom, schema }].
+ */
+export async function getFieldCatalogue(jira) {
+  return cached(`${siteOf(jira)}|fields`, async () => {
+    const fields = await jiraFetch(jira, "/rest/api/3/field", { method: "GET" });
+    return (Array.isArray(fields) ? fields : []).map((f) => ({
+      id: f.id,
+      name: f.name,
+      custom: !!f.custom,
+      schema: f.schema || null,
+    }));
+  });
+}
+
+/**
+ * Users matching a user search query (email, display name or prefix):
+ * [{ accountId, displayName, emailAddress, active, accountType }].
+ * emailAddress is null when the user's profile hides it. Cached in memory only.
+ */
+export async function getUserMatches(jira, query) {
+  const q = String(query || "").trim();
+  return cached(`${siteOf(jira)}|users|${q.toLowerCase()}`, async () => {
+    const params = new URLSearchParams({ query: q, maxResults: "20" });
+    const users = await jiraFetch(jira, `/rest/api/3/user/search?${params.toString()}`, { method: "GET" });
+    return (Array.isArray(users) ? users : []).map((u) => ({
+      accountId: u.accountId,
+      displayName: u.displayName || null,
+      emailAddress: u.emailAddress || null,
+      active: u.active !== false,
+      accountType: u.accountType || null,
+    }));
+  }, { persist: false });
+}
+
+export async function getMyAccountId(jira) {
+  const accountId = await cached(`${siteOf(jira)}|myself|${jira.email}`, async () => {
+    const me = await jiraFetch(jira, "/rest/api/3/myself", { method: "GET" });
+    return me?.accountId || null;
+  });
+  if (!accountId) throw new Error("Could not determine Jira accountId from /myself");
+  return accountId;
+}
+
+/**
+ * Drop every cached entry for the project (plus the API user, user searches and
+ * field catalogue).
+ * Returns what was cleared.
+ */
+export async function invalidateJiraMeta(jira) {
+  const prefixes = [
+    `${scopeOf(jira)}|`,
+    `${siteOf(jira)}|myself|`,
+    `${siteOf(jira)}|users|`,
+    `${siteOf(jira)}|fields`,
+  ];
+
+  let memoryCleared = 0;
+  for (const key of [...memory.keys()]) {
+    if (prefixes.some((p) => key.startsWith(p))) {
+      memory.delete(key);
+      memoryCleared++;
+    }
+  }
+
+  let persistedCleared = null;
+  const supabase = await getSupabase();
+  if (supabase) {
+    persistedCleared = 0;
+    for (const p of prefixes) {
+      const { data, error } = await supabase.from(CACHE_TABLE).delete().like("cache_key", `${p}%`).select("cache_key");
+      if (error) {
+        console.error("[jira-meta] invalidate failed:", error.message);
+        continue;
+      }
+      persistedCleared += (data || []).length;
+    }
+  }
+
+  return { memoryCleared, persistedCleared };
+}
@@ -0,0 +1,231 @@
+// api/_lib/jira_placement.js
+//
+// Sprint and fix-version placement of intake stories, applied once the story
+// exists (so a placement problem never blocks the story itself).
+//
+// sprint (Jira Agile API, board JIRA_BOARD_ID):
+//   123 / "123"   sprint id (must be active or future on the board)
+//   "active"      the board's active sprint (ambiguous if several are active)
+//   "next"        the board's earliest future sprint
+//   "<name>"      an active or future sprint of that name (case-insensitive)
+//   -> POST /rest/agile/1.0/sprint/{id}/issue
+//
+// fixVersions: version names of JIRA_PROJECT_KEY (case-insensitive). Missing
+// versions fail the placement unless createVersions is on (options.createVersions;
+// on by default when INTAKE_CREATE_VERSIONS=1), then they are created unreleased.
+//   -> PUT /issue/{key} { fields: { fixVersions } }  (replaces the list)
+//
+// Dry run resolves everything (missing versions come back as wouldCreate) and
+// writes nothing. Result on the story, per part present in the payload:
+//   placement: { sprint: { ok, id?, name?, error? }, fixVersions: { ok, versions: [...], error? } }
+
+import { jiraFetch } from "./jira.js";
+
+const PAGE_SIZE = 50;
+
+function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+export function createVersionsDefault() {
+  return process.env.INTAKE_CREATE_VERSIONS === "1";
+}
+
+/**
+ * Active and future sprints of JIRA_BOARD_ID: [{ id, name, state, startDate }].
+ */
+export async function loadBoardSprints(jira) {
+  const boardId = process.env.JIRA_BOARD_ID;
+  if (!boardId) {
+    const e = new Error("JIRA_BOARD_ID is not set; sprints cannot be resolved.");
+    e.statusCode = 400;
+    throw e;
+  }
+
+  const sprints = [];
+  for (let startAt = 0; ; ) {
+    const resp = await jiraFetch(
+      jira,
+      `/rest/agile/1.0/board/${encodeURIComponent(boardId)}/sprint?state=active,future&startAt=${startAt}&maxResults=${PAGE_SIZE}`,
+      { method: "GET" }
+    );
+    const page = resp?.values || [];
+    for (const s of page) {
+      sprints.push({ id: s.id, name: s.name, state: s.state, startDate: s.startDate || null });
+    }
+    startAt += page.length;
+    if (page.length === 0 || resp?.isLast !== false) return sprints;
+  }
+}
+
+function summary(s) {
+  return { id: s.id, name: s.name, state: s.state };
+}
+
+/**
+ * Pick the sprint a payload `sprint` refers to: { id, name, state } or { error, candidates? }.
+ */
+export function resolveSprint(sprints, ref) {
+  const wanted = norm(ref);
+
+  if (wanted === "active") {
+    const active = sprints.filter((s) => s.state === "active");
+    if (active.length === 1) return summary(active[0]);
+    if (active.length === 0) return { error: "The board has no active sprint." };
+    return { error: "The board has several active sprints; name one.", candidates: active.map(summary) };
+  }
+
+  if (wanted === "next") {
+    const future = sprints
+      .filter((s) => s.state === "future")
+      .sort((a, b) => String(a.startDate || "~").localeCompare(String(b.startDate || "~")) || a.id - b.id);
+    return future.length > 0 ? summary(future[0]) : { error: "The board has no future sprint." };
+  }
+
+  if (/^\d+$/.test(wanted)) {
+    const byId = sprints.find((s) => String(s.id) === wanted);
+    return byId ? summary(byId) : { error: `Sprint ${ref} is not an active or future sprint of the board.` };
+  }
+
+  const byName = sprints.filter((s) => norm(s.name) === wanted);
+  if (byName.length === 1) return summary(byName[0]);
+  if (byName.length > 1) return { error: `Several sprints are named "${ref}"; use the id.`, candidates: byName.map(summary) };
+  return { error: `No active or future sprint named "${ref}".`, candidates: sprints.map(summary) };
+}
+
+/**
+ * Project versions by name, creating missing ones on request. One index per
+ * run: concurrent stories asking for the same new version create it once.
+ */
+export function createVersionIndex(jira) {
+  let loading = null;
+  const creating = new Map(); // lower-case name -> Promise<version>
+
+  const load = () => {
+    if (!loading) {
+      loading = jiraFetch(jira, `/rest/api/3/project/${encodeURIComponent(jira.projectKey)}/versions`, { method: "GET" })
+        .then((list) => (Array.isArray(list) ? list : []))
+        .catch((e) => {
+          loading = null;
+          throw e;
+        });
+    }
+    return loading;
+  };
+
+  const projectId = async () => {
+    const known = (await load()).find((v) => v.projectId)?.projectId;
+    if (known) return Number(known);
+    const project = await jiraFetch(jira, `/rest/api/3/project/${encodeURIComponent(jira.projectKey)}`, { method: "GET" });
+    return Number(project.id);
+  };
+
+  const create = async (name) => {
+    const version = await jiraFetch(jira, "/rest/api/3/version", {
+      method: "POST",
+      body: JSON.stringify({ name, projectId: await projectId(), released: false }),
+    });
+    (await load()).push(version);
+    return version;
+  };
+
+  return {
+    /**
+     * { name, id } for an existing version, plus `created: true` when it was
+     * just created, or `wouldCreate: true` in dry run; { name, error } otherwise.
+     */
+    async resolve(name, { createMissing = false, dryRun = false } = {}) {
+      const key = norm(name);
+      const found = (await load()).find((v) => norm(v.name) === key);
+      if (found) return { name: found.name, id: found.id };
+
+      if (!createMissing) return { name, error: `Version "${name}" does not exist in ${jira.projectKey}.` };
+      if (dryRun) return { name, wouldCreate: true };
+
+      if (!creating.has(key)) {
+        creating.set(
+          key,
+          create(String(name).trim()).catch((e) => {
+            creating.delete(key);
+            throw e;
+          })
+        );
+      }
+      const version = await creating.get(key);
+      return { name: version.name, id: version.id, created: true };
+    },
+  };
+}
+
+async function placeSprint(jira, issueKey, ref, { dryRun, getSprints }) {
+  try {
+    const sprint = resolveSprint(await getSprints(), ref);
+    if (sprint.error) return { ok: false, requested: ref, ...sprint };
+    if (dryRun) return { ok: true, dryRun: true, ...sprint };
+
+    await jiraFetch(jira, `/rest/agile/1.0/sprint/${encodeURIComponent(sprint.id)}/issue`, {
+      method: "POST",
+      body: JSON.stringify({ issues: [issueKey] }),
+      retry: "idempotent", // moving an issue into its sprint again is a no-op
+    });
+    return { ok: true, ...sprint };
+  } catch (e) {
+    return { ok: false, requested: ref, error: e?.message || "Sprint placement failed", jiraDetails: e?.details || null };
+  }
+}
+
+async function placeVersions(jira, issueKey, names, { dryRun, createVersions, versions }) {
+  const resolved = [];
+  try {
+    for (const name of names) {
+      resolved.push(await versions.resolve(name, { createMissing: createVersions, dryRun }));
+    }
+
+    const missing = resolved.filter((v) => v.error);
+    if (missing.length > 0) return { ok: false, versions: resolved, error: missing.map((v) => v.error).join(" ") };
+    if (dryRun) return { ok: true, dryRun: true, versions: resolved };
+
+    await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(issueKey)}`, {
+      method: "PUT",
+      body: JSON.stringify({ fields: { fixVersions: resolved.map((v) => ({ id: String(v.id) })) } }),
+    });
+    return { ok: true, versions: resolved };
+  } catch (e) {
+    return { ok: false, versions: resolved, error: e?.message || "Fix version placement failed", jiraDetails: e?.details || null };
+  }
+}
+
+/**
+ * Apply an item's `sprint` / `fixVersions` to `issueKey`.
+ * `getSprints` (memoized loadBoardSprints) and `versions` (createVersionIndex)
+ * may be shared across a batch. Returns the placement result, or undefined when
+ * the item asks for neither.
+ */
+export async function placeIssue(jira, issueKey, item, { dryRun = false, createVersions, getSprints, versions } = {}) {
+  const wantsSprint = item.sprint !== undefined && item.sprint !== null;
+  const wantsVersions = Array.isArray(item.fixVersions) && item.fixVersions.length > 0;
+  if (!wantsSprint && !wantsVersions) return undefined;
+
+  const placement = {};
+  if (wantsSprint) {
+    placement.sprint = await placeSprint(jira, issueKey, item.sprint, {
+      dryRun,
+      getSprints: getSprints || (() => loadBoardSprints(jira)),
+    });
+  }
+  if (wantsVersions) {
+    placement.fixVersions = await placeVersions(jira, issueKey, item.fixVersions, {
+      dryRun,
+      createVersions: createVersions ?? createVersionsDefault(),
+      versions: versions || createVersionIndex(jira),
+    });
+  }
+  return placement;
+}
+
+/**
+ * True when any part of a placement result failed.
+ */
+export function placementFailed(placement) {
+  return !!placement && Object.values(placement).some((p) => !p.ok);
+}
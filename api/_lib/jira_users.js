@@ -0,0 +1,136 @@
+// api/_lib/jira_users.js
+//
+// People on intake items: `assignee`, `reporter` (one user) and `watchers[]`,
+// each given as an email, a display name or an accountId.
+//
+// Resolution (user search results are cached, see getUserMatches in jira_meta.js):
+// - accountIds ("5b10ac8d82e05b22cc7d4ef5", "712020:...") are used as-is
+// - emails match the user's email, or the single user the search returns
+//   (Jira hides emails for some profiles but still searches by them)
+// - display names must match exactly one active user, case-insensitively
+// Anything else is "unknown" or "ambiguous" (with candidates) and reported on
+// the item. Only active Atlassian accounts are considered.
+//
+// Default assignee: with options.defaultAssignee, an assignee that cannot be
+// resolved falls back to INTAKE_DEFAULT_ASSIGNEE (or, when unset, to the
+// project's default assignee by leaving the field out); the item then carries a
+// warning instead of failing. Unresolved watchers never fail an item.
+
+import { jiraFetch } from "./jira.js";
+import { getUserMatches } from "./jira_meta.js";
+
+const ACCOUNT_ID = /^(?:[0-9a-f]{24}|\d+:[0-9a-f-]{36})$/i;
+
+function norm(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+function candidate(u) {
+  return { accountId: u.accountId, displayName: u.displayName, emailAddress: u.emailAddress };
+}
+
+/**
+ * Resolve one user reference: { accountId, displayName? } or { error, candidates? }.
+ */
+export async function resolveUser(jira, ref) {
+  const q = String(ref || "").trim();
+  if (!q) return { error: "Empty user reference." };
+  if (ACCOUNT_ID.test(q)) return { accountId: q };
+
+  let users;
+  try {
+    users = (await getUserMatches(jira, q)).filter((u) => u.active && u.accountType !== "app");
+  } catch (e) {
+    return { error: `User search failed: ${e?.message || e}` };
+  }
+  const wanted = norm(q);
+
+  if (q.includes("@")) {
+    const byEmail = users.filter((u) => norm(u.emailAddress) === wanted);
+    const pick = byEmail.length === 1 ? byEmail[0] : byEmail.length === 0 && users.length === 1 ? users[0] : null;
+    if (pick) return { accountId: pick.accountId, displayName: pick.displayName };
+  } else {
+    const byName = users.filter((u) => norm(u.displayName) === wanted);
+    if (byName.length === 1) return { accountId: byName[0].accountId, displayName: byName[0].displayName };
+    if (byName.length > 1) return { error: "Ambiguous user; use an email or accountId.", candidates: byName.map(candidate) };
+  }
+
+  if (users.length > 1) return { error: "Ambiguous user; use an email or accountId.", candidates: users.map(candidate) };
+  return { error: "No active Jira user matches." };
+}
+
+/**
+ * Resolve an item's assignee / reporter / watchers.
+ *
+ * Returns {
+ *   fields:   { assignee?, reporter? } ready to merge into the Jira fields,
+ *   watchers: [{ user, accountId?, error? }],
+ *   errors:   [{ role, user, error, candidates? }]   -> the item should fail
+ *   warnings: [{ role, user, error, fallback }]      -> default assignee used
+ * }
+ */
+export async function resolvePeople(jira, item, { defaultAssignee = false } = {}) {
+  const out = { fields: {}, watchers: [], errors: [], warnings: [] };
+
+  for (const role of ["assignee", "reporter"]) {
+    if (item[role] === undefined || item[role] === null) continue;
+
+    const r = await resolveUser(jira, item[role]);
+    if (r.accountId) {
+      out.fields[role] = { accountId: r.accountId };
+      continue;
+    }
+
+    if (role === "assignee" && defaultAssignee) {
+      const fallbackRef = process.env.INTAKE_DEFAULT_ASSIGNEE;
+      const fallback = fallbackRef ? await resolveUser(jira, fallbackRef) : null;
+      if (!fallback || fallback.accountId) {
+        if (fallback) out.fields.assignee = { accountId: fallback.accountId };
+        out.warnings.push({ role, user: item[role], error: r.error, fallback: fallback ? fallbackRef : "project default" });
+        continue;
+      }
+      r.error = `${r.error} INTAKE_DEFAULT_ASSIGNEE (${fallbackRef}) did not resolve either: ${fallback.error}`;
+    }
+
+    out.errors.push({ role, user: item[role], error: r.error, ...(r.candidates ? { candidates: r.candidates } : {}) });
+  }
+
+  for (const user of Array.isArray(item.watchers) ? item.watchers : []) {
+    const r = await resolveUser(jira, user);
+    out.watchers.push(r.accountId ? { user, accountId: r.accountId } : { user, error: r.error, ...(r.candidates ? { candidates: r.candidates } : {}) });
+  }
+
+  return out;
+}
+
+/**
+ * Add resolved watchers to an issue. Returns one { user, ok, accountId?, error? }
+ * per watcher; unresolved ones come back as failures without a Jira call.
+ */
+export async function addWatchers(jira, issueKey, watchers, { dryRun = false } = {}) {
+  const results = [];
+
+  for (const w of watchers) {
+    if (!w.accountId) {
+      results.push({ ...w, ok: false });
+      continue;
+    }
+    if (dryRun) {
+      results.push({ ...w, ok: true, dryRun: true });
+      continue;
+    }
+
+    try {
+      await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(issueKey)}/watchers`, {
+        method: "POST",
+        body: JSON.stringify(w.accountId),
+        retry: "idempotent", // re-adding a watcher is a no-op
+      });
+      results.push({ ...w, ok: true });
+    } catch (e) {
+      results.push({ ...w, ok: false, error: e?.message || "Adding watcher failed", jiraDetails: e?.details || null });
+    }
+  }
+
+  return results;
+}
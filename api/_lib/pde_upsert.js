@@ -0,0 +1,293 @@
+// api/_lib/pde_upsert.js
+//
+// Idempotent create-or-update of Epics/Stories/Subtasks keyed by their PDE IDs.
+//
+// Lookup order for an existing issue:
+//   1) orky_pde_issue_map (Supabase), verified against Jira
+//   2) JQL on the PDE custom field (JIRA_FIELD_PDE_EPIC_ID / _STORY_ID / _SUBTASK_ID)
+//
+// An item may instead name its issue directly with `key`, which skips the lookup;
+// its last fields hash is still read from the mapping (by PDE ID, else by key),
+// so a re-applied unchanged export stays "unchanged". An issue with no mapping
+// row (never upserted with a PDE ID) has no stored hash and is always written.
+//
+// Each item resolves to one action:
+//   - created:   no existing issue, POST /issue
+//   - updated:   existing issue, fields differ from what we last sent, PUT /issue/{key}
+//   - unchanged: existing issue, same fields hash as the last intake
+//
+// The Supabase mapping is best-effort: when ORKY_SUPABASE_* is not configured
+// (or the table write fails) intake still works via the JQL lookup, it just
+// cannot tell "unchanged" from "updated".
+
+import crypto from "crypto";
+import { backoff, jiraFetch, retryConfig, searchIssues } from "./jira.js";
+
+const MAP_TABLE = "orky_pde_issue_map";
+
+const PDE_KINDS = {
+  Epic: { envField: "JIRA_FIELD_PDE_EPIC_ID", pdeType: "EPIC", jqlType: 'issuetype = "Epic"' },
+  Story: { envField: "JIRA_FIELD_PDE_STORY_ID", pdeType: "STORY", jqlType: 'issuetype = "Story"' },
+  // The sub-task type name differs per project ("Subtask" / "Sub-task").
+  Subtask: { envField: "JIRA_FIELD_PDE_SUBTASK_ID", pdeType: "SUBTASK", jqlType: "issuetype in subTaskIssueTypes()" },
+};
+
+// Fields Jira accepts on create but rejects (or ignores) on edit.
+const NOT_UPDATABLE = new Set(["project", "issuetype", "reporter"]);
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(",")}]`;
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+export function fieldsHash(fields) {
+  return crypto.createHash("sha256").update(stableStringify(fields), "utf8").digest("hex");
+}
+
+export function jqlString(s) {
+  return `"${String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+}
+
+function cfClause(fieldId) {
+  const m = String(fieldId).match(/^customfield_(\d+)$/);
+  return m ? `cf[${m[1]}]` : jqlString(fieldId);
+}
+
+export function fieldValueText(v) {
+  if (v === null || v === undefined) return "";
+  if (typeof v === "object") return String(v.value ?? v.name ?? "");
+  return String(v);
+}
+
+async function readMapping(projectKey, pdeType, pdeId) {
+  const supabase = await getSupabase();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from(MAP_TABLE)
+    .select("jira_key, content_hash")
+    .eq("project_key", projectKey)
+    .eq("pde_type", pdeType)
+    .eq("pde_id", pdeId)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[pde-map] read failed:", error.message);
+    return null;
+  }
+  return data;
+}
+
+async function readMappingByKey(projectKey, jiraKey) {
+  const supabase = await getSupabase();
+  if (!supabase) return null;
+
+  const { data, error } = await supabase
+    .from(MAP_TABLE)
+    .select("pde_type, pde_id, jira_key, content_hash")
+    .eq("project_key", projectKey)
+    .eq("jira_key", jiraKey)
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    console.error("[pde-map] read failed:", error.message);
+    return null;
+  }
+  return data;
+}
+
+// The mapping row of an item that names its issue by `key`: by PDE ID when it
+// points at that key, else whichever row points at the key.
+async function mappingForKey(jira, kind, pdeId, key) {
+  if (kind && pdeId) {
+    const mapped = await readMapping(jira.projectKey, kind.pdeType, pdeId);
+    if (mapped?.jira_key === key) return { pdeType: kind.pdeType, pdeId, contentHash: mapped.content_hash || null };
+  }
+  const row = await readMappingByKey(jira.projectKey, key);
+  return row ? { pdeType: row.pde_type, pdeId: row.pde_id, contentHash: row.content_hash || null } : null;
+}
+
+async function writeMapping(projectKey, pdeType, pdeId, jiraKey, contentHash) {
+  const supabase = await getSupabase();
+  if (!supabase) return;
+
+  const { error } = await supabase.from(MAP_TABLE).upsert(
+    {
+      project_key: projectKey,
+      pde_type: pdeType,
+      pde_id: pdeId,
+      jira_key: jiraKey,
+      content_hash: contentHash,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "project_key,pde_type,pde_id" }
+  );
+
+  if (error) console.error("[pde-map] write failed:", error.message);
+}
+
+async function deleteMapping(projectKey, pdeType, pdeId) {
+  const supabase = await getSupabase();
+  if (!supabase) return;
+
+  const { error } = await supabase
+    .from(MAP_TABLE)
+    .delete()
+    .eq("project_key", projectKey)
+    .eq("pde_type", pdeType)
+    .eq("pde_id", pdeId);
+
+  if (error) console.error("[pde-map] delete failed:", error.message);
+}
+
+async function issueExists(jira, key) {
+  try {
+    await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(key)}?fields=key`, { method: "GET" });
+    return true;
+  } catch (e) {
+    if (e?.statusCode === 404) return false;
+    throw e;
+  }
+}
+
+async function searchByPdeField(jira, kind, fieldId, pdeId) {
+  const jql =
+    `project = ${jqlString(jira.projectKey)} AND ${kind.jqlType} ` +
+    `AND ${cfClause(fieldId)} ~ ${jqlString(`"${pdeId}"`)} ORDER BY created ASC`;
+
+  const issues = await searchIssues(jira, jql, { fields: [fieldId], limit: 50, pageSize: 50 });
+
+  // `~` is a text match; keep only exact PDE ID matches.
+  return issues
+    .filter((it) => fieldValueText(it?.fields?.[fieldId]).trim() === pdeId)
+    .map((it) => it.key);
+}
+
+// The mapped issue, confirmed by GET /issue/{key} (strongly consistent, unlike
+// JQL search); a mapping whose issue is gone is dropped.
+async function findMappedIssue(jira, kind, pdeId) {
+  const mapped = await readMapping(jira.projectKey, kind.pdeType, pdeId);
+  if (!mapped?.jira_key) return null;
+  if (await issueExists(jira, mapped.jira_key)) {
+    return { key: mapped.jira_key, contentHash: mapped.content_hash || null, source: "mapping" };
+  }
+  await deleteMapping(jira.projectKey, kind.pdeType, pdeId);
+  return null;
+}
+
+/**
+ * Find the Jira key of the issue carrying this PDE ID, or null.
+ * Throws 409 when more than one issue carries the same PDE ID.
+ */
+export async function findIssueByPdeId(jira, issueType, pdeId) {
+  const kind = PDE_KINDS[issueType];
+  if (!kind || !pdeId) return null;
+
+  const mapped = await findMappedIssue(jira, kind, pdeId);
+  if (mapped) return mapped;
+
+  const fieldId = process.env[kind.envField];
+  if (!fieldId) return null;
+
+  const keys = await searchByPdeField(jira, kind, fieldId, pdeId);
+  if (keys.length > 1) {
+    const e = new Error(`Multiple Jira ${issueType} issues share PDE ID ${pdeId}: ${keys.join(", ")}`);
+    e.statusCode = 409;
+    e.details = { pdeId, issueType, jiraKeys: keys };
+    throw e;
+  }
+  return keys.length === 1 ? { key: keys[0], contentHash: null, source: "jql" } : null;
+}
+
+const TRANSIENT_STATUS = new Set([502, 503, 504]);
+
+// POST /issue is not retried by jira.js: a gateway timeout may come after Jira
+// created the issue. When the PDE ID can be looked up, wait out the shared
+// backoff, then look for the issue (mapping + GET first, then JQL) and only
+// send the create again if it is not there.
+async function createIssue(jira, issueType, pdeId, fields) {
+  const kind = PDE_KINDS[issueType];
+  const canRecheck = Boolean(kind && pdeId && process.env[kind.envField]);
+  const path = "/rest/api/3/issue";
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await jiraFetch(jira, path, { method: "POST", body: JSON.stringify({ fields }) });
+    } catch (e) {
+      const transient = e?.statusCode === undefined || TRANSIENT_STATUS.has(e.statusCode);
+      if (!transient || !canRecheck || attempt >= retryConfig().maxRetries) throw e;
+
+      await backoff(jira, { attempt, status: e?.statusCode ?? null, path });
+      const existing = await findIssueByPdeId(jira, issueType, pdeId);
+      if (existing) {
+        return { key: existing.key, self: `${jira.baseUrl}${path}/${encodeURIComponent(existing.key)}` };
+      }
+    }
+  }
+}
+
+/**
+ * Create the issue, or update it in place when an issue with the same PDE ID exists.
+ *
+ * Returns the Jira create response shape ({ id?, key, self? }) plus
+ * `action` ("created" | "updated" | "unchanged"). In dry-run mode nothing is
+ * written and the would-be action is returned with the fields.
+ *
+ * `key` targets an existing issue directly; `force` always writes an existing
+ * issue instead of trusting the stored fields hash (used by plan/apply).
+ */
+export async function upsertIssueByPdeId(jira, { issueType, pdeId, key: issueKey, fields, dryRun = false, force = false }) {
+  const kind = PDE_KINDS[issueType];
+  const id = pdeId ? String(pdeId) : null;
+  const hash = fieldsHash(fields);
+
+  let existing = null;
+  let keyMapping = null;
+  if (issueKey) {
+    keyMapping = await mappingForKey(jira, kind, id, issueKey);
+    existing = { key: issueKey, contentHash: keyMapping?.contentHash ?? null, source: "key" };
+  } else if (kind && id) {
+    existing = await findIssueByPdeId(jira, issueType, id);
+  }
+
+  if (!existing) {
+    if (dryRun) return { dryRun: true, action: "created", key: null, fields };
+
+    const created = await createIssue(jira, issueType, id, fields);
+    if (kind && id && created?.key) await writeMapping(jira.projectKey, kind.pdeType, id, created.key, hash);
+    return { ...created, action: "created" };
+  }
+
+  const key = existing.key;
+  const self = `${jira.baseUrl}/rest/api/3/issue/${encodeURIComponent(key)}`;
+
+  if (!force && existing.contentHash === hash) {
+    return dryRun ? { dryRun: true, action: "unchanged", key, fields } : { key, self, action: "unchanged" };
+  }
+
+  const updateFields = {};
+  for (const [k, v] of Object.entries(fields)) {
+    if (!NOT_UPDATABLE.has(k)) updateFields[k] = v;
+  }
+
+  if (dryRun) return { dryRun: true, action: "updated", key, fields: updateFields };
+
+  await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(key)}`, {
+    method: "PUT",
+    body: JSON.stringify({ fields: updateFields }),
+  });
+  if (kind && id) await writeMapping(jira.projectKey, kind.pdeType, id, key, hash);
+  else if (keyMapping) await writeMapping(jira.projectKey, keyMapping.pdeType, keyMapping.pdeId, key, hash);
+  return { key, self, action: "updated" };
+}
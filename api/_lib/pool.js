@@ -0,0 +1,29 @@
+// api/_lib/pool.js
+//
+// Run an async function over items with at most `limit` in flight.
+// Results keep the input order; fn errors reject like Promise.all.
+
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  const width = Math.max(1, Math.min(Number(limit) || 1, items.length));
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      results[idx] = await fn(items[idx], idx);
+    }
+  };
+
+  await Promise.all(Array.from({ length: width }, worker));
+  return results;
+}
+
+/**
+ * Clamp a requested concurrency (payload option or env) to 1..max.
+ */
+export function resolveConcurrency(requested, fallback = 4, max = 10) {
+  const n = Number(requested ?? fallback);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.max(1, Math.min(max, Math.floor(n)));
+}
@@ -0,0 +1,185 @@
+// api/_lib/rate_limit.js
+//
+// Per-client rate limits and daily quotas by route family, plus a hard daily
+// cap on PRs per target repo.
+//
+// Families and the routes that count against them:
+//   intake  /api/intake, /api/intake/batch, /api/add-story, /api/intake/export,
+//           /api/intake/meta/refresh   (job polling and slices are not counted)
+//   forge   /api/brain/forge, /api/brain/jira_scanner
+//   github  /api/github/pr
+// /api/brain/forge_to_pr forwards the caller's key, so its forge and PR hops
+// count once each in their own family.
+//
+// Each family has a per-minute limit and a per-UTC-day quota (null = none).
+// Defaults below; override in ORKY_RATE_LIMITS:
+//   {
+//     "default": { "forge": { "perMinute": 2, "perDay": 50 } },
+//     "clients": { "pde-sync": { "intake": { "perMinute": 120, "perDay": null } } }
+//   }
+// The internal client (ORKY_API_KEY: scanner self-calls, crons, key admin) has
+// its own, larger budget (INTERNAL_LIMITS below; "default" does not apply to
+// it), overridable as clients["orky-internal"], so a runaway loop or a leaked
+// internal key is still throttled. The PR cap applies to everyone.
+//
+// PR cap: ORKY_PR_DAILY_CAP (default 10) PRs per owner/repo per UTC day, or per
+// repo via ORKY_PR_DAILY_CAPS='{"ohh-web": 20}'. An attempt counts even if the
+// PR then fails to open.
+//
+// Counters live in orky_rate_counters (atomic orky_rate_hit()), so limits hold
+// across serverless instances; without Supabase they are per instance.
+// Responses carry X-RateLimit-* (minute) and X-Quota-* (day) headers; a refusal
+// is a 429 with Retry-After.
+
+import { INTERNAL_CLIENT } from "./api_keys.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const PRUNE_EVERY_MS = 60 * MINUTE_MS;
+
+const DEFAULT_LIMITS = {
+  intake: { perMinute: 60, perDay: 2000 },
+  forge: { perMinute: 5, perDay: 100 },
+  github: { perMinute: 5, perDay: 30 },
+};
+const INTERNAL_LIMITS = {
+  intake: { perMinute: 600, perDay: 50000 },
+  forge: { perMinute: 30, perDay: 500 },
+  github: { perMinute: 30, perDay: 200 },
+};
+const DEFAULT_PR_CAP = 10;
+
+const memoryCounters = new Map(); // "<bucket>|<windowStart>" -> count, fallback store
+let lastPrune = 0;
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+function parseEnvJson(name) {
+  const raw = process.env[name];
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw) || {};
+  } catch {
+    throw new Error(`${name} must be valid JSON`);
+  }
+}
+
+/**
+ * Effective { perMinute, perDay } of a client for a family.
+ */
+export function limitsFor(clientName, family) {
+  const config = parseEnvJson("ORKY_RATE_LIMITS");
+  const base = clientName === INTERNAL_CLIENT
+    ? INTERNAL_LIMITS[family]
+    : { ...DEFAULT_LIMITS[family], ...(config.default?.[family] || {}) };
+  return { ...base, ...(config.clients?.[clientName]?.[family] || {}) };
+}
+
+export function prCapFor(repo) {
+  const caps = parseEnvJson("ORKY_PR_DAILY_CAPS");
+  if (caps[repo] !== undefined) return caps[repo];
+  return Number(process.env.ORKY_PR_DAILY_CAP || DEFAULT_PR_CAP);
+}
+
+async function prune(supabase, now) {
+  if (now - lastPrune < PRUNE_EVERY_MS) return;
+  lastPrune = now;
+  const cutoff = now - 2 * DAY_MS;
+  if (!supabase) {
+    for (const k of memoryCounters.keys()) if (Number(k.split("|").pop()) < cutoff) memoryCounters.delete(k);
+    return;
+  }
+  const { error } = await supabase.from("orky_rate_counters").delete().lt("window_start", new Date(cutoff).toISOString());
+  if (error) console.error("[rate-limit] prune failed:", error.message);
+}
+
+async function hit(bucket, windowStart) {
+  const supabase = await getSupabase();
+  await prune(supabase, Date.now());
+
+  if (!supabase) {
+    const k = `${bucket}|${windowStart}`;
+    const count = (memoryCounters.get(k) || 0) + 1;
+    memoryCounters.set(k, count);
+    return count;
+  }
+
+  const { data, error } = await supabase.rpc("orky_rate_hit", {
+    p_bucket: bucket,
+    p_window_start: new Date(windowStart).toISOString(),
+    p_cost: 1,
+  });
+  if (error) {
+    const e = new Error(`Rate limit store unavailable: ${error.message}`);
+    e.statusCode = 503;
+    throw e;
+  }
+  return Number(data);
+}
+
+/**
+ * Count one request against `bucket` in a fixed window of `windowMs`.
+ * Returns { limit, used, remaining, resetAt (ms), exceeded }.
+ */
+async function countWindow(bucket, windowMs, limit) {
+  const now = Date.now();
+  const windowStart = now - (now % windowMs);
+  const used = await hit(`${bucket}:${windowMs}`, windowStart);
+  return { limit, used, remaining: Math.max(0, limit - used), resetAt: windowStart + windowMs, exceeded: used > limit };
+}
+
+function tooMany(res, message, win, details) {
+  const retryAfter = Math.max(1, Math.ceil((win.resetAt - Date.now()) / 1000));
+  res.setHeader("Retry-After", String(retryAfter));
+  const e = new Error(message);
+  e.statusCode = 429;
+  e.details = { ...details, limit: win.limit, used: win.used, retryAfter };
+  return e;
+}
+
+function setWindowHeaders(res, prefix, win) {
+  res.setHeader(`${prefix}-Limit`, String(win.limit));
+  res.setHeader(`${prefix}-Remaining`, String(win.remaining));
+  res.setHeader(`${prefix}-Reset`, String(Math.ceil(win.resetAt / 1000)));
+}
+
+/**
+ * Count a request of `clientName` against `family`. Sets the usage headers on
+ * `res` and throws 429 when the minute limit or the daily quota is used up.
+ */
+export async function enforceRateLimit(res, clientName, family) {
+  const { perMinute, perDay } = limitsFor(clientName, family);
+  const bucket = `client:${clientName}:${family}`;
+
+  if (perMinute !== null && perMinute !== undefined) {
+    const minute = await countWindow(bucket, MINUTE_MS, Number(perMinute));
+    setWindowHeaders(res, "X-RateLimit", minute);
+    if (minute.exceeded) {
+      throw tooMany(res, `Rate limit exceeded: ${perMinute} ${family} requests per minute.`, minute, { family, window: "minute" });
+    }
+  }
+
+  if (perDay !== null && perDay !== undefined) {
+    const day = await countWindow(bucket, DAY_MS, Number(perDay));
+    setWindowHeaders(res, "X-Quota", day);
+    if (day.exceeded) {
+      throw tooMany(res, `Daily quota exceeded: ${perDay} ${family} requests per day.`, day, { family, window: "day" });
+    }
+  }
+}
+
+/**
+ * Count one PR attempt on owner/repo; throws 429 past the repo's daily cap.
+ */
+export async function enforcePrCap(res, { owner, repo }) {
+  const cap = Number(prCapFor(repo));
+  const day = await countWindow(`pr:${owner}/${repo}`, DAY_MS, cap);
+  setWindowHeaders(res, "X-PR-Cap", day);
+  if (day.exceeded) {
+    throw tooMany(res, `Daily PR cap reached for ${owner}/${repo}: ${cap} per day.`, day, { repo: `${owner}/${repo}` });
+  }
+}
@@ -0,0 +1,34 @@
+// api/_lib/raw_body.js
+//
+// The request body exactly as sent, for routes that need the bytes rather than
+// the runtime's parsed req.body: webhook signatures (api/_lib/webhook_signature.js)
+// and CSV / YAML intake bodies (api/_lib/intake_formats.js).
+
+/**
+ * The request body exactly as sent, as a Buffer, or null when no stream is left
+ * and the runtime kept only a parsed object. The bytes are kept on req.rawBody,
+ * so later calls return them again.
+ */
+export async function readRawBody(req) {
+  if (Buffer.isBuffer(req.rawBody)) return req.rawBody;
+  if (typeof req.rawBody === "string") return Buffer.from(req.rawBody, "utf8");
+
+  // @vercel/node reads the body up front, replays it through its own req.on and
+  // exposes req.body as a lazy parser over that copy: read the replay, and only
+  // touch req.body when there is no stream to read. An ended, unreplayed stream
+  // never emits "end" again.
+  const replayed = Object.prototype.hasOwnProperty.call(req, "on");
+  if (typeof req.on === "function" && (replayed || !req.readableEnded)) {
+    req.rawBody = await new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+    return req.rawBody;
+  }
+
+  if (Buffer.isBuffer(req.body)) return req.body;
+  if (typeof req.body === "string") return Buffer.from(req.body, "utf8");
+  return null;
+}
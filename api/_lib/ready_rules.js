@@ -0,0 +1,225 @@
+// api/_lib/ready_rules.js
+//
+// Definition-of-Ready rules for the Jira scanner, loaded from a versioned YAML
+// file in the repo (config/ready_rules.yaml, or READY_RULES_PATH) and evaluated
+// per Jira project. See the file's header for the rule types.
+//
+// The file is read and validated once per instance; a bad file fails every
+// scan with the offending rule rather than silently letting stories through.
+// Each failing rule is reported as { id, message }.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import Ajv from "ajv";
+import { parse as parseYaml } from "yaml";
+import { adfToMarkdown } from "./adf.js";
+
+const labelList = { type: "array", items: { type: "string", minLength: 1 } };
+const field = { type: "string", minLength: 1 };
+const ruleBase = { id: { type: "string", pattern: "\\S" }, type: { type: "string" }, message: { type: "string" } };
+
+const rule = (required, properties) => ({
+  type: "object",
+  additionalProperties: false,
+  required: ["id", "type", ...required],
+  properties: { ...ruleBase, ...properties },
+});
+
+const RULE_SCHEMAS = {
+  required_field: rule(["field"], { field }),
+  min_length: rule(["field", "min"], { field, min: { type: "integer", minimum: 1 } }),
+  required_labels: rule(["labels"], { labels: { ...labelList, minItems: 1 } }),
+  blocking_labels: rule(["labels"], { labels: { ...labelList, minItems: 1 } }),
+  issue_types: rule(["allowed"], { allowed: { ...labelList, minItems: 1 } }),
+  required_components: rule(["components"], { components: labelList }),
+  regex: rule(["field", "pattern"], {
+    field,
+    pattern: { type: "string", minLength: 1 },
+    flags: { type: "string", pattern: "^[imsu]*$" },
+    mustMatch: { type: "boolean" },
+  }),
+};
+
+const ruleSet = {
+  type: "object",
+  additionalProperties: false,
+  required: ["rules"],
+  properties: { rules: { type: "array", items: { type: "object", required: ["id", "type"] } } },
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["version", "default"],
+  properties: {
+    version: { anyOf: [{ type: "integer" }, { type: "string", minLength: 1 }] },
+    default: ruleSet,
+    projects: { type: "object", additionalProperties: ruleSet },
+  },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateConfig = ajv.compile(CONFIG_SCHEMA);
+const RULE_VALIDATORS = Object.fromEntries(Object.entries(RULE_SCHEMAS).map(([t, s]) => [t, ajv.compile(s)]));
+
+let cached = null; // Promise of the parsed config
+
+function configError(file, problems) {
+  const e = new Error(`Invalid ready rules in ${file}: ${problems[0]}`);
+  e.statusCode = 500;
+  e.details = problems;
+  return e;
+}
+
+function ajvProblems(where, errors) {
+  return (errors || []).map((err) => `${where}${err.instancePath} ${err.message}`);
+}
+
+function checkRuleSet(where, rules) {
+  const problems = [];
+  const ids = new Set();
+  rules.forEach((r, i) => {
+    const at = `${where}.rules[${i}]`;
+    const validate = RULE_VALIDATORS[r.type];
+    if (!validate) {
+      problems.push(`${at} has unknown type "${r.type}" (one of: ${Object.keys(RULE_SCHEMAS).join(", ")})`);
+      return;
+    }
+    if (!validate(r)) problems.push(...ajvProblems(at, validate.errors));
+    if (ids.has(r.id)) problems.push(`${at} repeats id "${r.id}"`);
+    ids.add(r.id);
+    if (r.type === "regex") {
+      try {
+        new RegExp(r.pattern, r.flags || "");
+      } catch (e) {
+        problems.push(`${at} has a bad pattern: ${e.message}`);
+      }
+    }
+  });
+  return problems;
+}
+
+async function readConfig() {
+  const file = process.env.READY_RULES_PATH || path.join(process.cwd(), "config", "ready_rules.yaml");
+  const config = parseYaml(await fs.readFile(file, "utf8"));
+
+  if (!validateConfig(config)) throw configError(file, ajvProblems("", validateConfig.errors));
+  const problems = [
+    ...checkRuleSet("default", config.default.rules),
+    ...Object.entries(config.projects || {}).flatMap(([p, set]) => checkRuleSet(`projects.${p}`, set.rules)),
+  ];
+  if (problems.length) throw configError(file, problems);
+  return config;
+}
+
+/**
+ * The rules that apply to a Jira project: { version, project, rules }.
+ */
+export async function readyRulesFor(projectKey) {
+  if (!cached) {
+    cached = readConfig();
+    cached.catch(() => {
+      cached = null; // retried on the next scan
+    });
+  }
+  const config = await cached;
+  const own = config.projects?.[projectKey];
+  return {
+    version: config.version,
+    project: own ? projectKey : "default",
+    rules: (own || config.default).rules,
+  };
+}
+
+/**
+ * Jira field ids the rules read beyond the story fields the scanner fetches anyway.
+ */
+export function ruleFieldIds(rules) {
+  const named = new Set(["summary", "description", "acceptanceCriteria", "labels", "components", "issueType"]);
+  return [...new Set(rules.map((r) => r.field).filter((f) => f && !named.has(f)))];
+}
+
+function fieldText(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string") return value.trim();
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  if (Array.isArray(value)) return value.map(fieldText).filter(Boolean).join(", ");
+  if (value.type === "doc") {
+    try {
+      return adfToMarkdown(value).trim();
+    } catch {
+      return "";
+    }
+  }
+  return fieldText(value.value ?? value.name ?? value.displayName ?? "");
+}
+
+function storyField(story, name) {
+  if (name === "labels") return story.labels.join(", ");
+  if (name === "components") return story.components.join(", ");
+  if (name === "issueType") return story.issueType;
+  if (["summary", "description", "acceptanceCriteria"].includes(name)) return story[name] || "";
+  return fieldText(story.fields?.[name]);
+}
+
+const lower = (xs) => xs.map((x) => String(x).toLowerCase());
+
+function check(r, story) {
+  switch (r.type) {
+    case "required_field":
+      return storyField(story, r.field) ? null : `Missing ${r.field}`;
+
+    case "min_length":
+      return storyField(story, r.field).length >= r.min ? null : `${r.field} is shorter than ${r.min} characters`;
+
+    case "required_labels": {
+      const have = new Set(lower(story.labels));
+      const missing = r.labels.filter((l) => !have.has(l.toLowerCase()));
+      return missing.length ? `Missing required label: ${missing.join(", ")}` : null;
+    }
+
+    case "blocking_labels": {
+      const blocking = new Set(lower(r.labels));
+      const found = story.labels.filter((l) => blocking.has(l.toLowerCase()));
+      return found.length ? `Blocking label: ${found.join(", ")}` : null;
+    }
+
+    case "issue_types":
+      return lower(r.allowed).includes(story.issueType.toLowerCase())
+        ? null
+        : `Issue type "${story.issueType}" is not one of: ${r.allowed.join(", ")}`;
+
+    case "required_components": {
+      if (r.components.length === 0) return story.components.length ? null : "Missing component";
+      const have = new Set(lower(story.components));
+      return r.components.some((c) => have.has(c.toLowerCase()))
+        ? null
+        : `Missing component: one of ${r.components.join(", ")}`;
+    }
+
+    case "regex": {
+      const matched = new RegExp(r.pattern, r.flags || "").test(storyField(story, r.field));
+      const mustMatch = r.mustMatch !== false;
+      if (matched === mustMatch) return null;
+      return `${r.field} ${mustMatch ? "does not match" : "matches"} /${r.pattern}/`;
+    }
+
+    default:
+      return `Unknown rule type "${r.type}"`;
+  }
+}
+
+/**
+ * Evaluate `rules` against a story:
+ *   { summary, description, acceptanceCriteria, labels[], components[], issueType, fields }
+ * (`fields` is the raw Jira fields object, for rules on other field ids).
+ * Returns the failing rules as [{ id, message }].
+ */
+export function evaluateReadyRules(rules, story) {
+  const failures = [];
+  for (const r of rules) {
+    const problem = check(r, story);
+    if (problem) failures.push({ id: r.id, message: r.message || problem });
+  }
+  return failures;
+}
@@ -0,0 +1,110 @@
+// api/_lib/repo_routing.js
+//
+// Which repo a Jira story's PR goes to. Every source that names a repo counts:
+// - a `repo:<name>` label
+// - a component mapped in JIRA_COMPONENT_REPOS='{"Web": "ohh-web", "API": "orky-service"}'
+// - the custom field JIRA_TARGET_REPO_FIELD_ID (text, select or multi-select)
+// When none does, DEFAULT_TARGET_REPO is used if set.
+//
+// The story must map to exactly one repo, and it must be one the GitHub App
+// installation can reach (see installationRepos in github.js).
+
+import { installationRepos } from "./github.js";
+
+const REPO_LABEL = /^repo:(.+)$/i;
+
+function componentRepos() {
+  const raw = process.env.JIRA_COMPONENT_REPOS;
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw) || {};
+    return Object.fromEntries(Object.entries(parsed).map(([c, r]) => [c.toLowerCase(), String(r)]));
+  } catch {
+    throw new Error("JIRA_COMPONENT_REPOS must be a JSON object of { component: repo }");
+  }
+}
+
+export function targetRepoFieldId() {
+  return process.env.JIRA_TARGET_REPO_FIELD_ID || "";
+}
+
+function fieldRepos(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.flatMap(fieldRepos);
+  if (typeof value === "string") return value.split(/[\s,]+/).filter(Boolean);
+  return fieldRepos(value.value ?? value.name ?? "");
+}
+
+/**
+ * Repos the story names, one entry per source: [{ repo, source }].
+ */
+function namedRepos(fields) {
+  const named = [];
+
+  for (const label of fields.labels || []) {
+    const m = String(label).match(REPO_LABEL);
+    if (m) named.push({ repo: m[1].trim(), source: `label ${label}` });
+  }
+
+  const byComponent = componentRepos();
+  for (const c of fields.components || []) {
+    const repo = byComponent[String(c?.name || "").toLowerCase()];
+    if (repo) named.push({ repo, source: `component ${c.name}` });
+  }
+
+  const fieldId = targetRepoFieldId();
+  if (fieldId) {
+    for (const repo of fieldRepos(fields[fieldId])) named.push({ repo, source: `field ${fieldId}` });
+  }
+
+  return named;
+}
+
+/**
+ * Route a story to its repo. Returns { repo, sources } or { failure: { id, message } }.
+ */
+export async function resolveTargetRepo(fields = {}) {
+  let named = namedRepos(fields);
+  if (named.length === 0 && process.env.DEFAULT_TARGET_REPO) {
+    named = [{ repo: process.env.DEFAULT_TARGET_REPO, source: "DEFAULT_TARGET_REPO" }];
+  }
+
+  const byRepo = new Map();
+  for (const n of named) {
+    const k = n.repo.toLowerCase();
+    byRepo.set(k, { repo: byRepo.get(k)?.repo || n.repo, sources: [...(byRepo.get(k)?.sources || []), n.source] });
+  }
+  const routes = [...byRepo.values()];
+
+  if (routes.length === 0) {
+    const fieldId = targetRepoFieldId();
+    return {
+      failure: {
+        id: "target-repo",
+        message:
+          "No target repo: add a repo:<name> label" +
+          (process.env.JIRA_COMPONENT_REPOS ? ", a mapped component" : "") +
+          (fieldId ? ` or set ${fieldId}` : ""),
+      },
+    };
+  }
+  if (routes.length > 1) {
+    const list = routes.map((r) => `${r.repo} (${r.sources.join(", ")})`).join("; ");
+    return { failure: { id: "target-repo", message: `Story maps to ${routes.length} repos, keep exactly one: ${list}` } };
+  }
+
+  const [route] = routes;
+  const allowed = await installationRepos();
+  const repo = allowed.find((name) => name.toLowerCase() === route.repo.toLowerCase());
+  if (!repo) {
+    return {
+      failure: {
+        id: "target-repo",
+        message:
+          `Repo "${route.repo}" (${route.sources.join(", ")}) is not reachable by the GitHub App; ` +
+          `allowed: ${allowed.join(", ") || "none"}`,
+      },
+    };
+  }
+  return { repo, sources: route.sources };
+}
@@ -0,0 +1,79 @@
+// api/_lib/scan_leases.js
+//
+// Per-issue leases for the Ready-for-Engineering scanner (orky_scan_leases),
+// so overlapping cron runs and Jira Automation triggers never work on the same
+// story at once. Same idea as the orky_intake_jobs lease: a worker owns
+// locked_by until lock_expires_at; an expired lease (crashed worker) is free.
+//
+// Without Supabase the leases are per instance only.
+
+const LEASES_TABLE = "orky_scan_leases";
+
+const memoryLeases = new Map(); // jiraKey -> { lockedBy, expiresAt }, fallback store
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+export function scanLeaseMs() {
+  return Number(process.env.SCAN_LEASE_MS || 15 * 60 * 1000);
+}
+
+/**
+ * Try to take the lease on `jiraKey` for `workerId`. True when claimed.
+ */
+export async function claimScanLease(jiraKey, workerId) {
+  const now = Date.now();
+  const expiresAt = now + scanLeaseMs();
+  const supabase = await getSupabase();
+
+  if (!supabase) {
+    const held = memoryLeases.get(jiraKey);
+    if (held && held.expiresAt > now && held.lockedBy !== workerId) return false;
+    memoryLeases.set(jiraKey, { lockedBy: workerId, expiresAt });
+    return true;
+  }
+
+  const nowIso = new Date(now).toISOString();
+  const lease = { locked_by: workerId, lock_expires_at: new Date(expiresAt).toISOString(), updated_at: nowIso };
+
+  const inserted = await supabase
+    .from(LEASES_TABLE)
+    .upsert({ jira_key: jiraKey, ...lease }, { onConflict: "jira_key", ignoreDuplicates: true })
+    .select("jira_key");
+  if (inserted.error) throw inserted.error;
+  if ((inserted.data || []).length > 0) return true;
+
+  const { data, error } = await supabase
+    .from(LEASES_TABLE)
+    .update(lease)
+    .eq("jira_key", jiraKey)
+    .or(`lock_expires_at.is.null,lock_expires_at.lt.${nowIso}`)
+    .select("jira_key")
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+}
+
+/**
+ * Give the lease back, recording how the run ended.
+ */
+export async function releaseScanLease(jiraKey, workerId, outcome) {
+  const supabase = await getSupabase();
+
+  if (!supabase) {
+    if (memoryLeases.get(jiraKey)?.lockedBy === workerId) memoryLeases.delete(jiraKey);
+    return;
+  }
+
+  const { error } = await supabase
+    .from(LEASES_TABLE)
+    .update({ locked_by: null, lock_expires_at: null, last_outcome: outcome || null, updated_at: new Date().toISOString() })
+    .eq("jira_key", jiraKey)
+    .eq("locked_by", workerId);
+
+  if (error) throw error;
+}
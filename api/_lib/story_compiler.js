@@ -0,0 +1,277 @@
+// api/_lib/story_compiler.js
+//
+// Compiles a Jira story into Forge's input: { instruction, contextSources, repo }
+// (see forgeProposal in api/brain/forge.js). Used by the scanner and shown as-is
+// by GET /api/brain/forge_preview.
+//
+// The instruction is Markdown with the story's summary, description, acceptance
+// criteria (one numbered item each), labels, parent epic, linked issues and
+// recent human comments (the Jira API user's own comments are left out).
+//
+// contextSources are { title, location, excerpt }: the story, its epic, and any
+// block in the description of the form
+//   === CONTEXT_SOURCES_JSON ===
+//   [{ "title": "Checkout spec", "location": "https://...", "excerpt": "..." }]
+//   === /CONTEXT_SOURCES_JSON ===
+// ({ "contextSources": [...] } is accepted too; url/path/link and text/quote are
+// read as location and excerpt). The block itself is cut from the description.
+//
+// Env: JIRA_ACCEPTANCE_CRITERIA_FIELD_ID (or JIRA_FIELD_ACCEPTANCE_CRITERIA);
+// without it, acceptance criteria are read from an "Acceptance Criteria" heading
+// in the description. FORGE_CONTEXT_COMMENTS (default 5) recent comments.
+
+import { adfToMarkdown } from "./adf.js";
+import { jiraFetch } from "./jira.js";
+import { getMyAccountId } from "./jira_meta.js";
+
+const BLOCK_START = "=== CONTEXT_SOURCES_JSON ===";
+const BLOCK_END = "=== /CONTEXT_SOURCES_JSON ===";
+
+const EXCERPT_MAX = 500;
+const COMMENT_MAX = 800;
+
+export function acceptanceCriteriaFieldId() {
+  return process.env.JIRA_ACCEPTANCE_CRITERIA_FIELD_ID || process.env.JIRA_FIELD_ACCEPTANCE_CRITERIA || "";
+}
+
+export function normalizeText(s) {
+  return (s || "")
+    .replace(/\r\n/g, "\n")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function markdownOf(value) {
+  if (!value) return "";
+  if (typeof value === "string") return value;
+  // Atlassian Document Format (ADF) -> Markdown, so lists/headings/code survive.
+  try {
+    return adfToMarkdown(value);
+  } catch {
+    return "";
+  }
+}
+
+export function descriptionOf(fields) {
+  return markdownOf(fields?.description);
+}
+
+export function acceptanceCriteriaOf(fields) {
+  const acField = acceptanceCriteriaFieldId();
+  if (acField && fields?.[acField]) return normalizeText(markdownOf(fields[acField]));
+
+  const desc = normalizeText(descriptionOf(fields));
+  const m = desc.match(/Acceptance Criteria\**\s*:?\s*\n([\s\S]*?)(\n#{1,6} [^\n]*|\n[A-Z][^\n]{0,60}\n|$)/i);
+  if (m && m[1]) return normalizeText(m[1]);
+  return "";
+}
+
+/**
+ * Acceptance criteria text as a list: one entry per list item (-, *, 1., [ ]),
+ * or per paragraph / line when there are no list markers.
+ */
+export function parseAcceptanceCriteria(text) {
+  const lines = normalizeText(text).split("\n");
+  const marker = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/;
+
+  if (lines.some((l) => marker.test(l))) {
+    const items = [];
+    for (const line of lines) {
+      const m = line.match(marker);
+      if (m) items.push(m[1].trim());
+      else if (line.trim() && items.length) items[items.length - 1] += ` ${line.trim()}`;
+    }
+    return items.filter(Boolean);
+  }
+
+  const paragraphs = lines.join("\n").split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+  if (paragraphs.length > 1) return paragraphs.map((p) => p.replace(/\s*\n\s*/g, " "));
+  return lines.map((l) => l.trim()).filter(Boolean);
+}
+
+function clip(s, max) {
+  const text = normalizeText(s);
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function toContextSource(entry) {
+  if (typeof entry === "string") return entry.trim() ? { title: entry.trim(), location: entry.trim(), excerpt: "" } : null;
+  if (!entry || typeof entry !== "object") return null;
+  const title = String(entry.title ?? entry.name ?? "").trim();
+  const location = String(entry.location ?? entry.url ?? entry.path ?? entry.link ?? entry.source ?? "").trim();
+  if (!title && !location) return null;
+  return {
+    title: title || location,
+    location,
+    excerpt: clip(String(entry.excerpt ?? entry.text ?? entry.quote ?? entry.content ?? ""), 2 * EXCERPT_MAX),
+  };
+}
+
+// Text of an ADF document without Markdown escaping, for the JSON block.
+function plainText(node) {
+  if (!node) return "";
+  if (typeof node === "string") return node;
+  if (node.type === "text") return node.text || "";
+  if (node.type === "hardBreak") return "\n";
+  const inner = (node.content || []).map(plainText);
+  return ["doc", "bulletList", "orderedList", "listItem"].includes(node.type) ? inner.join("\n") : inner.join("");
+}
+
+function between(text, start, end) {
+  const s = text.indexOf(start);
+  const e = text.indexOf(end, s + start.length);
+  return s === -1 || e === -1 ? null : { s, e };
+}
+
+/**
+ * Split a CONTEXT_SOURCES_JSON block out of a description (ADF or text):
+ * { description (Markdown, without the block), contextSources, error? }.
+ */
+export function extractContextSources(descriptionValue) {
+  const markdown = normalizeText(markdownOf(descriptionValue));
+  const cut = between(markdown, BLOCK_START, BLOCK_END);
+  const raw = between(plainText(descriptionValue), BLOCK_START, BLOCK_END);
+  if (!cut || !raw) return { description: markdown, contextSources: [] };
+
+  const description = normalizeText(markdown.slice(0, cut.s) + markdown.slice(cut.e + BLOCK_END.length));
+  const jsonText = plainText(descriptionValue)
+    .slice(raw.s + BLOCK_START.length, raw.e)
+    .replace(/^\s*```[a-z]*\s*$/gim, "")
+    .trim();
+
+  try {
+    const parsed = JSON.parse(jsonText);
+    const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.contextSources) ? parsed.contextSources : [];
+    return { description, contextSources: list.map(toContextSource).filter(Boolean) };
+  } catch (err) {
+    return { description, contextSources: [], error: `CONTEXT_SOURCES_JSON is not valid JSON: ${err.message}` };
+  }
+}
+
+function browseUrl(jira, key) {
+  return `${String(jira.baseUrl).replace(/\/+$/, "")}/browse/${key}`;
+}
+
+function linkedIssues(fields) {
+  return (fields.issuelinks || [])
+    .map((link) => {
+      const other = link.outwardIssue || link.inwardIssue;
+      if (!other) return null;
+      return {
+        relation: link.outwardIssue ? link.type?.outward : link.type?.inward,
+        key: other.key,
+        summary: other.fields?.summary || "",
+        status: other.fields?.status?.name || "",
+      };
+    })
+    .filter(Boolean);
+}
+
+async function parentEpic(jira, fields) {
+  const parent = fields.parent;
+  if (!parent?.key) return null;
+  if (parent.fields?.summary) {
+    return { key: parent.key, summary: parent.fields.summary, issueType: parent.fields.issuetype?.name || "" };
+  }
+  const issue = await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(parent.key)}?fields=summary,issuetype`, {
+    method: "GET",
+  });
+  return { key: parent.key, summary: issue?.fields?.summary || "", issueType: issue?.fields?.issuetype?.name || "" };
+}
+
+async function recentComments(jira, key) {
+  const limit = Number(process.env.FORGE_CONTEXT_COMMENTS ?? 5);
+  if (!(limit > 0)) return [];
+
+  // Leave out the API user's own comments (pick-up notes, validation results).
+  const self = await getMyAccountId(jira).catch(() => null);
+  const params = new URLSearchParams({ orderBy: "-created", maxResults: String(limit + 10) });
+  const resp = await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(key)}/comment?${params}`, {
+    method: "GET",
+  });
+
+  return (resp?.comments || [])
+    .filter((c) => !self || c.author?.accountId !== self)
+    .slice(0, limit)
+    .map((c) => ({
+      author: c.author?.displayName || "unknown",
+      created: c.created || "",
+      text: clip(markdownOf(c.body), COMMENT_MAX),
+    }))
+    .filter((c) => c.text)
+    .reverse();
+}
+
+function buildInstruction(story, repo) {
+  const out = [`Implement Jira story ${story.jiraKey}: ${story.summary}`, `Target repo: ${repo || "(unresolved)"}`];
+  const section = (title, body) => body && out.push("", `## ${title}`, body);
+
+  section("Description", story.description);
+  section("Acceptance criteria", story.acceptanceCriteria.map((ac, i) => `${i + 1}. ${ac}`).join("\n"));
+  section("Labels", story.labels.join(", "));
+  section("Epic", story.epic && `${story.epic.key}: ${story.epic.summary}`);
+  section(
+    "Linked issues",
+    story.links.map((l) => `- ${l.relation || "relates to"} ${l.key}: ${l.summary}${l.status ? ` (${l.status})` : ""}`).join("\n")
+  );
+  section(
+    "Recent comments",
+    story.comments.map((c) => `- ${c.author} (${c.created.slice(0, 10)}): ${c.text.replace(/\n+/g, " ")}`).join("\n")
+  );
+
+  out.push("", "Every acceptance criterion must be met by the PR; list how each one is covered in the test plan.");
+  return out.join("\n");
+}
+
+/**
+ * Fetch and compile one story. `repo` is the already-routed target repo.
+ * Returns { forgeInput: { instruction, contextSources, repo }, story, warnings }.
+ */
+export async function compileStory(jira, jiraKey, { repo } = {}) {
+  const acField = acceptanceCriteriaFieldId();
+  const fields = [
+    "summary",
+    "description",
+    "labels",
+    "issuetype",
+    "status",
+    "parent",
+    "issuelinks",
+    ...(acField ? [acField] : []),
+  ];
+  const issue = await jiraFetch(
+    jira,
+    `/rest/api/3/issue/${encodeURIComponent(jiraKey)}?${new URLSearchParams({ fields: fields.join(",") })}`,
+    { method: "GET" }
+  );
+  const f = issue?.fields || {};
+  const key = issue?.key || jiraKey;
+
+  const { description, contextSources: declared, error } = extractContextSources(f.description);
+  const [epic, comments] = await Promise.all([parentEpic(jira, f), recentComments(jira, key)]);
+
+  const story = {
+    jiraKey: key,
+    summary: normalizeText(f.summary),
+    issueType: f.issuetype?.name || "",
+    description,
+    acceptanceCriteria: parseAcceptanceCriteria(acceptanceCriteriaOf(f)),
+    labels: f.labels || [],
+    epic,
+    links: linkedIssues(f),
+    comments,
+  };
+
+  const contextSources = [
+    { title: `${key}: ${story.summary}`, location: browseUrl(jira, key), excerpt: clip(description, EXCERPT_MAX) },
+    ...(epic ? [{ title: `Epic ${epic.key}: ${epic.summary}`, location: browseUrl(jira, epic.key), excerpt: "" }] : []),
+    ...declared,
+  ];
+
+  return {
+    forgeInput: { instruction: buildInstruction(story, repo), contextSources, repo: repo || null },
+    story,
+    warnings: error ? [error] : [],
+  };
+}
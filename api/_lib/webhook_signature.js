@@ -0,0 +1,158 @@
+// api/_lib/webhook_signature.js
+//
+// HMAC-SHA256 request signatures for webhook-style callers, so they do not need
+// to embed an API key.
+//
+// Secrets are per integration, as JSON in the route's env var, e.g.
+//   JIRA_SCANNER_WEBHOOK_SECRETS='{"automation":"<secret>","jira-webhook":"<secret>"}'
+// The caller may name its integration with `x-orky-integration`; otherwise each
+// secret is tried. Two header schemes are understood:
+//
+// Orky (Jira Automation "Send web request", scripts):
+//   x-orky-timestamp: <unix seconds>
+//   x-orky-nonce:     <unique per request>
+//   x-orky-signature: sha256=<hex HMAC of "<timestamp>.<raw body>">
+//
+// Jira Cloud native webhooks (registered with a secret):
+//   x-hub-signature:                  sha256=<hex HMAC of the raw body>
+//   x-atlassian-webhook-identifier:   used as the nonce
+//   the payload's `timestamp` (ms)    used as the timestamp
+//
+// Replays are refused: the timestamp must be within the tolerance window
+// (default 300 s) and each nonce is accepted once (orky_webhook_nonces, or an
+// in-memory set when Supabase is not configured).
+//
+// Signatures cover the bytes as sent: read them with readRawBody
+// (api/_lib/raw_body.js) before anything parses the body.
+
+import crypto from "crypto";
+
+const NONCES_TABLE = "orky_webhook_nonces";
+const DEFAULT_TOLERANCE_S = 300;
+
+const seenNonces = new Map(); // "<integration>|<nonce>" -> expiresAt (ms), fallback store
+
+async function getSupabase() {
+  if (!process.env.ORKY_SUPABASE_URL || !process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY) return null;
+  const { supabase } = await import("./supabase.js");
+  return supabase;
+}
+
+function signatureError(statusCode, message) {
+  const e = new Error(message);
+  e.statusCode = statusCode;
+  return e;
+}
+
+function header(req, name) {
+  const v = req.headers?.[name];
+  return typeof v === "string" ? v.trim() : "";
+}
+
+/**
+ * Integration secrets from a JSON env var: { name: secret }. Empty when unset.
+ */
+export function webhookSecrets(envName) {
+  const raw = process.env[envName];
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return Object.fromEntries(Object.entries(parsed || {}).filter(([, v]) => typeof v === "string" && v));
+  } catch {
+    throw new Error(`${envName} must be a JSON object of { integration: secret }`);
+  }
+}
+
+function hmacHex(secret, data) {
+  return crypto.createHmac("sha256", secret).update(data).digest("hex");
+}
+
+function sameSignature(expectedHex, given) {
+  const m = String(given || "").match(/^sha256=([0-9a-f]{64})$/i);
+  if (!m) return false;
+  return crypto.timingSafeEqual(Buffer.from(expectedHex, "hex"), Buffer.from(m[1].toLowerCase(), "hex"));
+}
+
+function readScheme(req, raw) {
+  const orky = header(req, "x-orky-signature");
+  if (orky) {
+    const ts = header(req, "x-orky-timestamp");
+    return {
+      scheme: "orky",
+      signature: orky,
+      timestampMs: /^\d+$/.test(ts) ? Number(ts) * 1000 : NaN,
+      nonce: header(req, "x-orky-nonce"),
+      signedData: Buffer.concat([Buffer.from(`${ts}.`, "utf8"), raw]),
+    };
+  }
+
+  const hub = header(req, "x-hub-signature");
+  if (hub) {
+    let timestampMs = NaN;
+    try {
+      timestampMs = Number(JSON.parse(raw.toString("utf8"))?.timestamp);
+    } catch {
+      // Left NaN: fails the timestamp check below.
+    }
+    return {
+      scheme: "jira",
+      signature: hub,
+      timestampMs,
+      nonce: header(req, "x-atlassian-webhook-identifier"),
+      signedData: raw,
+    };
+  }
+  return null;
+}
+
+async function claimNonce(integration, nonce, toleranceS) {
+  const supabase = await getSupabase();
+  if (!supabase) {
+    const now = Date.now();
+    for (const [k, exp] of seenNonces) if (exp <= now) seenNonces.delete(k);
+    const k = `${integration}|${nonce}`;
+    if (seenNonces.has(k)) return false;
+    seenNonces.set(k, now + 2 * toleranceS * 1000);
+    return true;
+  }
+
+  const { error } = await supabase.from(NONCES_TABLE).insert({ integration, nonce });
+  if (error?.code === "23505") return false;
+  if (error) throw signatureError(503, `Nonce store unavailable: ${error.message}`);
+
+  // Older nonces can no longer pass the timestamp check; prune them.
+  const cutoff = new Date(Date.now() - 2 * toleranceS * 1000).toISOString();
+  await supabase.from(NONCES_TABLE).delete().lt("received_at", cutoff);
+  return true;
+}
+
+/**
+ * Verify a signed request.
+ *
+ * Returns null when the request carries no signature header (the route decides
+ * whether to fall back to an API key), { integration, scheme } when it is valid,
+ * and throws 401 for a bad signature, stale timestamp or replayed nonce.
+ */
+export async function verifyWebhookSignature(req, raw, { secrets, toleranceS = DEFAULT_TOLERANCE_S } = {}) {
+  const names = Object.keys(secrets || {});
+  if (names.length === 0) return null;
+
+  const sig = readScheme(req, raw || Buffer.alloc(0));
+  if (!sig) return null;
+  if (!raw) throw signatureError(400, "Raw request body unavailable; cannot verify the signature.");
+
+  const wanted = header(req, "x-orky-integration");
+  const candidates = wanted ? names.filter((n) => n === wanted) : names;
+  const integration = candidates.find((n) => sameSignature(hmacHex(secrets[n], sig.signedData), sig.signature));
+  if (!integration) throw signatureError(401, "Invalid webhook signature.");
+
+  if (!Number.isFinite(sig.timestampMs) || Math.abs(Date.now() - sig.timestampMs) > toleranceS * 1000) {
+    throw signatureError(401, `Webhook timestamp missing or outside the ${toleranceS}s window.`);
+  }
+  if (!sig.nonce) throw signatureError(401, "Webhook nonce missing.");
+  if (!(await claimNonce(integration, sig.nonce, toleranceS))) {
+    throw signatureError(401, "Webhook replay: nonce already used.");
+  }
+
+  return { integration, scheme: sig.scheme };
+}
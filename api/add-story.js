@@ -3,18 +3,44 @@
 // POST /api/add-story
 // Creates a Story under an EXISTING Epic (team-managed) using parent: { key: EPIC-KEY }.
 //
+// Auth: an API key with scope intake:write, as x-orky-key or Authorization: Bearer
+// (see api/_lib/api_keys.js). The write is audited with the client
+// (orky_audit_log, tool "jira", action "create_story").
+//
 // Required env vars:
 // - JIRA_BASE_URL
 // - JIRA_EMAIL
 // - JIRA_API_TOKEN
 // - JIRA_PROJECT_KEY
 //
-// Body JSON:
+// Body JSON (StoryPayload in the schema at GET /api/intake/schema):
 // {
 //   "epicKey": "ORKY-6",
-//   "storySummary": "My Story",
-//   "storyDescription": "Optional"
+//   "summary": "My Story",
+//   "description": "Optional, Markdown (converted to ADF)",
+//   "acceptanceCriteria": "Optional, Markdown (needs JIRA_FIELD_ACCEPTANCE_CRITERIA)",
+//   "fields": { "labels": ["foo"], "Story Points": 3 }
 // }
+// `fields` keys may be field IDs or display names (see api/_lib/jira_fields.js).
+// `attachments[]` are uploaded once the story exists (see api/_lib/intake_attachments.js).
+// assignee / reporter / watchers[] take emails, display names or accountIds
+// (see api/_lib/jira_users.js); unresolved users get a 400 with `userErrors`.
+// `sprint` / `fixVersions[]` are applied once the story exists and reported as
+// `placement` (see api/_lib/jira_placement.js).
+// The story is processed exactly as a batch story (processSingleStory in
+// api/_lib/intake_batch.js). With PDEStoryID (and JIRA_FIELD_PDE_STORY_ID) it is
+// upserted: an existing story carrying the same PDE ID is updated, and
+// `story.action` is created / updated / unchanged (see api/_lib/pde_upsert.js).
+// An unknown epicKey is a 404; a story Jira cannot take is a 400 with what
+// failed (fieldErrors / userErrors / missingRequired).
+// Legacy storySummary / storyDescription are still accepted. Invalid bodies get a
+// 400 with every violation ({ path, message, keyword }) before Jira is called.
+
+import { requireApiKey } from "./_lib/api_keys.js";
+import { audited, auditClient } from "./_lib/audit.js";
+import { enforceRateLimit } from "./_lib/rate_limit.js";
+import { loadBatchContext, processSingleStory, singleItemError } from "./_lib/intake_batch.js";
+import { invalidIntakeResponse, normalizeIntakePayload, validateIntakePayload } from "./_lib/intake_schema.js";
 
 function mustEnv(name) {
   const v = process.env[name];
@@ -22,73 +48,6 @@ function mustEnv(name) {
   return v;
 }
 
-function authHeader(email, token) {
-  const basic = Buffer.from(`${email}:${token}`).toString("base64");
-  return `Basic ${basic}`;
-}
-
-async function jiraFetch(jira, path, init = {}) {
-  const res = await fetch(`${jira.baseUrl}${path}`, {
-    ...init,
-    headers: {
-      Authorization: authHeader(jira.email, jira.apiToken),
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      ...(init.headers || {}),
-    },
-  });
-
-  const text = await res.text();
-  let json = null;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    json = { raw: text };
-  }
-
-  if (!res.ok) {
-    const err = new Error(`Jira error ${res.status}: ${res.statusText}`);
-    err.details = json;
-    throw err;
-  }
-  return json;
-}
-
-function adf(text) {
-  return {
-    type: "doc",
-    version: 1,
-    content: [{ type: "paragraph", content: [{ type: "text", text }] }],
-  };
-}
-
-async function getCreateMetaFields(jira, projectKey, issueTypeName) {
-  const qs = new URLSearchParams({
-    projectKeys: projectKey,
-    issuetypeNames: issueTypeName,
-    expand: "projects.issuetypes.fields",
-  }).toString();
-
-  const meta = await jiraFetch(jira, `/rest/api/3/issue/createmeta?${qs}`);
-  const proj = meta?.projects?.[0];
-  const it = proj?.issuetypes?.[0];
-  return it?.fields || {};
-}
-
-async function getMyAccountId(jira) {
-  const me = await jiraFetch(jira, "/rest/api/3/myself", { method: "GET" });
-  const accountId = me?.accountId;
-  if (!accountId) throw new Error("Could not determine Jira accountId from /myself");
-  return accountId;
-}
-
-function missingRequired(fieldsMeta, fieldsPayload) {
-  return Object.entries(fieldsMeta)
-    .filter(([, def]) => def?.required)
-    .filter(([fieldId]) => fieldsPayload[fieldId] === undefined)
-    .map(([fieldId, def]) => ({ fieldId, name: def?.name }));
-}
-
 export default async function handler(req, res) {
   try {
     if (req.method !== "POST") {
@@ -96,6 +55,9 @@ export default async function handler(req, res) {
       return res.status(405).json({ ok: false, error: "Use POST" });
     }
 
+    const client = await requireApiKey(req, "intake:write");
+    await enforceRateLimit(res, client.clientName, "intake");
+
     const jira = {
       baseUrl: mustEnv("JIRA_BASE_URL"),
       email: mustEnv("JIRA_EMAIL"),
@@ -103,58 +65,35 @@ export default async function handler(req, res) {
       projectKey: mustEnv("JIRA_PROJECT_KEY"),
     };
 
-    const epicKey = req.body?.epicKey;
-    if (!epicKey || typeof epicKey !== "string") {
-      return res.status(400).json({ ok: false, error: "Missing required body field: epicKey (e.g., ORKY-6)" });
+    const violations = validateIntakePayload(req.body || {}, "story");
+    if (violations.length > 0) {
+      return res.status(400).json(invalidIntakeResponse(violations));
     }
 
-    const storySummary = req.body?.storySummary || `Story under ${epicKey}`;
-    const storyDescription = req.body?.storyDescription || `Created by Orky API under Epic ${epicKey}.`;
-
-    // Validate the epic exists (optional but helpful)
-    // If epicKey is wrong, this will throw cleanly.
-    await jiraFetch(jira, `/rest/api/3/issue/${encodeURIComponent(epicKey)}?fields=key,issuetype`, { method: "GET" });
-
-    const myAccountId = await getMyAccountId(jira);
-
-    // Discover required fields for Story in THIS project
-    const storyMeta = await getCreateMetaFields(jira, jira.projectKey, "Story");
+    const input = normalizeIntakePayload(req.body, "story");
+    const epicKey = input.epicKey;
 
-    const storyFields = {
-      project: { key: jira.projectKey },
-      summary: storySummary,
-      issuetype: { name: "Story" },
-      description: adf(storyDescription),
-      parent: { key: epicKey }, // team-managed epic -> story relationship
-    };
-
-    // Auto-fill Reporter if required
-    if (storyMeta["reporter"]?.required) {
-      storyFields.reporter = { accountId: myAccountId };
-    }
-
-    const missing = missingRequired(storyMeta, storyFields);
-    if (missing.length > 0) {
-      return res.status(400).json({
-        ok: false,
-        error: "Jira reports additional required fields for Story.",
-        missingRequired: missing,
-      });
-    }
-
-    const created = await jiraFetch(jira, "/rest/api/3/issue", {
-      method: "POST",
-      body: JSON.stringify({ fields: storyFields }),
-    });
+    // Re-sending the same PDEStoryID updates that story instead of creating another.
+    const ctx = await loadBatchContext(jira);
+    const result = await audited(
+      { tool: "jira", action: "create_story", idempotencyScope: "intake", ...auditClient(req), jiraKey: epicKey },
+      () => processSingleStory(ctx, epicKey, input),
+      (r) => ({ ok: r.ok, key: r.story?.key ?? null, action: r.action ?? null, error: r.error })
+    );
+    if (!result.ok) return res.status(result.statusCode).json(singleItemError(result));
 
     return res.status(200).json({
       ok: true,
-      story: created,
+      story: result.story,
       epicKey,
+      attachments: result.attachments,
+      watchers: result.watchers,
+      userWarnings: result.userWarnings,
+      placement: result.placement,
     });
   } catch (e) {
     console.error("[add-story] error:", e?.message, e?.details || e);
-    return res.status(500).json({
+    return res.status(e?.statusCode || 500).json({
       ok: false,
       error: e?.message || "Unknown error",
       jiraDetails: e?.details || null,
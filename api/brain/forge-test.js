@@ -18,10 +18,10 @@ export default async function handler(req, res) {
 </head>
 <body>
   <h2>/api/brain/forge — Browser Test</h2>
-  <p>Enter your <code>ORKY_API_KEY</code> (sent as <code>x-orky-key</code>) and a JSON body, then click Run.</p>
+  <p>Enter an API key with scope <code>forge:run</code> (sent as <code>x-orky-key</code>) and a JSON body, then click Run.</p>
 
-  <label>ORKY_API_KEY</label>
-  <input id="key" type="password" placeholder="paste ORKY_API_KEY here" />
+  <label>API key</label>
+  <input id="key" type="password" placeholder="paste your API key here" />
 
   <label>Request Body (JSON)</label>
   <textarea id="body" rows="10">{
@@ -1,10 +1,15 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import OpenAI from "openai";
+import { requireApiKey } from "../_lib/api_keys.js";
+import { enforceRateLimit } from "../_lib/rate_limit.js";
 
 /**
  * POST /api/brain/forge
  *
+ * Auth: an API key with scope forge:run (x-orky-key or Authorization: Bearer;
+ * see api/_lib/api_keys.js).
+ *
  * Returns:
  * { ok: true, proposal: <Forge strict JSON> }
  *
@@ -16,18 +21,6 @@ function mustGetEnv(name) {
   return v;
 }
 
-function getProvidedKey(req) {
-  const headerKey = req.headers["x-orky-key"];
-  if (headerKey && String(headerKey).trim()) return String(headerKey).trim();
-
-  const auth = req.headers["authorization"];
-  if (auth && typeof auth === "string") {
-    const m = auth.match(/^Bearer\s+(.+)$/i);
-    if (m && m[1]) return m[1].trim();
-  }
-  return "";
-}
-
 async function loadForgePromptPack() {
   // Prompt pack at repo root: /agents/forge.md
   const filePath = path.join(process.cwd(), "agents", "forge.md");
@@ -150,15 +143,12 @@ export async function forgeProposal({ instruction, contextSources, repo }) {
  */
 export default async function handler(req, res) {
   try {
-    const expected = mustGetEnv("ORKY_API_KEY");
-    const provided = getProvidedKey(req);
-    if (!provided || provided !== expected) {
-      return res.status(401).json({ ok: false, error: "Unauthorized" });
-    }
+    const client = await requireApiKey(req, "forge:run");
 
     if (req.method !== "POST") {
       return res.status(405).json({ ok: false, error: "Use POST" });
     }
+    await enforceRateLimit(res, client.clientName, "forge");
 
     const { instruction, contextSources, repo } = req.body || {};
     if (!instruction || typeof instruction !== "string") {
@@ -168,6 +158,6 @@ export default async function handler(req, res) {
     const proposal = await forgeProposal({ instruction, contextSources, repo });
     return res.status(200).json({ ok: true, proposal });
   } catch (err) {
-    return res.status(500).json({ ok: false, error: err?.message || String(err) });
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || String(err) });
   }
 }
@@ -0,0 +1,71 @@
+// api/brain/forge_preview.js
+//
+// GET /api/brain/forge_preview?jiraKey=ORKY-123
+// Shows exactly what the scanner would send to Forge for a story, without
+// calling Forge, GitHub or changing the issue (see api/_lib/story_compiler.js).
+//
+// Response:
+// { ok, jiraKey, repo, routing: { sources } | { failure: { id, message } },
+//   forgeInput: { instruction, contextSources, repo }, story, warnings }
+// A story that does not route to one repo is still previewed, with repo null.
+//
+// Auth: an API key with scope forge:run (see api/_lib/api_keys.js).
+
+import { requireApiKey } from "../_lib/api_keys.js";
+import { jiraFetch } from "../_lib/jira.js";
+import { resolveTargetRepo, targetRepoFieldId } from "../_lib/repo_routing.js";
+import { compileStory } from "../_lib/story_compiler.js";
+
+const JIRA_KEY = /^[A-Z][A-Z0-9_]*-[0-9]+$/;
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ ok: false, error: "Use GET" });
+    }
+    await requireApiKey(req, "forge:run");
+
+    const jiraKey = String(req.query?.jiraKey || "").trim().toUpperCase();
+    if (!JIRA_KEY.test(jiraKey)) {
+      return res.status(400).json({ ok: false, error: "Pass ?jiraKey=<issue key>, e.g. ORKY-123" });
+    }
+
+    const jira = {
+      baseUrl: mustEnv("JIRA_BASE_URL"),
+      email: mustEnv("JIRA_EMAIL"),
+      apiToken: mustEnv("JIRA_API_TOKEN"),
+      projectKey: mustEnv("JIRA_PROJECT_KEY"),
+    };
+
+    const routingFields = ["labels", "components", ...(targetRepoFieldId() ? [targetRepoFieldId()] : [])];
+    const issue = await jiraFetch(
+      jira,
+      `/rest/api/3/issue/${encodeURIComponent(jiraKey)}?fields=${encodeURIComponent(routingFields.join(","))}`,
+      { method: "GET" }
+    );
+    const routing = await resolveTargetRepo(issue?.fields || {});
+
+    const compiled = await compileStory(jira, jiraKey, { repo: routing.repo });
+
+    return res.status(200).json({
+      ok: true,
+      jiraKey,
+      repo: routing.repo || null,
+      routing: routing.failure ? { failure: routing.failure } : { sources: routing.sources },
+      ...compiled,
+    });
+  } catch (e) {
+    return res.status(e?.statusCode || 500).json({
+      ok: false,
+      error: e?.message || String(e),
+      jiraDetails: e?.details || null,
+    });
+  }
+}
@@ -2,25 +2,20 @@
 //
 // Two entrypoints:
 // A) Named function export for internal orchestration (jira_scanner):
-//    brainToHandsCreatePr({ repo, branchName, prTitle, prBody, commitMessage, files, labels?, meta? })
+//    brainToHandsCreatePr({ repo, branchName, prTitle, prBody, commitMessage, files, labels?, jiraKey?, onBehalfOf? })
 // B) Default API handler for your existing endpoint (/api/brain/forge_to_pr):
 //    Accepts { instruction, contextSources, repo } and runs Forge -> GitHub PR mutator.
 //
 // Notes:
-// - Auth: uses ORKY_API_KEY via x-orky-key or Authorization Bearer.
+// - Auth: an API key with scopes forge:run and github:pr, via x-orky-key or
+//   Authorization Bearer (see api/_lib/api_keys.js). The same key is passed on
+//   to the internal calls.
+// - Audit: each run is recorded (orky_audit_log, tool "forge", action
+//   "forge_to_pr") with the calling client; the PR itself is audited by /api/github/pr.
 // - Uses /api/github/pr as the single GitHub mutation boundary.
 
-function mustGetEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env var: ${name}`);
-  return v;
-}
-
-function getProvidedKey(req) {
-  const headerKey = req.headers["x-orky-key"];
-  const bearer = (req.headers.authorization || "").replace("Bearer ", "");
-  return headerKey || bearer;
-}
+import { ON_BEHALF_OF_HEADER, presentedApiKey, requireApiKey } from "../_lib/api_keys.js";
+import { audited, auditClient } from "../_lib/audit.js";
 
 function getBaseUrlFromReq(req) {
   return process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
@@ -40,6 +35,8 @@ export async function brainToHandsCreatePr({
   commitMessage,
   files,
   labels, // optional - only if your /api/github/pr supports it
+  jiraKey, // optional - recorded on the audit entries
+  onBehalfOf, // optional - who an internal-key call acts for, recorded on the audit entries
 }) {
   if (!baseUrl) throw new Error("brainToHandsCreatePr missing baseUrl");
   if (!apiKey) throw new Error("brainToHandsCreatePr missing apiKey");
@@ -52,6 +49,7 @@ export async function brainToHandsCreatePr({
     headers: {
       "content-type": "application/json",
       "x-orky-key": apiKey,
+      ...(onBehalfOf ? { [ON_BEHALF_OF_HEADER]: onBehalfOf } : {}),
     },
     body: JSON.stringify({
       repo,
@@ -62,6 +60,7 @@ export async function brainToHandsCreatePr({
       files,
       // Only include if your endpoint supports it; otherwise harmless to omit.
       labels: Array.isArray(labels) ? labels : undefined,
+      jiraKey: jiraKey || undefined,
     }),
   });
 
@@ -94,12 +93,9 @@ export async function brainToHandsCreatePr({
  */
 export default async function handler(req, res) {
   try {
-    const expected = mustGetEnv("ORKY_API_KEY");
-    const provided = getProvidedKey(req);
-
-    if (!provided || provided !== expected) {
-      return res.status(401).json({ ok: false, error: "Unauthorized" });
-    }
+    await requireApiKey(req, ["forge:run", "github:pr"]);
+    // Forwarded to /api/brain/forge and /api/github/pr so they audit the same client.
+    const apiKey = presentedApiKey(req);
 
     if (req.method !== "POST") {
       return res.status(405).json({ ok: false, error: "Use POST" });
@@ -117,7 +113,7 @@ export default async function handler(req, res) {
       method: "POST",
       headers: {
         "content-type": "application/json",
-        "x-orky-key": expected,
+        "x-orky-key": apiKey,
       },
       body: JSON.stringify({
         instruction,
@@ -168,17 +164,29 @@ export default async function handler(req, res) {
     }
 
     // Execute PR using the internal function
-    const pr = await brainToHandsCreatePr({
-      baseUrl,
-      apiKey: expected,
-      repo: payload.repo,
-      branchName: payload.branchName || undefined,
-      prTitle: payload.prTitle,
-      prBody: payload.prBody,
-      commitMessage: payload.commitMessage,
-      files: payload.files,
-      labels: payload.labels, // optional, if forge includes it
-    });
+    const pr = await audited(
+      {
+        tool: "forge",
+        action: "forge_to_pr",
+        idempotencyScope: "forge_to_pr",
+        ...auditClient(req),
+        details: { repo: payload.repo, files: payload.files.map((f) => f?.path) },
+      },
+      () =>
+        brainToHandsCreatePr({
+          baseUrl,
+          apiKey,
+          repo: payload.repo,
+          branchName: payload.branchName || undefined,
+          prTitle: payload.prTitle,
+          prBody: payload.prBody,
+          commitMessage: payload.commitMessage,
+          files: payload.files,
+          labels: payload.labels, // optional, if forge includes it
+          onBehalfOf: req.apiClient?.onBehalfOf || undefined,
+        }),
+      (r) => ({ prUrl: r.prUrl, prNumber: r.prNumber })
+    );
 
     return res.status(200).json({
       ok: true,
@@ -193,6 +201,6 @@ export default async function handler(req, res) {
       },
     });
   } catch (err) {
-    return res.status(500).json({ ok: false, error: err?.message || String(err) });
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || String(err) });
   }
 }
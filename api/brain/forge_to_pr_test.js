@@ -18,8 +18,8 @@ export default async function handler(req, res) {
 
 <h2>Forge → GitHub PR Test</h2>
 
-<label>ORKY_API_KEY</label>
-<input id="key" type="password" placeholder="Paste ORKY_API_KEY here" />
+<label>API key (forge:run + github:pr)</label>
+<input id="key" type="password" placeholder="Paste your API key here" />
 
 <label>Instruction</label>
 <textarea id="instruction" rows="6">
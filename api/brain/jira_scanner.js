@@ -4,11 +4,46 @@
 // Jira sends POST with body: { "jiraKey": "ORKY-123" }
 //
 // Behavior:
-// - Validate required fields
-// - If validation fails: Ready -> In Review with comment
-// - Else: Ready -> In Progress, forge proposal, create PR in ohh-web, then In Review
+// - Claim a per-issue lease (orky_scan_leases) and re-read the issue; skip it if
+//   another run holds the lease or it is no longer Ready
+// - Check the Definition-of-Ready rules for the issue's project
+//   (config/ready_rules.yaml, see api/_lib/ready_rules.js) and route it to one
+//   target repo (repo:<name> label, component or field; see api/_lib/repo_routing.js)
+// - Reserve the story's fingerprint (orky_idempotency_keys, scope "scanner"): if
+//   this exact content already produced a PR, move to In Review pointing at it
+//   instead of forging again; a changed story gets a new fingerprint
+// - If a rule fails: Ready -> In Review with a comment listing each failing rule (id and message)
+// - Else: Ready -> In Progress, compile the story into a Forge instruction
+//   (api/_lib/story_compiler.js; preview with GET /api/brain/forge_preview),
+//   forge proposal, create PR in the story's repo, then In Review
+// - Transitions are picked by target status name (see JIRA_TRANSITION_PATHS below)
+//
+// Auth, either:
+// - a signed request (HMAC-SHA256 over the raw body, per-integration secrets in
+//   JIRA_SCANNER_WEBHOOK_SECRETS; see api/_lib/webhook_signature.js), or
+// - an API key with scopes forge:run and github:pr (see api/_lib/api_keys.js),
+//   unless JIRA_SCANNER_REQUIRE_SIGNATURE=1.
+// PRs are opened with ORKY_API_KEY on behalf of the trigger (x-orky-on-behalf-of):
+// the API client, `webhook:<integration>` for signed requests, or `cron`; the
+// audit entries carry both.
+//
+// Bodies:
+// - { "jiraKey": "ORKY-123" } (Jira Automation), or {} to scan every Ready issue
+//   (api/cron/scan-ready.js does this on a schedule)
+// - a native Jira webhook: "jira:issue_updated" whose changelog moves the issue
+//   to Ready for Engineering; other events / changes are acknowledged and ignored.
 
 import crypto from "crypto";
+import { markdownToAdf } from "../_lib/adf.js";
+import { requireApiKey } from "../_lib/api_keys.js";
+import { completeIdempotencyKey, reserveIdempotencyKey } from "../_lib/idempotency.js";
+import { evaluateReadyRules, readyRulesFor, ruleFieldIds } from "../_lib/ready_rules.js";
+import { acceptanceCriteriaFieldId, acceptanceCriteriaOf, compileStory, descriptionOf } from "../_lib/story_compiler.js";
+import { resolveTargetRepo, targetRepoFieldId } from "../_lib/repo_routing.js";
+import { claimScanLease, releaseScanLease, scanLeaseMs } from "../_lib/scan_leases.js";
+import { enforceRateLimit } from "../_lib/rate_limit.js";
+import { readRawBody } from "../_lib/raw_body.js";
+import { verifyWebhookSignature, webhookSecrets } from "../_lib/webhook_signature.js";
 import { forgeProposal } from "./forge.js";
 import { brainToHandsCreatePr } from "./forge_to_pr.js";
 
@@ -18,29 +53,36 @@ const STATUS_READY = "Ready for Engineering";
 const STATUS_IN_PROGRESS = "In Progress";
 const STATUS_IN_REVIEW = "In Review";
 
+const FINGERPRINT_SCOPE = "scanner"; // orky_idempotency_keys.scope
+
 const JIRA_BASE_URL = process.env.JIRA_BASE_URL;
 const JIRA_EMAIL = process.env.JIRA_EMAIL;
 const JIRA_API_TOKEN = process.env.JIRA_API_TOKEN;
 const JIRA_PROJECT_KEY = process.env.JIRA_PROJECT_KEY;
 
-const JIRA_AC_FIELD_ID = process.env.JIRA_ACCEPTANCE_CRITERIA_FIELD_ID || "";
-const DEFAULT_TARGET_REPO = process.env.DEFAULT_TARGET_REPO || "ohh-web";
-
-const TRANSITION_ID_TO_IN_PROGRESS = process.env.JIRA_TRANSITION_ID_TO_IN_PROGRESS || "";
-const TRANSITION_ID_TO_IN_REVIEW = process.env.JIRA_TRANSITION_ID_TO_IN_REVIEW || "";
-
-const BLOCKING_LABELS = new Set([
-  "blocked",
-  "needs-info",
-  "do-not-automate",
-  "security-review-required",
-]);
 
-const REQUIRE_AUTOMATION_ALLOWED_LABEL = false;
-const AUTOMATION_ALLOWED_LABEL = "automation:allowed";
+// Transitions are resolved by target status name from the issue's available
+// transitions. For workflows without a direct transition, list the statuses to
+// pass through, keyed by "<from> -> <to>" or just "<to>":
+//   JIRA_TRANSITION_PATHS='{"In Review": ["In Progress"], "Done -> In Review": ["Reopened", "In Progress"]}'
+const TRANSITION_PATHS_JSON = process.env.JIRA_TRANSITION_PATHS || "";
 
 // ------------------- Utilities -------------------
 
+function parseTransitionPaths(raw) {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    const out = {};
+    for (const [k, v] of Object.entries(parsed || {})) {
+      if (Array.isArray(v)) out[k.replace(/\s*->\s*/, " -> ").toLowerCase()] = v.map(String);
+    }
+    return out;
+  } catch {
+    throw new Error("JIRA_TRANSITION_PATHS must be a JSON object of status -> [intermediate statuses]");
+  }
+}
+
 function mustGetEnv(name) {
   const v = process.env[name];
   if (!v) throw new Error(`Missing env var: ${name}`);
@@ -68,11 +110,14 @@ function sha256Hex(s) {
   return crypto.createHash("sha256").update(s, "utf8").digest("hex");
 }
 
-function buildFingerprint({ jiraKey, jiraUpdatedAt, jiraStatus, acceptanceCriteria, description }) {
+// Story content and target repo only: Jira's `updated` moves with every transition and comment,
+// so it would make a re-triggered, unchanged story look new.
+function buildFingerprint({ jiraKey, jiraStatus, targetRepo, summary, acceptanceCriteria, description }) {
   const payload = [
     `jiraKey=${jiraKey}`,
-    `updatedAt=${jiraUpdatedAt || ""}`,
     `status=${jiraStatus || ""}`,
+    `repo=${targetRepo || ""}`,
+    `summary=${normalizeText(summary)}`,
     `ac=${normalizeText(acceptanceCriteria)}`,
     `desc=${normalizeText(description)}`,
   ].join("\n");
@@ -83,6 +128,12 @@ function buildFingerprint({ jiraKey, jiraUpdatedAt, jiraStatus, acceptanceCriter
 
 // ------------------- Jira helpers -------------------
 
+// Same credentials in the shape of api/_lib/jira.js, for the story compiler.
+function jiraContext() {
+  jiraAuthHeader(); // throws on missing env
+  return { baseUrl: JIRA_BASE_URL, email: JIRA_EMAIL, apiToken: JIRA_API_TOKEN, projectKey: JIRA_PROJECT_KEY };
+}
+
 function jiraAuthHeader() {
   if (!JIRA_BASE_URL || !JIRA_EMAIL || !JIRA_API_TOKEN) {
     throw new Error("Missing Jira env vars: JIRA_BASE_URL, JIRA_EMAIL, JIRA_API_TOKEN");
@@ -105,142 +156,194 @@ async function jiraFetch(path, { method = "GET", body = null } = {}) {
 
   if (!res.ok) {
     const text = await res.text().catch(() => "");
-    throw new Error(`Jira ${method} ${path} failed ${res.status}: ${text}`);
+    const err = new Error(`Jira ${method} ${path} failed ${res.status}: ${text}`);
+    err.statusCode = res.status;
+    throw err;
   }
 
   if (res.status === 204) return null;
   return res.json();
 }
 
-async function jiraGetIssue(jiraKey) {
+async function jiraGetIssue(jiraKey, extraFields = []) {
   const fields = [
     "summary",
     "status",
+    "issuetype",
     "labels",
+    "components",
     "updated",
     "description",
-    ...(JIRA_AC_FIELD_ID ? [JIRA_AC_FIELD_ID] : []),
+    ...(acceptanceCriteriaFieldId() ? [acceptanceCriteriaFieldId()] : []),
+    ...(targetRepoFieldId() ? [targetRepoFieldId()] : []),
+    ...extraFields,
   ];
   const params = new URLSearchParams({ fields: fields.join(",") });
   return jiraFetch(`/rest/api/3/issue/${encodeURIComponent(jiraKey)}?${params.toString()}`);
 }
 
-async function jiraSearchReadyIssues() {
+// Keys of every issue in Ready, oldest first, collected across all pages before
+// any of them is processed (processing moves issues out of the result set).
+async function jiraSearchReadyIssueKeys() {
   if (!JIRA_PROJECT_KEY) throw new Error("Missing JIRA_PROJECT_KEY");
-  const jql = `project = "${JIRA_PROJECT_KEY}" AND status = "${STATUS_READY}" ORDER BY updated DESC`;
-
-  const fields = [
-    "summary",
-    "status",
-    "labels",
-    "updated",
-    "description",
-    ...(JIRA_AC_FIELD_ID ? [JIRA_AC_FIELD_ID] : []),
-  ];
+  const jql = `project = "${JIRA_PROJECT_KEY}" AND status = "${STATUS_READY}" ORDER BY created ASC, key ASC`;
+
+  const keys = [];
+  let nextPageToken = null;
+  for (;;) {
+    const params = new URLSearchParams({ jql, maxResults: "100", fields: "status" });
+    if (nextPageToken) params.set("nextPageToken", nextPageToken);
+    const resp = await jiraFetch(`/rest/api/3/search/jql?${params.toString()}`);
+    const issues = resp.issues || [];
+    keys.push(...issues.map((i) => i.key));
+    nextPageToken = resp.nextPageToken || null;
+    if (issues.length === 0 || !nextPageToken || resp.isLast) break;
+  }
+  return [...new Set(keys)];
+}
 
-  const params = new URLSearchParams({
-    jql,
-    maxResults: "50",
-    fields: fields.join(","),
+async function jiraAddComment(jiraKey, bodyText) {
+  await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(jiraKey)}/comment`, {
+    method: "POST",
+    body: { body: markdownToAdf(bodyText) },
   });
+}
+
+// transition id cache: "<issueType>|<fromStatus>|<toStatus>" -> id (per warm instance)
+const transitionCache = new Map();
 
-  const resp = await jiraFetch(`/rest/api/3/search?${params.toString()}`);
-  return resp.issues || [];
+function sameStatus(a, b) {
+  return String(a || "").toLowerCase() === String(b || "").toLowerCase();
 }
 
-function extractDescriptionText(fields) {
-  const desc = fields?.description;
-  if (!desc) return "";
-  if (typeof desc === "string") return desc;
+function transitionCacheKey(ref, toStatus) {
+  return [ref.issueType, ref.status, toStatus].map((x) => String(x || "").toLowerCase()).join("|");
+}
 
-  // Atlassian Document Format (ADF) naive extraction
-  if (typeof desc === "object") {
-    try {
-      const chunks = [];
-      const walk = (node) => {
-        if (!node) return;
-        if (node.type === "text" && typeof node.text === "string") chunks.push(node.text);
-        if (Array.isArray(node.content)) node.content.forEach(walk);
-      };
-      walk(desc);
-      return chunks.join(" ");
-    } catch {
-      return "";
-    }
-  }
-  return "";
+function describeTransitions(transitions) {
+  if (!transitions.length) return "none";
+  return transitions.map((t) => `${t.id} "${t.name}" -> ${t.to?.name || "?"}`).join(", ");
+}
+
+async function jiraGetTransitions(jiraKey) {
+  const resp = await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(jiraKey)}/transitions`);
+  return resp?.transitions || [];
 }
 
-function extractAcceptanceCriteria(fields) {
-  if (JIRA_AC_FIELD_ID && fields?.[JIRA_AC_FIELD_ID]) {
-    const v = fields[JIRA_AC_FIELD_ID];
-    if (typeof v === "string") return normalizeText(v);
-    return normalizeText(JSON.stringify(v));
+async function findTransition(ref, toStatus) {
+  const cacheKey = transitionCacheKey(ref, toStatus);
+  if (transitionCache.has(cacheKey)) return { id: transitionCache.get(cacheKey), cached: true, available: null };
+
+  const available = await jiraGetTransitions(ref.key);
+  const match = available.find((t) => sameStatus(t.to?.name, toStatus));
+  if (match && ref.issueType && ref.status) transitionCache.set(cacheKey, match.id);
+  return { id: match?.id || null, cached: false, available };
+}
+
+async function applyTransition(ref, toStatus) {
+  const found = await findTransition(ref, toStatus);
+  if (!found.id) return found;
+
+  try {
+    await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(ref.key)}/transitions`, {
+      method: "POST",
+      body: { transition: { id: found.id } },
+    });
+  } catch (e) {
+    // A cached id can go stale when the workflow changes: drop it and look up once more.
+    if (!found.cached || e?.statusCode !== 400) throw e;
+    transitionCache.delete(transitionCacheKey(ref, toStatus));
+    return applyTransition(ref, toStatus);
   }
 
-  const desc = normalizeText(extractDescriptionText(fields));
-  const m = desc.match(/Acceptance Criteria\s*:?\s*\n([\s\S]*?)(\n[A-Z][^\n]{0,60}\n|$)/i);
-  if (m && m[1]) return normalizeText(m[1]);
-  return "";
+  ref.status = toStatus;
+  return found;
 }
 
-async function jiraAddComment(jiraKey, bodyText) {
-  await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(jiraKey)}/comment`, {
-    method: "POST",
-    body: { body: bodyText },
-  });
+function transitionPathFor(fromStatus, toStatus) {
+  const paths = parseTransitionPaths(TRANSITION_PATHS_JSON);
+  const to = String(toStatus).toLowerCase();
+  return paths[`${String(fromStatus || "").toLowerCase()} -> ${to}`] || paths[to] || null;
 }
 
-async function jiraTransition(jiraKey, transitionId) {
-  if (!transitionId) {
+/**
+ * Move the issue to `toStatus` by status name.
+ * `ref` is { key, issueType, status } and is updated as the issue moves.
+ */
+async function jiraTransitionTo(ref, toStatus) {
+  if (sameStatus(ref.status, toStatus)) return;
+
+  const direct = await applyTransition(ref, toStatus);
+  if (direct.id) return;
+
+  const path = transitionPathFor(ref.status, toStatus);
+  if (!path) {
     throw new Error(
-      `Missing transition id for Jira transition. Set env vars: ` +
-        `JIRA_TRANSITION_ID_TO_IN_PROGRESS and JIRA_TRANSITION_ID_TO_IN_REVIEW.`
+      `No Jira transition from "${ref.status}" to "${toStatus}" for ${ref.key}. ` +
+        `Available transitions: ${describeTransitions(direct.available || [])}. ` +
+        `Configure JIRA_TRANSITION_PATHS for multi-step workflows.`
     );
   }
 
-  await jiraFetch(`/rest/api/3/issue/${encodeURIComponent(jiraKey)}/transitions`, {
-    method: "POST",
-    body: { transition: { id: transitionId } },
-  });
+  for (const step of [...path, toStatus]) {
+    if (sameStatus(ref.status, step)) continue;
+    const from = ref.status;
+    const res = await applyTransition(ref, step);
+    if (!res.id) {
+      throw new Error(
+        `No Jira transition from "${from}" to "${step}" for ${ref.key} ` +
+          `(JIRA_TRANSITION_PATHS step towards "${toStatus}"). ` +
+          `Available transitions: ${describeTransitions(res.available || [])}.`
+      );
+    }
+  }
 }
 
-// ------------------- Hard rules -------------------
+// ------------------- Ready rules -------------------
+
+function projectOf(jiraKey) {
+  return String(jiraKey).split("-")[0];
+}
 
-function validateHardRules(issue) {
+// Definition-of-Ready check (rules from config/ready_rules.yaml, see
+// api/_lib/ready_rules.js), plus the two checks the scanner itself needs: the
+// issue is in Ready, and it routes to exactly one reachable repo (`routing`,
+// from resolveTargetRepo in api/_lib/repo_routing.js).
+function validateReadyRules(issue, readyRules, routing) {
   const fields = issue.fields || {};
   const jiraKey = issue.key;
 
   const statusName = fields.status?.name || "";
   const summary = normalizeText(fields.summary);
   const labels = (fields.labels || []).map((x) => String(x).toLowerCase());
-  const labelSet = new Set(labels);
 
-  const description = normalizeText(extractDescriptionText(fields));
-  const acceptanceCriteria = normalizeText(extractAcceptanceCriteria(fields));
+  const description = normalizeText(descriptionOf(fields));
+  const acceptanceCriteria = acceptanceCriteriaOf(fields);
   const jiraUpdatedAt = fields.updated || "";
 
-  const blockers = [];
-
-  if (statusName !== STATUS_READY) blockers.push(`Status is "${statusName}" not "${STATUS_READY}"`);
-  if (!summary || summary.length < 8) blockers.push("Missing or too-short Summary");
-  if (!description) blockers.push("Missing Description");
-  if (!acceptanceCriteria) blockers.push("Missing Acceptance Criteria");
-
-  for (const l of labelSet) {
-    if (BLOCKING_LABELS.has(l)) blockers.push(`Blocking label: ${l}`);
+  const failures = [];
+  if (statusName !== STATUS_READY) {
+    failures.push({ id: "status", message: `Status is "${statusName}" not "${STATUS_READY}"` });
   }
 
-  if (REQUIRE_AUTOMATION_ALLOWED_LABEL && !labelSet.has(AUTOMATION_ALLOWED_LABEL)) {
-    blockers.push(`Missing required label: ${AUTOMATION_ALLOWED_LABEL}`);
-  }
+  failures.push(
+    ...evaluateReadyRules(readyRules.rules, {
+      summary,
+      description,
+      acceptanceCriteria,
+      labels,
+      components: (fields.components || []).map((c) => c?.name).filter(Boolean),
+      issueType: fields.issuetype?.name || "",
+      fields,
+    })
+  );
 
-  const targetRepo = DEFAULT_TARGET_REPO;
-  if (!targetRepo) blockers.push("Missing target repo (DEFAULT_TARGET_REPO)");
+  if (routing.failure) failures.push(routing.failure);
+  const targetRepo = routing.repo || null;
 
   return {
-    ok: blockers.length === 0,
-    blockers,
+    ok: failures.length === 0,
+    failures,
     extracted: {
       jiraKey,
       jiraStatus: statusName,
@@ -256,157 +359,320 @@ function validateHardRules(issue) {
 
 // ------------------- Core runner -------------------
 
-export async function runJiraScanner({ jiraKey } = {}) {
+// The story's fingerprint is already reserved: a PR was opened for this exact
+// content (move it on to In Review, pointing at that PR), or another run is
+// still on it (leave it alone).
+async function skipDuplicate(ref, fp, reservation) {
+  if (reservation.status !== "SUCCEEDED") {
+    return { jiraKey: ref.key, outcome: "skipped_in_flight", fingerprintShort: fp.short };
+  }
+
+  const prUrl = reservation.result?.prUrl || null;
+  await jiraTransitionTo(ref, STATUS_IN_REVIEW);
+  await jiraAddComment(
+    ref.key,
+    `Already processed, see PR ${prUrl || "(unknown)"} | fingerprint ${fp.short}. ` +
+      `Change the story before moving it back to ${STATUS_READY} to run it again.`
+  );
+  return { jiraKey: ref.key, outcome: "skipped_already_processed", prUrl, fingerprintShort: fp.short };
+}
+
+// One claimed issue, freshly read from Jira: validate, forge, open the PR and
+// move it along. Returns its result item.
+async function processIssue(issue, { runTs, expectedKey, readyRules, onBehalfOf }) {
+  const key = issue.key;
+  const ref = {
+    key,
+    issueType: issue.fields?.issuetype?.name || "",
+    status: issue.fields?.status?.name || "",
+  };
+
+  let fp = null;
+  try {
+    const routing = await resolveTargetRepo(issue.fields);
+    const validation = validateReadyRules(issue, readyRules, routing);
+
+    if (!validation.ok) {
+      const reason = validation.failures.map((f) => `[${f.id}] ${f.message}`).join("; ");
+      const comment =
+        `Status transitioned from ${STATUS_READY} to ${STATUS_IN_REVIEW} because - ${reason} ` +
+        `(ready rules v${readyRules.version}, ${readyRules.project})`;
+
+      await jiraTransitionTo(ref, STATUS_IN_REVIEW);
+      await jiraAddComment(key, comment);
+
+      return {
+        jiraKey: key,
+        outcome: "validation_failed_moved_to_in_review",
+        reason,
+        failedRules: validation.failures,
+        readyRulesVersion: readyRules.version,
+      };
+    }
+
+    const { jiraStatus, summary, description, acceptanceCriteria, targetRepo } = validation.extracted;
+
+    const fingerprint = buildFingerprint({
+      jiraKey: key,
+      jiraStatus,
+      targetRepo,
+      summary,
+      acceptanceCriteria,
+      description,
+    });
+
+    const reservation = await reserveIdempotencyKey(FINGERPRINT_SCOPE, fingerprint.full, { staleMs: scanLeaseMs() });
+    if (!reservation.reserved) {
+      return await skipDuplicate(ref, fingerprint, reservation);
+    }
+    fp = fingerprint;
+
+    await jiraTransitionTo(ref, STATUS_IN_PROGRESS);
+    await jiraAddComment(key, `Orky picked up work at ${runTs} | fingerprint ${fp.short}`);
+
+    // Issue, epic, links and comments -> { instruction, contextSources, repo }.
+    const compiled = await compileStory(jiraContext(), key, { repo: targetRepo });
+    const proposal = await forgeProposal(compiled.forgeInput);
+
+    // Expect forgeProposal to either return a proposal object,
+    // or { ok, proposal }. Normalize.
+    const normalizedProposal =
+      proposal?.proposal ? proposal.proposal : proposal;
+
+    // If forge returns a github_pr proposal, extract payload. Otherwise, fail clearly.
+    if (!normalizedProposal || normalizedProposal.kind !== "github_pr" || !normalizedProposal.payload) {
+      throw new Error("forgeProposal did not return a github_pr proposal with payload");
+    }
+
+    const payload = normalizedProposal.payload;
+
+    // Create PR in the story's repo
+    const pr = await brainToHandsCreatePr({
+      baseUrl: process.env.PUBLIC_BASE_URL || undefined, // optional; handler will use req host, but here we call function, so pass explicitly below
+      apiKey: expectedKey,
+      // We'll build baseUrl here (PUBLIC_BASE_URL required for server-to-server call)
+      baseUrl: mustGetEnv("PUBLIC_BASE_URL"),
+      repo: targetRepo,
+      branchName: payload.branchName || `${key}/${runTs}`,
+      prTitle: payload.prTitle || `${key}: ${summary}`,
+      prBody:
+        (payload.prBody || "") +
+        `\n\nJira: ${key}\nFingerprint: ${fp.full}\nFingerprintShort: ${fp.short}\n`,
+      commitMessage: payload.commitMessage || `Orky: ${key}`,
+      files: payload.files,
+      labels: ["created-by-orky"],
+      jiraKey: key,
+      onBehalfOf,
+    });
+
+    if (!pr?.prUrl) throw new Error("PR creation returned no prUrl");
+
+    const item = {
+      jiraKey: key,
+      outcome: "pr_created_moved_to_in_review",
+      prUrl: pr.prUrl,
+      fingerprintShort: fp.short,
+      repo: targetRepo,
+      branch: payload.branchName || `${key}/${runTs}`,
+    };
+    // Recorded before the Jira updates: the PR exists even if they fail.
+    await completeIdempotencyKey(FINGERPRINT_SCOPE, fp.full, "SUCCEEDED", {
+      prUrl: pr.prUrl,
+      prNumber: pr.prNumber,
+      repo: targetRepo,
+      branch: item.branch,
+      runTimestamp: runTs,
+    });
+    fp = null;
+
+    await jiraTransitionTo(ref, STATUS_IN_REVIEW);
+    await jiraAddComment(key, `PR opened: ${pr.prUrl} | fingerprint ${item.fingerprintShort}`);
+
+    return item;
+  } catch (err) {
+    const msg = String(err?.message || err);
+
+    if (fp) {
+      await completeIdempotencyKey(FINGERPRINT_SCOPE, fp.full, "FAILED", { error: msg, runTimestamp: runTs }).catch((e) =>
+        console.error("[jira-scanner] fingerprint release failed:", key, e?.message || e)
+      );
+    }
+
+    try {
+      const comment =
+        `Status transitioned from ${STATUS_READY} to ${STATUS_IN_REVIEW} because - ` +
+        `Scanner execution failed: ${msg}`;
+      await jiraTransitionTo(ref, STATUS_IN_REVIEW);
+      await jiraAddComment(key, comment);
+    } catch {
+      // ignore secondary failure
+    }
+
+    return { jiraKey: key, outcome: "failed", error: msg };
+  }
+}
+
+const OUTCOME_COUNTER = {
+  pr_created_moved_to_in_review: "processed",
+  validation_failed_moved_to_in_review: "skipped",
+  skipped_leased: "skipped",
+  skipped_not_ready: "skipped",
+  skipped_already_processed: "skipped",
+  skipped_in_flight: "skipped",
+  deferred: "deferred",
+  failed: "failed",
+};
+
+/**
+ * Scan one issue (`jiraKey`, e.g. from Jira Automation) or every issue in
+ * Ready for Engineering.
+ *
+ * Each issue is claimed with a lease (api/_lib/scan_leases.js) and re-read from
+ * Jira before any work, so overlapping runs never process the same story: one
+ * leased by another run is "skipped_leased", one that left Ready meanwhile is
+ * "skipped_not_ready". Issues not reached before `deadline` (ms) are
+ * "deferred" to the next run. PRs are audited as opened on behalf of
+ * `onBehalfOf` (who triggered the scan).
+ */
+export async function runJiraScanner({ jiraKey, deadline, onBehalfOf } = {}) {
   const runTs = humanTimestamp();
   const expectedKey = mustGetEnv("ORKY_API_KEY");
+  const workerId = `scan-${crypto.randomUUID()}`;
 
-  const issues = [];
-  if (jiraKey) {
-    issues.push(await jiraGetIssue(jiraKey));
-  } else {
-    issues.push(...(await jiraSearchReadyIssues()));
-  }
+  const keys = jiraKey ? [jiraKey] : await jiraSearchReadyIssueKeys();
 
   const results = {
     runTimestamp: runTs,
     mode: jiraKey ? "single_issue" : "scan_ready_status",
-    scanned: issues.length,
+    scanned: keys.length,
+    claimed: 0,
     processed: 0,
     skipped: 0,
+    deferred: 0,
     failed: 0,
     items: [],
   };
+  const record = (item) => {
+    results[OUTCOME_COUNTER[item.outcome]] += 1;
+    results.items.push(item);
+  };
 
-  for (const issue of issues) {
-    const key = issue.key;
+  for (const key of keys) {
+    if (deadline && Date.now() >= deadline) {
+      record({ jiraKey: key, outcome: "deferred" });
+      continue;
+    }
 
     try {
-      const validation = validateHardRules(issue);
-
-      if (!validation.ok) {
-        const reason = validation.blockers.join("; ");
-        const comment = `Status transitioned from ${STATUS_READY} to ${STATUS_IN_REVIEW} because - ${reason}`;
-
-        await jiraTransition(key, TRANSITION_ID_TO_IN_REVIEW);
-        await jiraAddComment(key, comment);
-
-        results.skipped += 1;
-        results.items.push({ jiraKey: key, outcome: "validation_failed_moved_to_in_review", reason });
+      if (!(await claimScanLease(key, workerId))) {
+        record({ jiraKey: key, outcome: "skipped_leased" });
         continue;
       }
+    } catch (err) {
+      record({ jiraKey: key, outcome: "failed", error: `Could not claim lease: ${err?.message || err}` });
+      continue;
+    }
+    results.claimed += 1;
 
-      const { jiraUpdatedAt, jiraStatus, summary, labels, description, acceptanceCriteria, targetRepo } =
-        validation.extracted;
-
-      const fp = buildFingerprint({
-        jiraKey: key,
-        jiraUpdatedAt,
-        jiraStatus,
-        acceptanceCriteria,
-        description,
-      });
+    let item;
+    try {
+      const readyRules = await readyRulesFor(projectOf(key));
+      const issue = await jiraGetIssue(key, ruleFieldIds(readyRules.rules));
+      const status = issue.fields?.status?.name || "";
+      item = sameStatus(status, STATUS_READY)
+        ? await processIssue(issue, { runTs, expectedKey, readyRules, onBehalfOf })
+        : { jiraKey: key, outcome: "skipped_not_ready", status };
+    } catch (err) {
+      item = { jiraKey: key, outcome: "failed", error: String(err?.message || err) };
+    } finally {
+      await releaseScanLease(key, workerId, item?.outcome || "failed").catch((e) =>
+        console.error("[jira-scanner] lease release failed:", key, e?.message || e)
+      );
+    }
+    record(item);
+  }
 
-      await jiraTransition(key, TRANSITION_ID_TO_IN_PROGRESS);
-      await jiraAddComment(key, `Orky picked up work at ${runTs} | fingerprint ${fp.short}`);
+  return results;
+}
 
-      const forgeInput = {
-        jiraKey: key,
-        runTimestamp: runTs,
-        fingerprint: fp.full,
-        fingerprintShort: fp.short,
-        story: { summary, description, acceptanceCriteria, labels, jiraUpdatedAt },
-        target: { repo: targetRepo },
-      };
+// ------------------- Vercel route handler -------------------
 
-      const proposal = await forgeProposal(forgeInput);
+function badRequest(message) {
+  const err = new Error(message);
+  err.statusCode = 400;
+  return err;
+}
 
-      // Expect forgeProposal to either return a proposal object,
-      // or { ok, proposal }. Normalize.
-      const normalizedProposal =
-        proposal?.proposal ? proposal.proposal : proposal;
+async function authenticate(req, raw) {
+  const signed = await verifyWebhookSignature(req, raw, {
+    secrets: webhookSecrets("JIRA_SCANNER_WEBHOOK_SECRETS"),
+    toleranceS: Number(process.env.JIRA_SCANNER_SIGNATURE_TOLERANCE_S || 300),
+  });
+  if (signed) return { via: "signature", integration: signed.integration };
 
-      // If forge returns a github_pr proposal, extract payload. Otherwise, fail clearly.
-      if (!normalizedProposal || normalizedProposal.kind !== "github_pr" || !normalizedProposal.payload) {
-        throw new Error("forgeProposal did not return a github_pr proposal with payload");
-      }
+  if (process.env.JIRA_SCANNER_REQUIRE_SIGNATURE === "1") {
+    const err = new Error("Unauthorized. A signed request is required.");
+    err.statusCode = 401;
+    throw err;
+  }
+  const client = await requireApiKey(req, ["forge:run", "github:pr"]);
+  return { via: "api-key", client: client.onBehalfOf || client.clientName };
+}
 
-      const payload = normalizedProposal.payload;
-
-      // Create PR in ohh-web
-      const pr = await brainToHandsCreatePr({
-        baseUrl: process.env.PUBLIC_BASE_URL || undefined, // optional; handler will use req host, but here we call function, so pass explicitly below
-        apiKey: expectedKey,
-        // We'll build baseUrl here (PUBLIC_BASE_URL required for server-to-server call)
-        baseUrl: mustGetEnv("PUBLIC_BASE_URL"),
-        repo: targetRepo,
-        branchName: payload.branchName || `${key}/${runTs}`,
-        prTitle: payload.prTitle || `${key}: ${summary}`,
-        prBody:
-          (payload.prBody || "") +
-          `\n\nJira: ${key}\nFingerprint: ${fp.full}\nFingerprintShort: ${fp.short}\n`,
-        commitMessage: payload.commitMessage || `Orky: ${key}`,
-        files: payload.files,
-        labels: ["created-by-orky"],
-      });
-
-      if (!pr?.prUrl) throw new Error("PR creation returned no prUrl");
-
-      await jiraTransition(key, TRANSITION_ID_TO_IN_REVIEW);
-      await jiraAddComment(key, `PR opened: ${pr.prUrl} | fingerprint ${fp.short}`);
-
-      results.processed += 1;
-      results.items.push({
-        jiraKey: key,
-        outcome: "pr_created_moved_to_in_review",
-        prUrl: pr.prUrl,
-        fingerprintShort: fp.short,
-        repo: targetRepo,
-        branch: payload.branchName || `${key}/${runTs}`,
-      });
-    } catch (err) {
-      results.failed += 1;
-      const msg = String(err?.message || err);
-
-      try {
-        const comment =
-          `Status transitioned from ${STATUS_READY} to ${STATUS_IN_REVIEW} because - ` +
-          `Scanner execution failed: ${msg}`;
-        await jiraTransition(key, TRANSITION_ID_TO_IN_REVIEW);
-        await jiraAddComment(key, comment);
-      } catch {
-        // ignore secondary failure
-      }
+// The raw bytes win; req.body is only the fallback when there are none (a runtime
+// that parsed the body anyway), so a parsed { jiraKey } is never read as {}.
+function parseBody(req, raw) {
+  const text = raw ? raw.toString("utf8") : "";
+  if (!text.trim()) {
+    const parsed = req.body;
+    return parsed && typeof parsed === "object" && !Buffer.isBuffer(parsed) ? parsed : {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw badRequest(`Invalid JSON body: ${e.message}`);
+  }
+}
 
-      results.items.push({ jiraKey: key, outcome: "failed", error: msg });
-    }
+// { jiraKey } to scan, or { ignored } for webhook events that are not a move to Ready.
+function triggerFromBody(body) {
+  if (!body.webhookEvent) {
+    return { jiraKey: body.jiraKey ? String(body.jiraKey).trim() : "" };
   }
 
-  return results;
+  if (body.webhookEvent !== "jira:issue_updated") return { ignored: `event ${body.webhookEvent}` };
+  const change = (body.changelog?.items || []).find((i) => i?.field === "status" || i?.fieldId === "status");
+  if (!change) return { ignored: "no status change" };
+  if (!sameStatus(change.toString, STATUS_READY)) return { ignored: `moved to ${change.toString}` };
+
+  const jiraKey = body.issue?.key ? String(body.issue.key).trim() : "";
+  if (!jiraKey) throw badRequest("Webhook payload has no issue.key");
+  return { jiraKey };
 }
 
-// ------------------- Vercel route handler -------------------
-// Jira Automation calls POST /api/brain/jira_scanner with JSON body { jiraKey: "ORKY-123" }
+// Jira Automation calls POST /api/brain/jira_scanner with JSON body { jiraKey: "ORKY-123" };
+// a Jira webhook posts its issue_updated payload.
 export default async function jiraScannerHandler(req, res) {
   try {
-    const expected = mustGetEnv("ORKY_API_KEY");
-    const headerKey = req.headers["x-orky-key"];
-    const bearer = (req.headers.authorization || "").replace("Bearer ", "");
-    const provided = headerKey || bearer;
-
-    if (!provided || provided !== expected) {
-      return res.status(401).json({ ok: false, error: "Unauthorized" });
-    }
-
     if (req.method !== "POST") {
       return res.status(405).json({ ok: false, error: "Use POST" });
     }
 
-    const body = typeof req.body === "string" ? JSON.parse(req.body || "{}") : (req.body || {});
-    const jiraKey = body.jiraKey ? String(body.jiraKey).trim() : "";
+    const raw = await readRawBody(req);
+    const auth = await authenticate(req, raw);
+    const trigger = triggerFromBody(parseBody(req, raw));
+
+    if (trigger.ignored) {
+      return res.status(200).json({ ok: true, ignored: true, reason: trigger.ignored, auth });
+    }
+
+    // Ignored webhook deliveries are cheap and frequent; only scans count.
+    const caller = auth.client || `webhook:${auth.integration}`;
+    await enforceRateLimit(res, caller, "forge");
 
-    const result = await runJiraScanner({ jiraKey: jiraKey || undefined });
-    return res.status(200).json({ ok: true, result });
+    const result = await runJiraScanner({ jiraKey: trigger.jiraKey || undefined, onBehalfOf: caller });
+    return res.status(200).json({ ok: true, auth, result });
   } catch (e) {
-    return res.status(500).json({ ok: false, error: String(e?.message || e) });
+    return res.status(e?.statusCode || 500).json({ ok: false, error: String(e?.message || e) });
   }
 }
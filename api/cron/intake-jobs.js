@@ -0,0 +1,54 @@
+// api/cron/intake-jobs.js
+//
+// Scheduled sweep for async intake jobs: runs one slice of every job whose lease
+// is free (queued jobs whose trigger never landed, and jobs whose worker died).
+// Scheduled every 2 minutes with a 60s maxDuration in vercel.json.
+//
+// Auth:
+//   Authorization: Bearer <CRON_SECRET>   (Vercel Cron)  or an API key with scope
+//   intake:write (see api/_lib/api_keys.js)
+
+import crypto from "crypto";
+import { presentedApiKey, requireApiKey } from "../_lib/api_keys.js";
+import { listRunnableIntakeJobs, runIntakeJobSlice, triggerIntakeJobSlice } from "../_lib/intake_jobs.js";
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
+}
+
+async function authorize(req) {
+  const secret = process.env.CRON_SECRET;
+  const got = presentedApiKey(req);
+  if (secret && got && crypto.timingSafeEqual(sha256(got), sha256(secret))) return;
+  await requireApiKey(req, "intake:write");
+}
+
+function getBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
+}
+
+export default async function handler(req, res) {
+  try {
+    await authorize(req);
+
+    // One slice per job fills a whole function run, so only the first job is run
+    // here; the others are handed to their own /api/intake/jobs/:id invocation.
+    const jobIds = await listRunnableIntakeJobs(Number(process.env.INTAKE_JOB_SWEEP_LIMIT || 5));
+
+    const items = [];
+    for (const [idx, jobId] of jobIds.entries()) {
+      if (idx > 0) {
+        await triggerIntakeJobSlice(getBaseUrl(req), jobId);
+        items.push({ jobId, triggered: true });
+        continue;
+      }
+      const slice = await runIntakeJobSlice(jobId);
+      if (slice.claimed && !slice.done) await triggerIntakeJobSlice(getBaseUrl(req), jobId);
+      items.push({ jobId, ...slice });
+    }
+
+    return res.status(200).json({ ok: true, swept: items.length, items });
+  } catch (e) {
+    return res.status(e?.statusCode || 500).json({ ok: false, error: String(e?.message || e) });
+  }
+}
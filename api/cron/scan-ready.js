@@ -1,66 +1,52 @@
 // api/cron/scan-ready.js
-import { Octokit } from "octokit";
-import { createAppAuth } from "@octokit/auth-app";
-
-function mustGetEnv(name) {
-  const v = process.env[name];
-  if (!v) throw new Error(`Missing env var: ${name}`);
-  return v;
-}
-
-function normalizePem(pem) {
-  return pem.includes("\\n") ? pem.replace(/\\n/g, "\n") : pem;
+//
+// Scheduled Ready-for-Engineering scan: pages through every Ready issue and runs
+// the scanner on each (see runJiraScanner in api/brain/jira_scanner.js). Issues
+// are leased one at a time, so this can overlap other runs and Jira Automation
+// triggers; issues not reached within SCAN_READY_BUDGET_MS (default and maximum
+// 180000) are deferred to the next run.
+//
+// Runs every 15 minutes with a 300s maxDuration (vercel.json). The budget only
+// stops new issues from starting, so it leaves ISSUE_HEADROOM_MS for the issue in
+// flight (forge + PR) to finish inside maxDuration.
+//
+// Auth:
+//   Authorization: Bearer <CRON_SECRET>   (Vercel Cron)  or an API key with
+//   scopes forge:run and github:pr (see api/_lib/api_keys.js). PRs are audited as
+//   opened on behalf of "cron" or that client.
+//
+// Response: { ok, runTimestamp, scanned, claimed, processed, skipped, deferred, failed, items }
+
+import crypto from "crypto";
+import { presentedApiKey, requireApiKey } from "../_lib/api_keys.js";
+import { runJiraScanner } from "../brain/jira_scanner.js";
+
+const MAX_DURATION_MS = 300 * 1000; // keep in step with vercel.json
+const ISSUE_HEADROOM_MS = 120 * 1000;
+const MAX_BUDGET_MS = MAX_DURATION_MS - ISSUE_HEADROOM_MS;
+
+function sha256(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
 }
 
-async function getOctokitAsInstallation() {
-  const appId = mustGetEnv("GH_APP_ID");
-  const installationId = mustGetEnv("GH_APP_INSTALLATION_ID");
-  const privateKey = normalizePem(mustGetEnv("GH_APP_PRIVATE_KEY"));
-
-  const auth = createAppAuth({
-    appId,
-    privateKey,
-    installationId,
-  });
-
-  const { token } = await auth({ type: "installation" });
-  return new Octokit({ auth: token });
+// Who the scan runs for: "cron", or the API client.
+async function authorize(req) {
+  const secret = process.env.CRON_SECRET;
+  const got = presentedApiKey(req);
+  if (secret && got && crypto.timingSafeEqual(sha256(got), sha256(secret))) return "cron";
+  const client = await requireApiKey(req, ["forge:run", "github:pr"]);
+  return client.onBehalfOf || client.clientName;
 }
 
-function getBaseUrl(req) {
-  // Recommended: set PUBLIC_BASE_URL in env for stability.
-  // Fallback: use request host.
-  return process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
-}
-
-function extractContextSources(descriptionText) {
-  // Optional convention: allow embedding JSON in Jira description
-  // === CONTEXT_SOURCES_JSON ===
-  // { ... }
-  // === /CONTEXT_SOURCES_JSON ===
-  if (!descriptionText || typeof descriptionText !== "string") return [];
-  const start = "=== CONTEXT_SOURCES_JSON ===";
-  const end = "=== /CONTEXT_SOURCES_JSON ===";
-
-  const s = descriptionText.indexOf(start);
-  const e = descriptionText.indexOf(end);
+export default async function handler(req, res) {
+  try {
+    const caller = await authorize(req);
 
-  if (s === -1 || e === -1 || e <= s) return [];
+    const budgetMs = Math.min(Number(process.env.SCAN_READY_BUDGET_MS || MAX_BUDGET_MS), MAX_BUDGET_MS);
+    const summary = await runJiraScanner({ deadline: Date.now() + budgetMs, onBehalfOf: caller });
 
-  const jsonText = descriptionText.slice(s + start.length, e).trim();
-  try {
-    const parsed = JSON.parse(jsonText);
-    // Accept either {contextSources:[...]} or just [...]
-    if (Array.isArray(parsed)) return parsed;
-    if (parsed && Array.isArray(parsed.contextSources)) return parsed.contextSources;
-    return [];
-  } catch {
-    return [];
+    return res.status(200).json({ ok: true, ...summary });
+  } catch (e) {
+    return res.status(e?.statusCode || 500).json({ ok: false, error: String(e?.message || e) });
   }
 }
-
-async function jiraSearchReadyIssues() {
-  const baseUrl = mustGetEnv("JIRA_BASE_URL").replace(/\/+$/, "");
-  const email = mustGetEnv("JIRA_EMAIL");
-  const token = mustGetEnv("JIRA_API_TOKEN");
-} 
@@ -1,6 +1,16 @@
 // api/github/pr.js
+//
+// POST /api/github/pr: one commit with `files` on a new branch, then a PR.
+// Auth: an API key with scope github:pr (see api/_lib/api_keys.js).
+// Each PR is audited (orky_audit_log, tool "github", action "create_pr") with
+// the calling client, who it acted for (x-orky-on-behalf-of, internal key only)
+// and the optional body.jiraKey. Rate limited as family
+// "github", with a daily PR cap per repo (see api/_lib/rate_limit.js).
 import { Octokit } from "octokit";
 import { createAppAuth } from "@octokit/auth-app";
+import { requireApiKey } from "../_lib/api_keys.js";
+import { newCorrelationId, recordAudit } from "../_lib/audit.js";
+import { enforcePrCap, enforceRateLimit } from "../_lib/rate_limit.js";
 
 function mustGetEnv(name) {
   const v = process.env[name];
@@ -29,19 +39,14 @@ async function getOctokitAsInstallation() {
 }
 
 export default async function handler(req, res) {
+  let audit = null;
   try {
-    // Auth your endpoint (same idea as your Jira endpoint)
-    const expected = mustGetEnv("ORKY_API_KEY");
-    const headerKey = req.headers["x-orky-key"];
-    const bearer = (req.headers.authorization || "").replace("Bearer ", "");
-    const provided = headerKey || bearer;
-
-    if (!provided || provided !== expected) {
-      return res.status(401).json({ ok: false, error: "Unauthorized" });
-    }
+    const client = await requireApiKey(req, "github:pr");
+
     if (req.method !== "POST") {
       return res.status(405).json({ ok: false, error: "Use POST" });
     }
+    await enforceRateLimit(res, client.clientName, "github");
 
     const owner = mustGetEnv("GH_OWNER");
     const base = mustGetEnv("GH_DEFAULT_BRANCH");
@@ -53,18 +58,39 @@ export default async function handler(req, res) {
       prBody,             // optional
       commitMessage,      // optional
       files,              // required: [{ path, content }]
+      jiraKey,            // optional, for the audit log
     } = req.body || {};
 
     if (!repo) return res.status(400).json({ ok: false, error: "Missing body.repo" });
     if (!Array.isArray(files) || files.length === 0) {
       return res.status(400).json({ ok: false, error: "Missing body.files[]" });
     }
+    if (files.some((f) => !f?.path || typeof f?.content !== "string")) {
+      return res.status(400).json({
+        ok: false,
+        error: "Each file must include { path, content }",
+      });
+    }
+
+    await enforcePrCap(res, { owner, repo });
 
     const octokit = await getOctokitAsInstallation();
 
     const head =
       branchName || `orky/${Date.now()}-${Math.random().toString(16).slice(2, 8)}`;
 
+    audit = {
+      correlationId: newCorrelationId(),
+      tool: "github",
+      action: "create_pr",
+      idempotencyScope: "github_pr",
+      idempotencyKey: `${owner}/${repo}:${head}`,
+      clientName: client.clientName,
+      onBehalfOf: client.onBehalfOf,
+      jiraKey: jiraKey ? String(jiraKey) : null,
+    };
+    await recordAudit({ ...audit, phase: "INTENT", details: { base, files: files.map((f) => f.path) } });
+
     // 1) Base SHA (default branch)
     const baseRef = await octokit.request("GET /repos/{owner}/{repo}/git/ref/{ref}", {
       owner,
@@ -90,12 +116,6 @@ export default async function handler(req, res) {
 
     const tree = [];
     for (const f of files) {
-      if (!f?.path || typeof f?.content !== "string") {
-        return res.status(400).json({
-          ok: false,
-          error: "Each file must include { path, content }",
-        });
-      }
       const blob = await octokit.request("POST /repos/{owner}/{repo}/git/blobs", {
         owner,
         repo,
@@ -140,6 +160,13 @@ export default async function handler(req, res) {
       draft: false,
     });
 
+    await recordAudit({
+      ...audit,
+      phase: "RESULT",
+      result: "SUCCEEDED",
+      details: { prUrl: pr.data.html_url, prNumber: pr.data.number },
+    });
+
     return res.status(200).json({
       ok: true,
       owner,
@@ -150,6 +177,7 @@ export default async function handler(req, res) {
       prNumber: pr.data.number,
     });
   } catch (err) {
-    return res.status(500).json({ ok: false, error: err?.message || String(err) });
+    if (audit) await recordAudit({ ...audit, phase: "RESULT", result: "FAILED", details: { error: err?.message || String(err) } });
+    return res.status(err?.statusCode || 500).json({ ok: false, error: err?.message || String(err) });
   }
 }
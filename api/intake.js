@@ -2,16 +2,20 @@
 //
 // POST /api/intake
 //
-// Auth (required for POST):
-//   Header: x-orky-key: <ORKY_API_KEY>   (recommended)
+// Auth (required for POST), an API key with scope intake:write (see api/_lib/api_keys.js):
+//   Header: x-orky-key: <API key>   (recommended)
 //   OR
-//   Authorization: Bearer <ORKY_API_KEY>
+//   Authorization: Bearer <API key>
 //
-// Debug mode:
-//   GET /api/intake?debug=1
+// POSTs count against the client's "intake" rate limit and daily quota
+// (429 + Retry-After; see api/_lib/rate_limit.js). Every Jira write is audited
+// with the client (orky_audit_log, tool "jira"; see api/_lib/audit.js).
+//
+// Debug mode (API key with scope runs:admin):
+//   GET /api/intake?debug=1   Jira site, project and whether /myself and the
+//   project answer (status codes only; no credentials or Jira payloads)
 //
 // Required env vars:
-// - ORKY_API_KEY
 // - JIRA_BASE_URL
 // - JIRA_EMAIL
 // - JIRA_API_TOKEN
@@ -21,6 +25,58 @@
 // - JIRA_FIELD_PDE_EPIC_ID
 // - JIRA_FIELD_PDE_STORY_ID
 // - JIRA_FIELD_ACCEPTANCE_CRITERIA
+//
+// Payload: see the JSON Schema at GET /api/intake/schema. Items use
+// `summary` / `description`; legacy aliases (title, epicSummary, storySummary,
+// epicDescription, storyDescription) are accepted. Every payload is validated
+// before any Jira call; violations come back as 400 { violations: [{ path,
+// message, keyword }] } with JSON-pointer paths.
+//
+// `description` and `acceptanceCriteria` (string or array of lines) are Markdown
+// and are converted to ADF (headings, lists, code, links, tables, ...).
+//
+// `fields` keys may be Jira field IDs or display names ("Story Points"); values
+// are coerced to the field's type (see api/_lib/jira_fields.js). Unknown or
+// ambiguous names fail with 400 and `fieldErrors`.
+//
+// Body formats: JSON (default), text/csv (one row per story, always batch mode,
+// row errors in `parseErrors`) and application/yaml. See api/_lib/intake_formats.js.
+//
+// Batch mode (body.epics[]) runs exactly as POST /api/intake/batch (same engine
+// and options; see README.md "Intake API"): concurrency, retries,
+// subtasks / links, attachments, users, sprint / fixVersions, dryRun, atomic,
+// plan / apply and async. A synchronous batch keeps this route's original
+// response: `epics[]` of { index, PDEEpicID, title, epic, epicError, stories[] }
+// with { story, storyError } per story, and totals including storiesRequested
+// (see legacyBatchReport). /api/intake/batch returns the full report (`results`).
+//
+// A single epic body with stories[] or `options` (dryRun, atomic, plan, async, ...)
+// runs as a batch of that one epic with those options (same report).
+//
+// Single epic / single story modes run through the batch item code
+// (processSingleEpic / processSingleStory in api/_lib/intake_batch.js): they
+// resolve assignee / reporter / watchers[] (unresolved users fail with 400
+// `userErrors`), upload attachments[] and, for stories, apply `sprint` /
+// `fixVersions` as `placement`. An unknown epicKey is a 404.
+//
+// Idempotency:
+// - Epics/Stories carrying PDEEpicID / PDEStoryID are looked up first
+//   (orky_pde_issue_map, then JQL on the PDE custom field) and updated in
+//   place instead of duplicated. Each batch item reports created/updated/unchanged.
+
+import { presentedApiKey, requireApiKey } from "./_lib/api_keys.js";
+import { audited, auditClient } from "./_lib/audit.js";
+import { enforceRateLimit } from "./_lib/rate_limit.js";
+import { authHeader } from "./_lib/jira.js";
+import { loadBatchContext, processSingleEpic, processSingleStory, singleItemError } from "./_lib/intake_batch.js";
+import { readIntakeBody } from "./_lib/intake_formats.js";
+import {
+  intakeKindOf,
+  invalidIntakeResponse,
+  normalizeIntakePayload,
+  validateIntakePayload,
+} from "./_lib/intake_schema.js";
+import { handleBatch } from "./intake/batch.js";
 
 function mustEnv(name) {
   const v = process.env[name];
@@ -28,73 +84,11 @@ function mustEnv(name) {
   return v;
 }
 
-function getOptionalEnv(name) {
-  return process.env[name] || null;
-}
-
 function normalizeBaseUrl(url) {
   return String(url || "").replace(/\/+$/, "");
 }
 
-function getProvidedOrkyKey(req) {
-  const hdr =
-    req.headers["x-orky-key"] ||
-    req.headers["X-Orky-Key"] ||
-    req.headers["x-orky-Key"];
-
-  const auth = req.headers["authorization"] || req.headers["Authorization"];
-  if (auth && typeof auth === "string" && auth.toLowerCase().startsWith("bearer ")) {
-    return auth.slice(7).trim();
-  }
-  if (hdr && typeof hdr === "string") return hdr.trim();
-  return null;
-}
-
-function assertOrkyAuth(req) {
-  const expected = mustEnv("ORKY_API_KEY");
-  const provided = getProvidedOrkyKey(req);
-  if (!provided || provided !== expected) {
-    const err = new Error(
-      "Unauthorized. Missing required authorization (Authorization: Bearer <ORKY_API_KEY> or x-orky-key)."
-    );
-    err.statusCode = 401;
-    throw err;
-  }
-}
-
-function authHeader(email, token) {
-  const basic = Buffer.from(`${email}:${token}`).toString("base64");
-  return `Basic ${basic}`;
-}
-
-async function jiraFetch(jira, path, init = {}) {
-  const res = await fetch(`${jira.baseUrl}${path}`, {
-    ...init,
-    headers: {
-      Authorization: authHeader(jira.email, jira.apiToken),
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      ...(init.headers || {}),
-    },
-  });
-
-  const text = await res.text();
-  let json = null;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    json = { raw: text };
-  }
-
-  if (!res.ok) {
-    const err = new Error(`Jira error ${res.status}: ${res.statusText}`);
-    err.statusCode = res.status;
-    err.details = json;
-    throw err;
-  }
-  return json;
-}
-
+// Status only: the debug response never echoes Jira payloads.
 async function jiraFetchRaw(jira, path, init = {}) {
   const res = await fetch(`${jira.baseUrl}${path}`, {
     ...init,
@@ -106,220 +100,70 @@ async function jiraFetchRaw(jira, path, init = {}) {
     },
   });
 
-  const text = await res.text();
-  return {
-    status: res.status,
-    ok: res.ok,
-    body: text,
-  };
-}
-
-function adf(text) {
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "paragraph",
-        content: [{ type: "text", text: String(text || "") }],
-      },
-    ],
-  };
+  await res.arrayBuffer();
+  return { status: res.status, ok: res.ok };
 }
 
-function adfFromLines(lines) {
-  const arr = Array.isArray(lines) ? lines : [String(lines || "")];
-  const content = [];
-
-  for (const line of arr) {
-    const text = String(line || "").trim();
-    if (!text) continue;
-
-    content.push({
-      type: "paragraph",
-      content: [{ type: "text", text }],
-    });
-  }
-
-  if (content.length === 0) {
-    content.push({
-      type: "paragraph",
-      content: [{ type: "text", text: "" }],
-    });
-  }
+// Keys of a failed batch result that explain the failure; the legacy report
+// nests them under epicError / storyError.details.
+const FAILURE_KEYS = ["missingRequired", "fieldErrors", "userErrors", "invalidFields"];
 
+function legacyError(result, fallbackMessage) {
+  if (result.ok) return null;
+  const details = Object.fromEntries(FAILURE_KEYS.filter((k) => result[k] !== undefined).map((k) => [k, result[k]]));
   return {
-    type: "doc",
-    version: 1,
-    content,
+    message: result.error || fallbackMessage,
+    statusCode: result.statusCode || (Object.keys(details).length > 0 ? 400 : 500),
+    details: result.jiraDetails || (Object.keys(details).length > 0 ? details : null),
   };
 }
 
-function applyCustomFields(targetFields, input = {}) {
-  const pdeEpicField = getOptionalEnv("JIRA_FIELD_PDE_EPIC_ID");
-  const pdeStoryField = getOptionalEnv("JIRA_FIELD_PDE_STORY_ID");
-  const acField = getOptionalEnv("JIRA_FIELD_ACCEPTANCE_CRITERIA");
-
-  if (pdeEpicField && input.PDEEpicID) {
-    targetFields[pdeEpicField] = String(input.PDEEpicID);
-  }
-
-  if (pdeStoryField && input.PDEStoryID) {
-    targetFields[pdeStoryField] = String(input.PDEStoryID);
-  }
-
-  // FIX: Acceptance Criteria must be sent as ADF, not plain text
-  if (acField && input.acceptanceCriteria) {
-    targetFields[acField] = adfFromLines(input.acceptanceCriteria);
-  }
-
-  return targetFields;
-}
-
-async function getCreateMetaFields(jira, projectKey, issueTypeName) {
-  const qs = new URLSearchParams({
-    projectKeys: projectKey,
-    issuetypeNames: issueTypeName,
-    expand: "projects.issuetypes.fields",
-  }).toString();
-
-  const meta = await jiraFetch(jira, `/rest/api/3/issue/createmeta?${qs}`);
-  const proj = meta?.projects?.[0];
-  const it = proj?.issuetypes?.[0];
-  return it?.fields || {};
-}
-
-function findEpicNameFieldId(fields) {
-  for (const [fieldId, def] of Object.entries(fields)) {
-    const name = (def?.name || "").toLowerCase();
-    if (name.includes("epic") && name.includes("name")) return fieldId;
-  }
-  return null;
-}
-
-async function getMyAccountId(jira) {
-  const me = await jiraFetch(jira, "/rest/api/3/myself", { method: "GET" });
-  const accountId = me?.accountId;
-  if (!accountId) throw new Error("Could not determine Jira accountId from /myself");
-  return accountId;
+function legacyItem(result, error) {
+  const rest = { ...result };
+  for (const k of ["ok", "error", "statusCode", "jiraDetails", ...FAILURE_KEYS]) delete rest[k];
+  return { ...rest, ...error };
 }
 
-function missingRequired(fieldsMeta, fieldsPayload) {
-  return Object.entries(fieldsMeta)
-    .filter(([, def]) => def?.required)
-    .filter(([fieldId]) => fieldsPayload[fieldId] === undefined)
-    .map(([fieldId, def]) => ({ fieldId, name: def?.name }));
-}
-
-function mergeExtraFields(baseFields, extraFields) {
-  if (!extraFields || typeof extraFields !== "object") return baseFields;
-
-  const protectedKeys = new Set([
-    "project",
-    "summary",
-    "issuetype",
-    "description",
-    "parent",
-    "reporter",
-  ]);
-
-  for (const [k, v] of Object.entries(extraFields)) {
-    if (protectedKeys.has(k)) continue;
-    baseFields[k] = v;
-  }
-  return baseFields;
-}
-
-async function createEpic(jira, myAccountId, input, { dryRun = false } = {}) {
-  const epicTitle = input?.title || "Orky - Epic";
-  const epicDescription = input?.description || "Created by Orky API.";
-  const extraFields = input?.fields;
-
-  const epicMeta = await getCreateMetaFields(jira, jira.projectKey, "Epic");
-
-  const epicFields = {
-    project: { key: jira.projectKey },
-    summary: epicTitle,
-    issuetype: { name: "Epic" },
-    description: adf(epicDescription),
-  };
-
-  const epicNameFieldId = findEpicNameFieldId(epicMeta);
-  if (epicNameFieldId && epicMeta[epicNameFieldId]?.required) {
-    epicFields[epicNameFieldId] = epicTitle;
-  }
-
-  if (epicMeta["reporter"]?.required) {
-    epicFields.reporter = { accountId: myAccountId };
-  }
-
-  mergeExtraFields(epicFields, extraFields);
-  applyCustomFields(epicFields, input);
-
-  const epicMissing = missingRequired(epicMeta, epicFields);
-  if (epicMissing.length > 0) {
-    const e = new Error("Jira reports additional required fields for Epic.");
-    e.statusCode = 400;
-    e.details = { missingRequired: epicMissing };
-    throw e;
-  }
-
-  if (dryRun) {
-    return { dryRun: true, fields: epicFields };
-  }
-
-  return jiraFetch(jira, "/rest/api/3/issue", {
-    method: "POST",
-    body: JSON.stringify({ fields: epicFields }),
-  });
-}
-
-async function createStoryUnderEpic(jira, myAccountId, epicKey, input, { dryRun = false } = {}) {
-  if (!dryRun) {
-    await jiraFetch(
-      jira,
-      `/rest/api/3/issue/${encodeURIComponent(epicKey)}?fields=key,issuetype`,
-      { method: "GET" }
-    );
-  }
-
-  const storyTitle = input?.title || `Story under ${epicKey}`;
-  const storyDescription = input?.description || `Created by Orky API under Epic ${epicKey}.`;
-  const extraFields = input?.fields;
-
-  const storyMeta = await getCreateMetaFields(jira, jira.projectKey, "Story");
-
-  const storyFields = {
-    project: { key: jira.projectKey },
-    summary: storyTitle,
-    issuetype: { name: "Story" },
-    description: adf(storyDescription),
-    parent: { key: epicKey },
+/**
+ * The batch report as /api/intake answered it before it shared the batch engine:
+ * `epics[]` instead of `results[]`, errors as epicError / storyError, and stories
+ * of an epic that failed listed as skipped (424) and counted in storiesFailed.
+ */
+function legacyBatchReport(report, epics) {
+  const { results, ...rest } = report;
+  const skipped = results.filter((r) => !r.ok).reduce((n, r) => n + (epics[r.index]?.stories?.length || 0), 0);
+  return {
+    ...rest,
+    totals: {
+      ...report.totals,
+      storiesRequested: epics.reduce((n, e) => n + (e.stories?.length || 0), 0),
+      storiesFailed: report.totals.storiesFailed + skipped,
+    },
+    epics: results.map((r) => {
+      const input = epics[r.index] || {};
+      const stories = r.ok
+        ? r.stories.map((s) => ({
+            PDEStoryID: input.stories?.[s.index]?.PDEStoryID || null,
+            PDEEpicID: input.stories?.[s.index]?.PDEEpicID || input.PDEEpicID || null,
+            title: input.stories?.[s.index]?.summary || null,
+            ...legacyItem(s, { storyError: legacyError(s, "Story create failed") }),
+          }))
+        : (input.stories || []).map((s, j) => ({
+            index: j,
+            PDEStoryID: s.PDEStoryID || null,
+            PDEEpicID: s.PDEEpicID || input.PDEEpicID || null,
+            title: s.summary || null,
+            story: null,
+            storyError: { message: "Skipped because Epic was not created.", statusCode: 424, details: null },
+          }));
+      return {
+        PDEEpicID: input.PDEEpicID || null,
+        title: input.summary || null,
+        ...legacyItem(r, { epicError: legacyError(r, "Epic create failed") }),
+        stories,
+      };
+    }),
   };
-
-  if (storyMeta["reporter"]?.required) {
-    storyFields.reporter = { accountId: myAccountId };
-  }
-
-  mergeExtraFields(storyFields, extraFields);
-  applyCustomFields(storyFields, input);
-
-  const missing = missingRequired(storyMeta, storyFields);
-  if (missing.length > 0) {
-    const e = new Error("Jira reports additional required fields for Story.");
-    e.statusCode = 400;
-    e.details = { missingRequired: missing };
-    throw e;
-  }
-
-  if (dryRun) {
-    return { dryRun: true, fields: storyFields };
-  }
-
-  return jiraFetch(jira, "/rest/api/3/issue", {
-    method: "POST",
-    body: JSON.stringify({ fields: storyFields }),
-  });
 }
 
 export default async function handler(req, res) {
@@ -340,6 +184,8 @@ export default async function handler(req, res) {
     };
 
     if (req.method === "GET" && req.query?.debug === "1") {
+      await requireApiKey(req, "runs:admin");
+
       const myself = await jiraFetchRaw(jira, "/rest/api/3/myself", { method: "GET" });
       const project = await jiraFetchRaw(
         jira,
@@ -352,10 +198,7 @@ export default async function handler(req, res) {
         debug: true,
         envSeenByRuntime: {
           baseUrl: jira.baseUrl,
-          email: jira.email,
           projectKey: jira.projectKey,
-          tokenLength: jira.apiToken.length,
-          tokenLast6: jira.apiToken.slice(-6),
         },
         myself,
         project,
@@ -365,7 +208,7 @@ export default async function handler(req, res) {
     try {
       const hasXOrky = !!req.headers["x-orky-key"];
       const hasAuth = !!req.headers["authorization"];
-      const provided = getProvidedOrkyKey(req);
+      const provided = presentedApiKey(req);
       console.log("[intake] hit", {
         method: req.method,
         url: req.url,
@@ -389,130 +232,65 @@ export default async function handler(req, res) {
       return res.status(405).json({ ok: false, error: "Use POST or GET ?debug=1" });
     }
 
-    assertOrkyAuth(req);
-
-    const myAccountId = await getMyAccountId(jira);
-
-    // MODE C: Batch merged payload
-    if (Array.isArray(req.body?.epics)) {
-      const dryRun = !!req.body?.options?.dryRun;
-
-      const report = {
-        ok: true,
-        mode: "batch",
-        dryRun,
-        totals: {
-          epicsRequested: req.body.epics.length,
-          epicsCreated: 0,
-          epicsFailed: 0,
-          storiesRequested: 0,
-          storiesCreated: 0,
-          storiesFailed: 0,
-        },
-        epics: [],
-      };
-
-      for (let i = 0; i < req.body.epics.length; i++) {
-        const epicIn = req.body.epics[i] || {};
-        const epicItem = {
-          index: i,
-          PDEEpicID: epicIn.PDEEpicID || null,
-          title: epicIn.title || null,
-          epic: null,
-          epicError: null,
-          stories: [],
-        };
-
-        const storiesIn = Array.isArray(epicIn.stories) ? epicIn.stories : [];
-        report.totals.storiesRequested += storiesIn.length;
-
-        let epicKey = null;
-        try {
-          const createdEpic = await createEpic(jira, myAccountId, epicIn, { dryRun });
-          epicItem.epic = createdEpic;
-          epicKey = createdEpic?.key || null;
-          report.totals.epicsCreated += 1;
-        } catch (e) {
-          report.totals.epicsFailed += 1;
-          epicItem.epicError = {
-            message: e?.message || "Epic create failed",
-            statusCode: e?.statusCode || 500,
-            details: e?.details || null,
-          };
-        }
-
-        for (let j = 0; j < storiesIn.length; j++) {
-          const storyIn = storiesIn[j] || {};
-          const storyItem = {
-            index: j,
-            PDEStoryID: storyIn.PDEStoryID || null,
-            PDEEpicID: storyIn.PDEEpicID || null,
-            title: storyIn.title || null,
-            story: null,
-            storyError: null,
-          };
-
-          if (!epicKey && !dryRun) {
-            report.totals.storiesFailed += 1;
-            storyItem.storyError = {
-              message: "Skipped because Epic was not created.",
-              statusCode: 424,
-              details: null,
-            };
-            epicItem.stories.push(storyItem);
-            continue;
-          }
+    const client = await requireApiKey(req, "intake:write");
+    await enforceRateLimit(res, client.clientName, "intake");
 
-          try {
-            const keyToUse = dryRun ? "DRYRUN-EPIC" : epicKey;
-            const createdStory = await createStoryUnderEpic(
-              jira,
-              myAccountId,
-              keyToUse,
-              storyIn,
-              { dryRun }
-            );
-            storyItem.story = createdStory;
-            report.totals.storiesCreated += 1;
-          } catch (e) {
-            report.totals.storiesFailed += 1;
-            storyItem.storyError = {
-              message: e?.message || "Story create failed",
-              statusCode: e?.statusCode || 500,
-              details: e?.details || null,
-            };
-          }
+    const { body: raw, format, parseErrors } = await readIntakeBody(req);
 
-          epicItem.stories.push(storyItem);
-        }
-
-        report.epics.push(epicItem);
-      }
-
-      return res.status(200).json(report);
+    const kind = intakeKindOf(raw);
+    const violations = validateIntakePayload(raw, kind);
+    if (violations.length > 0) {
+      return res.status(400).json({ ...invalidIntakeResponse(violations), format, parseErrors });
+    }
+    const body = normalizeIntakePayload(raw, kind);
+
+    // MODE C: Batch merged payload, handled exactly like POST /api/intake/batch.
+    // A single epic carrying stories[] or options is a batch of one.
+    if (kind === "batch" || (kind === "epic" && (body.stories?.length > 0 || body.options))) {
+      const { options, ...epic } = body;
+      const batch = kind === "batch" ? body : { epics: [epic], ...(options ? { options } : {}) };
+      return await handleBatch(req, res, jira, batch, {
+        format,
+        parseErrors,
+        shapeReport: (report) => legacyBatchReport(report, batch.epics),
+      });
     }
 
+    // Single items run through the batch item code (api/_lib/intake_batch.js).
+    const ctx = await loadBatchContext(jira);
+
     // MODE B: Single story under existing Epic Jira key
-    if (req.body?.epicKey) {
-      const created = await createStoryUnderEpic(jira, myAccountId, req.body.epicKey, req.body, {
-        dryRun: false,
-      });
+    if (kind === "story") {
+      const result = await audited(
+        { tool: "jira", action: "create_story", idempotencyScope: "intake", ...auditClient(req), jiraKey: body.epicKey },
+        () => processSingleStory(ctx, body.epicKey, body),
+        (r) => ({ ok: r.ok, key: r.story?.key ?? null, action: r.action ?? null, error: r.error })
+      );
+      if (!result.ok) return res.status(result.statusCode).json(singleItemError(result));
 
       return res.status(200).json({
         ok: true,
         mode: "add-story",
-        epicKey: req.body.epicKey,
-        story: created,
+        epicKey: body.epicKey,
+        story: { ...result.story, userWarnings: result.userWarnings, watchers: result.watchers },
+        attachments: result.attachments,
+        placement: result.placement,
       });
     }
 
     // MODE A: Single Epic create
-    const createdEpic = await createEpic(jira, myAccountId, req.body || {}, { dryRun: false });
+    const result = await audited(
+      { tool: "jira", action: "create_epic", idempotencyScope: "intake", ...auditClient(req) },
+      () => processSingleEpic(ctx, body),
+      (r) => ({ ok: r.ok, key: r.epicKey ?? null, action: r.action ?? null, error: r.error })
+    );
+    if (!result.ok) return res.status(result.statusCode).json(singleItemError(result));
 
     return res.status(200).json({
       ok: true,
       mode: "create-epic",
-      epic: createdEpic,
+      epic: { ...result.epic, userWarnings: result.userWarnings, watchers: result.watchers },
+      attachments: result.attachments,
     });
   } catch (e) {
     const status = e?.statusCode || 500;
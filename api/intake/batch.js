@@ -1,42 +1,36 @@
 // api/intake/batch.js
 //
 // POST /api/intake/batch
-// Creates MANY Epics and Stories (team-managed) in ONE request.
-// Continues on per-record errors and returns a success/failure report.
+// Creates or updates many epics and stories in one request, continuing past
+// per-item failures, and answers with the batch report.
 //
-// Auth (your own, NOT Vercel):
-//   Authorization: Bearer <ORKY_API_KEY>
+// Auth: API key with scope intake:write (x-orky-key or Authorization: Bearer; see
+// api/_lib/api_keys.js). Counts against the client's "intake" rate limit
+// (api/_lib/rate_limit.js). Runs, plan applies and queued batches are audited with
+// the client (api/_lib/audit.js).
 //
-// Required env vars:
-// - ORKY_API_KEY
-// - JIRA_BASE_URL
-// - JIRA_EMAIL
-// - JIRA_API_TOKEN
-// - JIRA_PROJECT_KEY
+// Required env vars: JIRA_BASE_URL, JIRA_EMAIL, JIRA_API_TOKEN, JIRA_PROJECT_KEY.
 //
-// Payload shape (high-level):
-// {
-//   "epics": [
-//     {
-//       "epicSummary": "Epic title",
-//       "epicDescription": "Optional",
-//       "fields": { "labels": ["foo"], "components": [{"name":"Backend"}], "priority": {"name":"Medium"} },
-//       "stories": [
-//         {
-//           "storySummary": "Story title",
-//           "storyDescription": "Optional",
-//           "fields": { "labels": ["foo-story"] }
-//         }
-//       ]
-//     }
-//   ],
-//   "options": { "dryRun": false }
-// }
+// Body: { epics: [...], options } as JSON, CSV or YAML (api/_lib/intake_formats.js),
+// validated against GET /api/intake/schema (api/_lib/intake_schema.js) before any
+// Jira call: 400 { violations } otherwise.
 //
-// Notes:
-// - Team-managed story->epic link uses: fields.parent = { key: EPIC_KEY }
-// - You can pass additional Jira fields in `fields` (including customfield_XXXXX).
-// - Protected keys (project, issuetype, parent, summary, description) cannot be overridden via `fields`.
+// Responses, by options:
+//   (none) / dryRun / atomic   200 batch report { totals, results[] } (api/_lib/intake_batch.js)
+//   plan                       200 { planHash, totals, items } (api/_lib/intake_plan.js)
+//   apply: "<planHash>"        200 applied report; 409 with the fresh plan if Jira changed,
+//                              422 if the plan has errors
+//   async                      202 { jobId, statusUrl } (api/_lib/intake_jobs.js)
+//
+// The payload fields and every option are described in README.md ("Intake API").
+
+import { requireApiKey } from "../_lib/api_keys.js";
+import { audited, auditClient } from "../_lib/audit.js";
+import { enforceRateLimit } from "../_lib/rate_limit.js";
+import { createBatchReport, loadBatchContext, runBatch } from "../_lib/intake_batch.js";
+import { applyPlan, buildPlan } from "../_lib/intake_plan.js";
+import { readIntakeBody } from "../_lib/intake_formats.js";
+import { invalidIntakeResponse, normalizeIntakePayload, validateIntakePayload } from "../_lib/intake_schema.js";
 
 function mustEnv(name) {
   const v = process.env[name];
@@ -44,121 +38,149 @@ function mustEnv(name) {
   return v;
 }
 
-function requireBearer(req) {
-  const expected = mustEnv("ORKY_API_KEY");
-  const auth = req.headers?.authorization || "";
-  const m = auth.match(/^Bearer\s+(.+)$/i);
-  const got = m?.[1] || "";
-  if (!got || got !== expected) {
-    const e = new Error("Unauthorized");
-    e.statusCode = 401;
-    throw e;
+function planModeViolations(body) {
+  const o = body.options || {};
+  const violations = [];
+  const flag = (path, message) => violations.push({ path, message, keyword: "unsupported" });
+
+  if (o.plan && o.apply) flag("/options/apply", "cannot be combined with options.plan");
+  for (const opt of ["async", "atomic", "dryRun"]) {
+    if (o[opt]) flag(`/options/${opt}`, "is not supported with options.plan / options.apply");
   }
+  body.epics.forEach((e, i) => {
+    for (const key of ["attachments", "assignee", "reporter", "watchers"]) {
+      if (e[key] !== undefined) flag(`/epics/${i}/${key}`, "is not supported with options.plan / options.apply");
+    }
+    (e.stories || []).forEach((s, j) => {
+      for (const key of ["assignee", "reporter", "watchers", "sprint", "fixVersions"]) {
+        if (s[key] !== undefined) flag(`/epics/${i}/stories/${j}/${key}`, "is not supported with options.plan / options.apply");
+      }
+      if (s.attachments) flag(`/epics/${i}/stories/${j}/attachments`, "is not supported with options.plan / options.apply");
+      if (s.subtasks) flag(`/epics/${i}/stories/${j}/subtasks`, "is not supported with options.plan / options.apply");
+      if (s.links) flag(`/epics/${i}/stories/${j}/links`, "is not supported with options.plan / options.apply");
+    });
+  });
+  return violations;
 }
 
-function authHeader(email, token) {
-  const basic = Buffer.from(`${email}:${token}`).toString("base64");
-  return `Basic ${basic}`;
-}
+async function handlePlan(req, res, jira, body, { format, parseErrors, startedAt }) {
+  const violations = planModeViolations(body);
+  if (violations.length > 0) {
+    return res.status(400).json({ ...invalidIntakeResponse(violations), format, parseErrors });
+  }
 
-async function jiraFetch(jira, path, init = {}) {
-  const res = await fetch(`${jira.baseUrl}${path}`, {
-    ...init,
-    headers: {
-      Authorization: authHeader(jira.email, jira.apiToken),
-      Accept: "application/json",
-      "Content-Type": "application/json",
-      ...(init.headers || {}),
-    },
-  });
+  const ctx = await loadBatchContext(jira, { dryRun: true });
+  const plan = await buildPlan(ctx, body.epics);
+  const meta = { format, parseErrors, startedAt, finishedAt: new Date().toISOString() };
 
-  const text = await res.text();
-  let json = null;
-  try {
-    json = text ? JSON.parse(text) : null;
-  } catch {
-    json = { raw: text };
+  if (body.options.plan) {
+    return res.status(200).json({ ok: true, mode: "plan", ...plan, ...meta });
   }
 
-  if (!res.ok) {
-    const err = new Error(`Jira error ${res.status}: ${res.statusText}`);
-    err.statusCode = res.status;
-    err.details = json;
-    throw err;
+  const expected = body.options.apply;
+  if (plan.planHash !== expected) {
+    return res.status(409).json({
+      ok: false,
+      mode: "apply",
+      error: "Plan is stale: Jira or the payload changed since it was planned. Review the new plan and apply its hash.",
+      expectedPlanHash: expected,
+      ...plan,
+      ...meta,
+    });
+  }
+  if (plan.totals.error > 0) {
+    return res.status(422).json({ ok: false, mode: "apply", error: "Plan has errors; nothing was applied.", ...plan, ...meta });
   }
-  return json;
-}
 
-function adf(text) {
-  const safe = (text ?? "").toString();
-  return {
-    type: "doc",
-    version: 1,
-    content: [
-      {
-        type: "paragraph",
-        content: safe ? [{ type: "text", text: safe }] : [{ type: "text", text: "" }],
-      },
-    ],
-  };
+  const applied = await audited(
+    {
+      tool: "jira",
+      action: "apply_plan",
+      idempotencyScope: "intake_plan",
+      idempotencyKey: plan.planHash,
+      ...auditClient(req),
+      details: { epics: body.epics.length },
+    },
+    () => applyPlan(ctx, body.epics, plan),
+    (a) => ({ totals: a.totals })
+  );
+  return res.status(200).json({
+    ok: applied.totals.failed === 0,
+    mode: "apply",
+    planHash: plan.planHash,
+    totals: applied.totals,
+    results: applied.results,
+    orphans: plan.items.filter((it) => it.action === "orphan"),
+    ...meta,
+    finishedAt: new Date().toISOString(),
+  });
 }
 
-async function getCreateMetaFields(jira, projectKey, issueTypeName) {
-  const qs = new URLSearchParams({
-    projectKeys: projectKey,
-    issuetypeNames: issueTypeName,
-    expand: "projects.issuetypes.fields",
-  }).toString();
-
-  const meta = await jiraFetch(jira, `/rest/api/3/issue/createmeta?${qs}`);
-  const proj = meta?.projects?.[0];
-  const it = proj?.issuetypes?.[0];
-  return it?.fields || {};
+function getBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
 }
 
-function findEpicNameFieldId(fields) {
-  for (const [fieldId, def] of Object.entries(fields || {})) {
-    const name = (def?.name || "").toLowerCase();
-    if (name.includes("epic") && name.includes("name")) return fieldId;
+/**
+ * Run a validated, normalized batch payload: plan/apply, async job or synchronous
+ * batch, depending on body.options. Also used by batch bodies POSTed to /api/intake,
+ * which passes `shapeReport(report)` to answer a synchronous batch in its own shape.
+ */
+export async function handleBatch(
+  req,
+  res,
+  jira,
+  body,
+  { format, parseErrors, startedAt = new Date().toISOString(), shapeReport = (report) => report }
+) {
+  const epics = body.epics;
+  const dryRun = !!body.options?.dryRun;
+
+  if (body.options?.plan || body.options?.apply) {
+    return handlePlan(req, res, jira, body, { format, parseErrors, startedAt });
   }
-  return null;
-}
 
-async function getMyAccountId(jira) {
-  const me = await jiraFetch(jira, "/rest/api/3/myself", { method: "GET" });
-  const accountId = me?.accountId;
-  if (!accountId) throw new Error("Could not determine Jira accountId from /myself");
-  return accountId;
-}
+  if (body?.options?.async) {
+    // Loaded lazily so the sync path does not require Supabase.
+    const { createIntakeJob, triggerIntakeJobSlice } = await import("../_lib/intake_jobs.js");
 
-function missingRequired(fieldsMeta, fieldsPayload) {
-  return Object.entries(fieldsMeta || {})
-    .filter(([, def]) => def?.required)
-    .filter(([fieldId]) => fieldsPayload[fieldId] === undefined)
-    .map(([fieldId, def]) => ({ fieldId, name: def?.name }));
-}
+    const job = await audited(
+      { tool: "jira", action: "enqueue_batch", idempotencyScope: "intake_job", ...auditClient(req), details: { epics: epics.length, dryRun } },
+      () => createIntakeJob(body, { clientName: req.apiClient?.clientName }),
+      (j) => ({ jobId: j.id })
+    );
+    await triggerIntakeJobSlice(getBaseUrl(req), job.id);
 
-function isPlainObject(v) {
-  return v && typeof v === "object" && !Array.isArray(v);
-}
-
-function mergeAllowed(baseFields, extraFields) {
-  if (!isPlainObject(extraFields)) return baseFields;
-
-  // Protect critical routing keys from being overridden by payload.
-  const PROTECTED = new Set(["project", "issuetype", "parent", "summary", "description"]);
+    return res.status(202).json({
+      ok: true,
+      mode: "batch",
+      async: true,
+      dryRun,
+      format,
+      parseErrors,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/intake/jobs/${job.id}`,
+    });
+  }
 
-  const merged = { ...baseFields };
-  for (const [k, v] of Object.entries(extraFields)) {
-    if (PROTECTED.has(k)) continue;
-    merged[k] = v;
+  const ctx = await loadBatchContext(jira, {
+    dryRun,
+    concurrency: body?.options?.concurrency,
+    defaultAssignee: !!body?.options?.defaultAssignee,
+    createVersions: body?.options?.createVersions,
+  });
+  const report = createBatchReport(epics, { dryRun, atomic: !!body.options?.atomic, startedAt });
+  if (dryRun) {
+    await runBatch(ctx, epics, report);
+  } else {
+    await audited(
+      { tool: "jira", action: "batch", idempotencyScope: "intake_batch", ...auditClient(req), details: { epics: epics.length } },
+      () => runBatch(ctx, epics, report),
+      () => ({ totals: report.totals })
+    );
   }
-  return merged;
-}
 
-function safeString(v, fallback = "") {
-  if (v === null || v === undefined) return fallback;
-  return String(v);
+  return res.status(200).json({ ...shapeReport(report), format, parseErrors });
 }
 
 export default async function handler(req, res) {
@@ -171,7 +193,8 @@ export default async function handler(req, res) {
     }
 
     // Your own auth gate (so Orky can call without Vercel Deployment Protection).
-    requireBearer(req);
+    const client = await requireApiKey(req, "intake:write");
+    await enforceRateLimit(res, client.clientName, "intake");
 
     const jira = {
       baseUrl: mustEnv("JIRA_BASE_URL"),
@@ -180,221 +203,21 @@ export default async function handler(req, res) {
       projectKey: mustEnv("JIRA_PROJECT_KEY"),
     };
 
-    const body = req.body || {};
-    const epics = Array.isArray(body.epics) ? body.epics : [];
-    const dryRun = !!body?.options?.dryRun;
-
-    if (epics.length === 0) {
-      return res.status(400).json({ ok: false, error: "Body must include epics: [] with at least one item." });
-    }
-
-    const myAccountId = await getMyAccountId(jira);
-
-    // Fetch metadata once (faster + consistent required-field detection).
-    const epicMeta = await getCreateMetaFields(jira, jira.projectKey, "Epic");
-    const storyMeta = await getCreateMetaFields(jira, jira.projectKey, "Story");
-    const epicNameFieldId = findEpicNameFieldId(epicMeta);
-
-    const results = [];
-    let createdEpics = 0;
-    let createdStories = 0;
-    let failedEpics = 0;
-    let failedStories = 0;
-
-    for (let i = 0; i < epics.length; i++) {
-      const item = epics[i] || {};
-      const epicSummary = safeString(item.epicSummary, "").trim();
-
-      if (!epicSummary) {
-        failedEpics++;
-        results.push({
-          index: i,
-          ok: false,
-          epic: null,
-          error: "Missing epicSummary",
-          stories: [],
-        });
-        continue;
-      }
-
-      const epicDescription = safeString(item.epicDescription, "Created by Orky batch API.");
-      const epicExtraFields = item.fields;
-
-      // Build base epic fields (then allow merges).
-      let epicFields = {
-        project: { key: jira.projectKey },
-        summary: epicSummary,
-        issuetype: { name: "Epic" },
-        description: adf(epicDescription),
-      };
-
-      // Epic Name field (team-managed still has it; Jira varies by config)
-      if (epicNameFieldId && epicMeta?.[epicNameFieldId]?.required) {
-        epicFields[epicNameFieldId] = epicSummary;
-      }
-
-      // Reporter (only if Jira requires)
-      if (epicMeta?.reporter?.required) {
-        epicFields.reporter = { accountId: myAccountId };
-      }
-
-      epicFields = mergeAllowed(epicFields, epicExtraFields);
-
-      const epicMissing = missingRequired(epicMeta, epicFields);
-      if (epicMissing.length > 0) {
-        failedEpics++;
-        results.push({
-          index: i,
-          ok: false,
-          epic: null,
-          error: "Jira requires additional fields for Epic.",
-          missingRequired: epicMissing,
-          stories: [],
-        });
-        continue;
-      }
-
-      // Create epic (or simulate)
-      let epicCreate = null;
-      let epicKey = null;
-
-      try {
-        if (dryRun) {
-          epicCreate = { key: "(dry-run)", fields: { summary: epicSummary } };
-          epicKey = "(dry-run)";
-        } else {
-          epicCreate = await jiraFetch(jira, "/rest/api/3/issue", {
-            method: "POST",
-            body: JSON.stringify({ fields: epicFields }),
-          });
-          epicKey = epicCreate?.key || null;
-        }
+    const { body: raw, format, parseErrors } = await readIntakeBody(req);
 
-        createdEpics++;
-
-        const stories = Array.isArray(item.stories) ? item.stories : [];
-        const storyResults = [];
-
-        for (let j = 0; j < stories.length; j++) {
-          const s = stories[j] || {};
-          const storySummary = safeString(s.storySummary, "").trim();
-
-          if (!storySummary) {
-            failedStories++;
-            storyResults.push({
-              index: j,
-              ok: false,
-              story: null,
-              error: "Missing storySummary",
-            });
-            continue;
-          }
-
-          const storyDescription = safeString(
-            s.storyDescription,
-            epicKey && epicKey !== "(dry-run)" ? `Created by Orky batch API under Epic ${epicKey}.` : "Created by Orky batch API."
-          );
-
-          let storyFields = {
-            project: { key: jira.projectKey },
-            summary: storySummary,
-            issuetype: { name: "Story" },
-            description: adf(storyDescription),
-            parent: { key: epicKey && epicKey !== "(dry-run)" ? epicKey : "ORKY-EXAMPLE" },
-          };
-
-          // Reporter if required
-          if (storyMeta?.reporter?.required) {
-            storyFields.reporter = { accountId: myAccountId };
-          }
-
-          storyFields = mergeAllowed(storyFields, s.fields);
-
-          const storyMissing = missingRequired(storyMeta, storyFields);
-          if (storyMissing.length > 0) {
-            failedStories++;
-            storyResults.push({
-              index: j,
-              ok: false,
-              story: null,
-              error: "Jira requires additional fields for Story.",
-              missingRequired: storyMissing,
-            });
-            continue;
-          }
-
-          try {
-            let storyCreate = null;
-            if (dryRun) {
-              storyCreate = { key: "(dry-run)" };
-            } else {
-              storyCreate = await jiraFetch(jira, "/rest/api/3/issue", {
-                method: "POST",
-                body: JSON.stringify({ fields: storyFields }),
-              });
-            }
-            createdStories++;
-            storyResults.push({
-              index: j,
-              ok: true,
-              story: storyCreate,
-            });
-          } catch (e) {
-            failedStories++;
-            storyResults.push({
-              index: j,
-              ok: false,
-              story: null,
-              error: e?.message || "Story create failed",
-              jiraDetails: e?.details || null,
-              statusCode: e?.statusCode || 500,
-            });
-          }
-        }
-
-        results.push({
-          index: i,
-          ok: true,
-          epic: epicCreate,
-          epicKey,
-          stories: storyResults,
-        });
-      } catch (e) {
-        failedEpics++;
-        results.push({
-          index: i,
-          ok: false,
-          epic: null,
-          error: e?.message || "Epic create failed",
-          jiraDetails: e?.details || null,
-          statusCode: e?.statusCode || 500,
-          stories: [],
-        });
-      }
+    const violations = validateIntakePayload(raw, "batch");
+    if (violations.length > 0) {
+      return res.status(400).json({ ...invalidIntakeResponse(violations), format, parseErrors });
     }
 
-    const finishedAt = new Date().toISOString();
-
-    return res.status(200).json({
-      ok: true,
-      mode: "batch",
-      dryRun,
-      startedAt,
-      finishedAt,
-      totals: {
-        epicsRequested: epics.length,
-        epicsCreated: createdEpics,
-        epicsFailed: failedEpics,
-        storiesCreated: createdStories,
-        storiesFailed: failedStories,
-      },
-      results,
-    });
+    const body = normalizeIntakePayload(raw, "batch");
+    return await handleBatch(req, res, jira, body, { format, parseErrors, startedAt });
   } catch (e) {
     const status = e?.statusCode || 500;
     return res.status(status).json({
       ok: false,
       error: e?.message || "Unknown error",
+      details: e?.details || null,
       startedAt,
     });
   }
@@ -0,0 +1,98 @@
+// api/intake/export.js
+//
+// GET /api/intake/export?epicKey=ORKY-6
+// GET /api/intake/export?jql=project%20%3D%20ORKY%20AND%20issuetype%20%3D%20Epic&limit=20
+//
+// Reads epics with their stories and subtasks from Jira and returns them in the
+// /api/intake/batch payload format (Markdown converted from ADF), so a plan can
+// be versioned, edited and re-applied. See api/_lib/intake_export.js.
+//
+// Auth:
+//   Authorization: Bearer <API key> (or x-orky-key) with scope intake:write
+//   (see api/_lib/api_keys.js)
+//
+// Query:
+// - epicKey   one epic, or
+// - jql       any JQL; only Epic results are exported, others are listed in
+//             x-export.skipped. limit: max epics (1-200, default 50).
+// - download=1  sends Content-Disposition: attachment.
+//
+// The body is a BatchPayload: { epics: [...], "x-export": { source, exportedAt,
+// skipped, violations } }. `x-` keys are ignored by intake, so the file can be
+// POSTed back unchanged; `violations` lists anything the exported data breaks
+// in the schema (normally empty).
+
+import { requireApiKey } from "../_lib/api_keys.js";
+import { enforceRateLimit } from "../_lib/rate_limit.js";
+import { exportEpics } from "../_lib/intake_export.js";
+import { validateIntakePayload } from "../_lib/intake_schema.js";
+
+const JIRA_KEY = /^[A-Z][A-Z0-9_]*-[0-9]+$/;
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+function badRequest(message) {
+  const e = new Error(message);
+  e.statusCode = 400;
+  return e;
+}
+
+function readQuery(query) {
+  const epicKey = query?.epicKey ? String(query.epicKey).trim().toUpperCase() : null;
+  const jql = query?.jql ? String(query.jql).trim() : null;
+
+  if (!epicKey === !jql) throw badRequest("Pass exactly one of epicKey or jql.");
+  if (epicKey && !JIRA_KEY.test(epicKey)) throw badRequest(`Invalid epicKey: ${epicKey}`);
+
+  const limit = query?.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) throw badRequest("limit must be an integer from 1 to 200.");
+
+  return { epicKey, jql, limit };
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ ok: false, error: "Use GET" });
+    }
+
+    const client = await requireApiKey(req, "intake:write");
+    await enforceRateLimit(res, client.clientName, "intake");
+
+    const jira = {
+      baseUrl: mustEnv("JIRA_BASE_URL"),
+      email: mustEnv("JIRA_EMAIL"),
+      apiToken: mustEnv("JIRA_API_TOKEN"),
+      projectKey: mustEnv("JIRA_PROJECT_KEY"),
+    };
+
+    const { epicKey, jql, limit } = readQuery(req.query);
+    const { epics, skipped } = await exportEpics(jira, { epicKey, jql, limit });
+
+    const payload = { epics };
+    payload["x-export"] = {
+      source: epicKey ? { epicKey } : { jql, limit },
+      exportedAt: new Date().toISOString(),
+      skipped,
+      violations: validateIntakePayload(payload, "batch"),
+    };
+
+    if (req.query?.download === "1") {
+      const name = (epicKey || "epics").toLowerCase();
+      res.setHeader("Content-Disposition", `attachment; filename="orky-${name}.json"`);
+    }
+    return res.status(200).json(payload);
+  } catch (e) {
+    const status = e?.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: e?.message || "Unknown error",
+      details: e?.details || null,
+    });
+  }
+}
@@ -0,0 +1,67 @@
+// api/intake/jobs/[id].js
+//
+// GET  /api/intake/jobs/:id   -> job status + batch report (same shape as /api/intake/batch)
+// POST /api/intake/jobs/:id   -> run one processing slice (internal; fired by batch.js,
+//                                by itself while work remains, and by api/cron/intake-jobs.js)
+//
+// Auth:
+//   Authorization: Bearer <API key> (or x-orky-key) with scope intake:write
+//   (see api/_lib/api_keys.js). GET only shows a job to the client that queued
+//   it (and to ORKY_API_KEY); anyone else gets the same 404 as an unknown id.
+//
+// Response (GET):
+// {
+//   "ok": true,
+//   "jobId": "...",
+//   "status": "QUEUED" | "RUNNING" | "SUCCEEDED" | "FAILED",
+//   "attempts": 0,
+//   "lastError": null,
+//   "createdAt": "...", "updatedAt": "...", "finishedAt": null,
+//   "report": { "ok", "mode", "dryRun", "startedAt", "finishedAt", "totals", "results" }
+// }
+
+import { INTERNAL_CLIENT, requireApiKey } from "../../_lib/api_keys.js";
+import { getIntakeJob, runIntakeJobSlice, triggerIntakeJobSlice } from "../../_lib/intake_jobs.js";
+
+function getBaseUrl(req) {
+  return process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ ok: false, error: "Use GET or POST" });
+    }
+
+    const client = await requireApiKey(req, "intake:write");
+
+    const jobId = String(req.query?.id || "").trim();
+    if (!jobId) return res.status(400).json({ ok: false, error: "Missing job id" });
+
+    if (req.method === "POST") {
+      const slice = await runIntakeJobSlice(jobId);
+      if (slice.claimed && !slice.done) await triggerIntakeJobSlice(getBaseUrl(req), jobId);
+      return res.status(200).json({ ok: true, jobId, ...slice });
+    }
+
+    const job = await getIntakeJob(jobId);
+    const visible = job && (client.clientName === INTERNAL_CLIENT || job.client_name === client.clientName);
+    if (!visible) return res.status(404).json({ ok: false, error: `Job not found: ${jobId}` });
+
+    return res.status(200).json({
+      ok: true,
+      jobId: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      lastError: job.last_error,
+      createdAt: job.created_at,
+      updatedAt: job.updated_at,
+      finishedAt: job.finished_at,
+      report: job.report,
+    });
+  } catch (e) {
+    const status = e?.statusCode || 500;
+    return res.status(status).json({ ok: false, error: e?.message || "Unknown error" });
+  }
+}
@@ -0,0 +1,74 @@
+// api/intake/meta/refresh.js
+//
+// POST /api/intake/meta/refresh
+// Drops the cached Jira metadata (issue types, create fields, field catalogue,
+// API user) for JIRA_PROJECT_KEY, in memory and in orky_jira_meta_cache, then
+// reloads the Epic / Story metadata so the next intake starts warm. ?warm=0 skips the reload.
+// Use after changing field configuration or screens in Jira.
+//
+// Auth:
+//   Authorization: Bearer <API key> (or x-orky-key) with scope intake:write
+//   (see api/_lib/api_keys.js)
+//
+// Note: other warm function instances keep their in-memory copy until
+// JIRA_META_TTL_MS expires.
+
+import { requireApiKey } from "../../_lib/api_keys.js";
+import { enforceRateLimit } from "../../_lib/rate_limit.js";
+import { getCreateFields, getFieldCatalogue, getIssueTypes, getMyAccountId, invalidateJiraMeta } from "../../_lib/jira_meta.js";
+
+function mustEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing env var: ${name}`);
+  return v;
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ ok: false, error: "Use POST" });
+    }
+
+    const client = await requireApiKey(req, "intake:write");
+    await enforceRateLimit(res, client.clientName, "intake");
+
+    const jira = {
+      baseUrl: mustEnv("JIRA_BASE_URL"),
+      email: mustEnv("JIRA_EMAIL"),
+      apiToken: mustEnv("JIRA_API_TOKEN"),
+      projectKey: mustEnv("JIRA_PROJECT_KEY"),
+    };
+
+    const cleared = await invalidateJiraMeta(jira);
+
+    if (req.query?.warm === "0") {
+      return res.status(200).json({ ok: true, projectKey: jira.projectKey, cleared, warmed: null });
+    }
+
+    const issueTypes = await getIssueTypes(jira);
+    const epicFields = await getCreateFields(jira, "Epic");
+    const storyFields = await getCreateFields(jira, "Story");
+    const catalogue = await getFieldCatalogue(jira);
+    await getMyAccountId(jira);
+
+    return res.status(200).json({
+      ok: true,
+      projectKey: jira.projectKey,
+      cleared,
+      warmed: {
+        issueTypes: issueTypes.map((t) => t.name),
+        epicFields: Object.keys(epicFields).length,
+        storyFields: Object.keys(storyFields).length,
+        catalogueFields: catalogue.length,
+      },
+    });
+  } catch (e) {
+    const status = e?.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: e?.message || "Unknown error",
+      details: e?.details || null,
+    });
+  }
+}
@@ -0,0 +1,22 @@
+// api/intake/schema.js
+//
+// GET /api/intake/schema
+// Publishes the JSON Schema (draft-07) that /api/intake, /api/intake/batch and
+// /api/add-story validate request bodies against. Public: no auth, no Jira.
+//
+// Entry points are under $defs: BatchPayload, EpicPayload, StoryPayload.
+
+import { INTAKE_SCHEMA } from "../_lib/intake_schema.js";
+
+export default async function handler(req, res) {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+
+  if (req.method !== "GET") {
+    res.setHeader("Allow", "GET");
+    return res.status(405).json({ ok: false, error: "Use GET" });
+  }
+
+  res.setHeader("Content-Type", "application/schema+json");
+  res.setHeader("Cache-Control", "public, max-age=300");
+  return res.status(200).send(JSON.stringify(INTAKE_SCHEMA, null, 2));
+}
@@ -0,0 +1,73 @@
+// api/keys.js
+//
+// API key management (see api/_lib/api_keys.js).
+//
+// GET    /api/keys             -> { ok, keys: [{ id, client_name, key_prefix, scopes, expires_at, revoked_at, created_at }] }
+// POST   /api/keys             -> 201 { ok, apiKey: { ..., key } }   (the plaintext key is only returned here)
+//        { "clientName": "pde-sync", "scopes": ["intake:write"], "expiresAt": "2027-01-01T00:00:00Z" }
+// DELETE /api/keys?id=<uuid>   -> { ok, revoked: { id, client_name, key_prefix, revoked_at } }
+//
+// Auth: ORKY_API_KEY only (x-orky-key or Authorization: Bearer); client keys
+// cannot manage keys, whatever their scopes. Creating and revoking a key is
+// audited (orky_audit_log, tool "orky", action "create_api_key" / "revoke_api_key").
+
+import { API_SCOPES, INTERNAL_CLIENT, createApiKey, listApiKeys, requireApiKey, revokeApiKey } from "./_lib/api_keys.js";
+import { audited, auditClient } from "./_lib/audit.js";
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function requireInternal(req) {
+  const client = await requireApiKey(req, API_SCOPES);
+  if (client.clientName !== INTERNAL_CLIENT) {
+    const e = new Error("Only ORKY_API_KEY can manage API keys.");
+    e.statusCode = 403;
+    throw e;
+  }
+}
+
+export default async function handler(req, res) {
+  try {
+    if (!["GET", "POST", "DELETE"].includes(req.method)) {
+      res.setHeader("Allow", "GET, POST, DELETE");
+      return res.status(405).json({ ok: false, error: "Use GET, POST or DELETE" });
+    }
+
+    await requireInternal(req);
+
+    if (req.method === "GET") {
+      return res.status(200).json({ ok: true, keys: await listApiKeys() });
+    }
+
+    if (req.method === "POST") {
+      const { clientName, scopes, expiresAt } = req.body || {};
+      const apiKey = await audited(
+        {
+          tool: "orky",
+          action: "create_api_key",
+          idempotencyScope: "api_keys",
+          ...auditClient(req),
+          details: { clientName, scopes, expiresAt: expiresAt ?? null },
+        },
+        () => createApiKey({ clientName, scopes, expiresAt: expiresAt ?? null }),
+        (k) => ({ id: k.id, keyPrefix: k.key_prefix })
+      );
+      return res.status(201).json({ ok: true, apiKey });
+    }
+
+    const id = String(req.query?.id || "").trim();
+    if (!UUID.test(id)) return res.status(400).json({ ok: false, error: "Pass ?id=<key uuid>" });
+    const revoked = await audited(
+      { tool: "orky", action: "revoke_api_key", idempotencyScope: "api_keys", idempotencyKey: id, ...auditClient(req) },
+      () => revokeApiKey(id),
+      (r) => ({ clientName: r.client_name, keyPrefix: r.key_prefix })
+    );
+    return res.status(200).json({ ok: true, revoked });
+  } catch (e) {
+    const status = e?.statusCode || 500;
+    return res.status(status).json({
+      ok: false,
+      error: e?.message || "Unknown error",
+      details: e?.details || null,
+    });
+  }
+}
@@ -0,0 +1,15 @@
+create table if not exists orky_pde_issue_map (
+  id bigserial primary key,
+  project_key text not null,
+  pde_type text not null,
+  pde_id text not null,
+  jira_key text not null,
+  content_hash text null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (project_key, pde_type, pde_id),
+  check (pde_type in ('EPIC','STORY'))
+);
+
+create index if not exists ix_orky_pde_issue_map_jira_key
+on orky_pde_issue_map (jira_key);
@@ -0,0 +1,17 @@
+create table if not exists orky_intake_jobs (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'QUEUED',
+  payload jsonb not null,
+  report jsonb null,
+  attempts int not null default 0,
+  locked_by text null,
+  lock_expires_at timestamptz null,
+  last_error text null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  finished_at timestamptz null,
+  check (status in ('QUEUED','RUNNING','SUCCEEDED','FAILED'))
+);
+
+create index if not exists ix_orky_intake_jobs_runnable
+on orky_intake_jobs (status, lock_expires_at);
@@ -0,0 +1,6 @@
+alter table orky_pde_issue_map
+drop constraint if exists orky_pde_issue_map_pde_type_check;
+
+alter table orky_pde_issue_map
+add constraint orky_pde_issue_map_pde_type_check
+check (pde_type in ('EPIC','STORY','SUBTASK'));
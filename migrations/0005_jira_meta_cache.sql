@@ -0,0 +1,9 @@
+create table if not exists orky_jira_meta_cache (
+  cache_key text primary key,
+  value jsonb not null,
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists ix_orky_jira_meta_cache_expires_at
+on orky_jira_meta_cache (expires_at);
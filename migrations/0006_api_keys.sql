@@ -0,0 +1,19 @@
+create table if not exists orky_api_keys (
+  id uuid primary key default gen_random_uuid(),
+  client_name text not null,
+  key_prefix text not null unique,
+  key_hash text not null,
+  scopes text[] not null default '{}',
+  expires_at timestamptz null,
+  revoked_at timestamptz null,
+  created_at timestamptz not null default now(),
+  check (scopes <@ array['intake:write','forge:run','github:pr','runs:admin']::text[])
+);
+
+create index if not exists ix_orky_api_keys_client_name
+on orky_api_keys (client_name);
+
+alter table orky_audit_log add column if not exists client_name text null;
+
+-- API calls are audited whether or not they concern a Jira issue.
+alter table orky_audit_log alter column jira_key drop not null;
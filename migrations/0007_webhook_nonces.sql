@@ -0,0 +1,9 @@
+create table if not exists orky_webhook_nonces (
+  integration text not null,
+  nonce text not null,
+  received_at timestamptz not null default now(),
+  primary key (integration, nonce)
+);
+
+create index if not exists ix_orky_webhook_nonces_received_at
+on orky_webhook_nonces (received_at);
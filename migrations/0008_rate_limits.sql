@@ -0,0 +1,22 @@
+create table if not exists orky_rate_counters (
+  bucket text not null,
+  window_start timestamptz not null,
+  count int not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (bucket, window_start)
+);
+
+create index if not exists ix_orky_rate_counters_window_start
+on orky_rate_counters (window_start);
+
+-- Atomic "add cost, return the new count" for one bucket window.
+create or replace function orky_rate_hit(p_bucket text, p_window_start timestamptz, p_cost int default 1)
+returns int
+language sql
+as $$
+  insert into orky_rate_counters (bucket, window_start, count)
+  values (p_bucket, p_window_start, p_cost)
+  on conflict (bucket, window_start)
+  do update set count = orky_rate_counters.count + excluded.count, updated_at = now()
+  returning count;
+$$;
@@ -0,0 +1,7 @@
+create table if not exists orky_scan_leases (
+  jira_key text primary key,
+  locked_by text null,
+  lock_expires_at timestamptz null,
+  last_outcome text null,
+  updated_at timestamptz not null default now()
+);
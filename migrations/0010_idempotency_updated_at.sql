@@ -0,0 +1,2 @@
+alter table orky_idempotency_keys
+  add column if not exists updated_at timestamptz not null default now();
@@ -0,0 +1,3 @@
+-- Who the internal client acted for (x-orky-on-behalf-of), e.g. the webhook
+-- integration or cron that triggered a scanner PR.
+alter table orky_audit_log add column if not exists on_behalf_of text null;
@@ -0,0 +1,2 @@
+-- The API client that enqueued the job; only it (or the internal client) may read it.
+alter table orky_intake_jobs add column if not exists client_name text null;
@@ -0,0 +1,15 @@
+import { RequestHandler } from "express";
+import { requireApiKey } from "../../api/_lib/api_keys.js";
+
+// Same API keys and scopes as the Vercel routes (api/_lib/api_keys.js);
+// the client is left on req.apiClient.
+export function requireScope(...scopes: string[]): RequestHandler {
+  return async (req, res, next) => {
+    try {
+      await requireApiKey(req, scopes);
+      next();
+    } catch (e: any) {
+      res.status(e.statusCode ?? 500).json({ error: e.message ?? String(e) });
+    }
+  };
+}
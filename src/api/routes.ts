@@ -1,10 +1,11 @@
 import { Express } from "express";
 import { createRun, setRunCursor, getRun } from "../db/queries";
+import { requireScope } from "./auth";
 
 export function registerRoutes(app: Express) {
   app.get("/health", (_req, res) => res.json({ ok: true }));
 
-  app.post("/runs", async (req, res) => {
+  app.post("/runs", requireScope("runs:admin"), async (req, res) => {
     try {
       const jira_key = String(req.body?.jira_key ?? "").trim();
       if (!jira_key) return res.status(400).json({ error: "jira_key required" });
@@ -16,7 +17,7 @@ export function registerRoutes(app: Express) {
     }
   });
 
-  app.post("/runs/:id/start", async (req, res) => {
+  app.post("/runs/:id/start", requireScope("runs:admin"), async (req, res) => {
     try {
       const id = req.params.id;
       const run = await getRun(id);
@@ -28,7 +29,7 @@ export function registerRoutes(app: Express) {
     }
   });
 
-  app.post("/runs/:id/cancel", async (req, res) => {
+  app.post("/runs/:id/cancel", requireScope("runs:admin"), async (req, res) => {
     try {
       const id = req.params.id;
       const run = await getRun(id);
@@ -0,0 +1,102 @@
+// test/adf.test.js
+//
+// Markdown <-> ADF: what markdownToAdf builds, and that adfToMarkdown output
+// parses back to the same document (export and plan diffs rely on it).
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { adfToMarkdown, markdownToAdf } from "../api/_lib/adf.js";
+
+const doc = (...content) => ({ type: "doc", version: 1, content });
+const para = (...content) => ({ type: "paragraph", content });
+const text = (t, ...marks) => {
+  const node = { type: "text", text: t };
+  if (marks.length > 0) node.marks = marks.map((m) => (typeof m === "string" ? { type: m } : m));
+  return node;
+};
+const link = (href) => ({ type: "link", attrs: { href } });
+
+function assertRoundTrip(adf) {
+  const markdown = adfToMarkdown(adf);
+  assert.deepEqual(markdownToAdf(markdown), adf, `via ${JSON.stringify(markdown)}`);
+  return markdown;
+}
+
+describe("markdownToAdf", () => {
+  test("nests emphasis inside bold", () => {
+    assert.deepEqual(
+      markdownToAdf("**bold *nested* text**"),
+      doc(para(text("bold ", "strong"), text("nested", "strong", "em"), text(" text", "strong")))
+    );
+  });
+
+  test("leaves snake_case and __init__ literal", () => {
+    assert.deepEqual(markdownToAdf("call __init__ on my_var_name"), doc(para(text("call __init__ on my_var_name"))));
+  });
+
+  test("reads _emphasis_ at word boundaries", () => {
+    assert.deepEqual(markdownToAdf("an _emphasised_ word"), doc(para(text("an "), text("emphasised", "em"), text(" word"))));
+  });
+
+  test("keeps balanced parentheses in link destinations", () => {
+    assert.deepEqual(
+      markdownToAdf("see [the spec](https://en.wikipedia.org/wiki/A_(b)) now"),
+      doc(para(text("see "), text("the spec", link("https://en.wikipedia.org/wiki/A_(b)")), text(" now")))
+    );
+  });
+
+  test("builds headings, lists, code and tables", () => {
+    const adf = markdownToAdf("# Title\n\n- one\n- two\n\n```js\nx = 1\n```\n\n| a | b |\n| --- | --- |\n| 1 | 2 |");
+    assert.deepEqual(
+      adf.content.map((n) => n.type),
+      ["heading", "bulletList", "codeBlock", "table"]
+    );
+  });
+
+  test("empty input is one empty paragraph", () => {
+    assert.deepEqual(markdownToAdf(""), doc({ type: "paragraph", content: [] }));
+  });
+});
+
+describe("adfToMarkdown round trip", () => {
+  test("a mark shared by sibling nodes is opened once", () => {
+    const md = assertRoundTrip(
+      doc(para(text("bold ", "strong"), text("nested", "strong", "em"), text(" text", "strong")))
+    );
+    assert.equal(md, "**bold _nested_ text**");
+  });
+
+  test("bold and emphasis on the same text", () => {
+    assertRoundTrip(doc(para(text("both", "strong", "em"), text(" then "), text("em ", "em"), text("bold", "em", "strong"))));
+  });
+
+  test("emphasis inside a word", () => {
+    assert.equal(assertRoundTrip(doc(para(text("un"), text("believ", "em"), text("able")))), "un*believ*able");
+  });
+
+  test("whitespace at a mark's edge stays outside the delimiters", () => {
+    assert.equal(
+      adfToMarkdown(doc(para(text("plain"), text(" bold ", "strong"), text("plain")))),
+      "plain **bold** plain"
+    );
+  });
+
+  test("links keep their formatting and parentheses", () => {
+    assertRoundTrip(doc(para(text("read "), text("the ", link("https://e.x/a_(b)")), text("spec", link("https://e.x/a_(b)"), "strong"))));
+  });
+
+  test("literal markup characters are escaped", () => {
+    assertRoundTrip(doc(para(text("2 * 3 = _x_, ~~not struck~~, [not a link] and __init__"))));
+  });
+
+  test("inline code, strike and hard breaks", () => {
+    assertRoundTrip(doc(para(text("run "), text("npm test", "code"), { type: "hardBreak" }, text("gone", "strike"))));
+  });
+
+  test("block structure", () => {
+    const markdown = "## Scope\n\n1. first\n2. second\n   - nested\n\n> quoted\n\n---\n\n```sql\nselect 1;\n```";
+    const adf = markdownToAdf(markdown);
+    assert.equal(adfToMarkdown(adf), markdown);
+    assertRoundTrip(adf);
+  });
+});
@@ -0,0 +1,163 @@
+// test/api_keys.test.js
+//
+// requireApiKey: the internal key, missing / unknown / revoked / expired keys,
+// scope checks and x-orky-on-behalf-of. Stored keys are served by a stand-in for the PostgREST
+// endpoint behind orky_api_keys (global fetch), so the real Supabase client runs.
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { afterEach, beforeEach, describe, test } from "node:test";
+
+const INTERNAL_KEY = "internal-test-key";
+const rows = new Map(); // key_prefix -> orky_api_keys row
+let storeDown = false;
+let storeCalls = 0;
+
+globalThis.fetch = async (url) => {
+  storeCalls++;
+  const u = new URL(url);
+  if (storeDown) {
+    return new Response(JSON.stringify({ message: "connection refused", code: "XX000" }), { status: 503 });
+  }
+  const prefix = String(u.searchParams.get("key_prefix") || "").replace(/^eq\./, "");
+  const row = rows.get(prefix);
+  return new Response(JSON.stringify(row ? [row] : []), {
+    status: 200,
+    headers: { "content-type": "application/json" },
+  });
+};
+
+const { API_SCOPES, INTERNAL_CLIENT, ON_BEHALF_OF_HEADER, presentedApiKey, requireApiKey } = await import("../api/_lib/api_keys.js");
+
+function storeKey({ clientName = "acme", scopes = ["intake:write"], expiresAt = null, revokedAt = null } = {}) {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  const key = `orky_${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+  rows.set(prefix, {
+    id: `id-${prefix}`,
+    client_name: clientName,
+    key_hash: crypto.createHash("sha256").update(key, "utf8").digest("hex"),
+    scopes,
+    expires_at: expiresAt,
+    revoked_at: revokedAt,
+  });
+  return key;
+}
+
+function request(key, via = "x-orky-key") {
+  if (!key) return { headers: {} };
+  return via === "bearer" ? { headers: { authorization: `Bearer ${key}` } } : { headers: { "x-orky-key": key } };
+}
+
+async function rejects(promise, statusCode, message) {
+  await assert.rejects(promise, (e) => {
+    assert.equal(e.statusCode, statusCode);
+    if (message) assert.match(e.message, message);
+    return true;
+  });
+}
+
+beforeEach(() => {
+  process.env.ORKY_API_KEY = INTERNAL_KEY;
+  process.env.ORKY_SUPABASE_URL = "https://store.test";
+  process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY = "service-role";
+  storeDown = false;
+  storeCalls = 0;
+});
+
+afterEach(() => rows.clear());
+
+describe("presentedApiKey", () => {
+  test("prefers x-orky-key over Authorization", () => {
+    assert.equal(presentedApiKey({ headers: { "x-orky-key": " a ", authorization: "Bearer b" } }), "a");
+  });
+
+  test("reads a Bearer token", () => {
+    assert.equal(presentedApiKey(request("b", "bearer")), "b");
+  });
+
+  test("is empty without either header", () => {
+    assert.equal(presentedApiKey({ headers: { authorization: "Basic abc" } }), "");
+  });
+});
+
+describe("requireApiKey", () => {
+  test("the internal key holds every scope", async () => {
+    const req = request(INTERNAL_KEY, "bearer");
+    const client = await requireApiKey(req, API_SCOPES);
+    assert.deepEqual(client, { keyId: null, clientName: INTERNAL_CLIENT, scopes: API_SCOPES, onBehalfOf: null });
+    assert.equal(req.apiClient, client);
+    assert.equal(storeCalls, 0);
+  });
+
+  test("the internal key may act on behalf of a trigger", async () => {
+    const req = request(INTERNAL_KEY);
+    req.headers[ON_BEHALF_OF_HEADER] = " webhook:jira ";
+    assert.equal((await requireApiKey(req, "github:pr")).onBehalfOf, "webhook:jira");
+  });
+
+  test("a client key sending x-orky-on-behalf-of is 403", async () => {
+    const req = request(storeKey({ scopes: ["github:pr"] }));
+    req.headers[ON_BEHALF_OF_HEADER] = "webhook:jira";
+    await rejects(requireApiKey(req, "github:pr"), 403, /ORKY_API_KEY/);
+  });
+
+  test("a request without a key is 401", async () => {
+    await rejects(requireApiKey(request(""), "intake:write"), 401, /Unauthorized/);
+  });
+
+  test("a stored key with the scope is accepted", async () => {
+    const key = storeKey({ clientName: "acme", scopes: ["intake:write", "forge:run"] });
+    const client = await requireApiKey(request(key), "intake:write");
+    assert.equal(client.clientName, "acme");
+    assert.deepEqual(client.scopes, ["intake:write", "forge:run"]);
+  });
+
+  test("a stored key without the scope is 403 and names what is missing", async () => {
+    const key = storeKey({ scopes: ["forge:run"] });
+    await assert.rejects(requireApiKey(request(key), ["forge:run", "github:pr"]), (e) => {
+      assert.equal(e.statusCode, 403);
+      assert.match(e.message, /github:pr/);
+      assert.deepEqual(e.details, { required: ["forge:run", "github:pr"], granted: ["forge:run"] });
+      return true;
+    });
+  });
+
+  test("a revoked key is 401", async () => {
+    const key = storeKey({ revokedAt: new Date(Date.now() - 1000).toISOString() });
+    await rejects(requireApiKey(request(key), "intake:write"), 401, /revoked/);
+  });
+
+  test("an expired key is 401", async () => {
+    const key = storeKey({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+    await rejects(requireApiKey(request(key), "intake:write"), 401, /expired/);
+  });
+
+  test("a key that expires later is accepted", async () => {
+    const key = storeKey({ expiresAt: new Date(Date.now() + 60_000).toISOString() });
+    assert.equal((await requireApiKey(request(key), "intake:write")).clientName, "acme");
+  });
+
+  test("a known prefix with the wrong secret is 401", async () => {
+    const key = storeKey();
+    const forged = `${key.slice(0, key.lastIndexOf("_") + 1)}${"x".repeat(43)}`;
+    await rejects(requireApiKey(request(forged), "intake:write"), 401, /^Unauthorized$/);
+  });
+
+  test("a malformed key is 401 without a store lookup", async () => {
+    await rejects(requireApiKey(request("not-a-key"), "intake:write"), 401);
+    assert.equal(storeCalls, 0);
+  });
+
+  test("without Supabase only the internal key works", async () => {
+    const key = storeKey();
+    delete process.env.ORKY_SUPABASE_URL;
+    await rejects(requireApiKey(request(key), "intake:write"), 401);
+    assert.equal((await requireApiKey(request(INTERNAL_KEY), "runs:admin")).clientName, INTERNAL_CLIENT);
+  });
+
+  test("an unreachable key store is 503", async () => {
+    const key = storeKey();
+    storeDown = true;
+    await rejects(requireApiKey(request(key), "intake:write"), 503, /unavailable/);
+  });
+});
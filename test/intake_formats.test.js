@@ -0,0 +1,176 @@
+// test/intake_formats.test.js
+//
+// CSV parsing (RFC 4180 quoting, line numbers), rows grouped into epics with
+// their parseErrors, batch options from the query string and readIntakeBody for
+// each format.
+
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { describe, test } from "node:test";
+import { csvOptionsFromQuery, csvToEpics, parseCsv, readIntakeBody } from "../api/_lib/intake_formats.js";
+
+function streamRequest(text, headers, query = {}) {
+  return Object.assign(Readable.from([Buffer.from(text)]), { headers, query });
+}
+
+describe("parseCsv", () => {
+  test("quoted cells keep delimiters, doubled quotes and newlines", () => {
+    const { records, error } = parseCsv('a,b\n"x, y","say ""hi"""\n"multi\nline",z\n');
+    assert.equal(error, null);
+    assert.deepEqual(records, [
+      { line: 1, cells: ["a", "b"] },
+      { line: 2, cells: ["x, y", 'say "hi"'] },
+      { line: 3, cells: ["multi\nline", "z"] },
+    ]);
+  });
+
+  test("detects ; and tab delimiters, CRLF and a BOM", () => {
+    assert.deepEqual(parseCsv("\uFEFFa;b\r\n1;2\r\n").records.map((r) => r.cells), [["a", "b"], ["1", "2"]]);
+    assert.deepEqual(parseCsv("a\tb\n1\t2").records.map((r) => r.cells), [["a", "b"], ["1", "2"]]);
+  });
+
+  test("an unterminated quote is reported at the record's line", () => {
+    const { records, error } = parseCsv('a,b\n1,2\n3,"open\nstill open');
+    assert.equal(records.length, 2);
+    assert.deepEqual(error, { row: 3, error: "Unterminated quoted cell starting on line 3" });
+  });
+});
+
+describe("csvToEpics", () => {
+  test("groups rows by epic ID and maps columns and fields", () => {
+    const csv = [
+      "Epic ID,Epic Summary,Story ID,Story Summary,Acceptance Criteria,fields.labels,epic.fields.priority",
+      'E-1,Checkout,S-1,Pay by card,"- charged\n- receipt",web  api,{"name":"High"}',
+      "E-1,,S-2,Pay by invoice,,,",
+      "E-2,Search,,,,,",
+    ].join("\n");
+    const { epics, parseErrors } = csvToEpics(csv);
+
+    assert.deepEqual(parseErrors, []);
+    assert.deepEqual(epics, [
+      {
+        PDEEpicID: "E-1",
+        summary: "Checkout",
+        fields: { priority: { name: "High" } },
+        stories: [
+          {
+            summary: "Pay by card",
+            PDEStoryID: "S-1",
+            PDEEpicID: "E-1",
+            acceptanceCriteria: "- charged\n- receipt",
+            fields: { labels: ["web", "api"] },
+          },
+          { summary: "Pay by invoice", PDEStoryID: "S-2", PDEEpicID: "E-1" },
+        ],
+      },
+      { PDEEpicID: "E-2", summary: "Search", stories: [] },
+    ]);
+  });
+
+  test("groups by epic summary when there is no ID column", () => {
+    const { epics } = csvToEpics("Epic,Title\nCheckout,One\nCheckout,Two\nSearch,Three");
+    assert.deepEqual(
+      epics.map((e) => [e.summary, e.stories.map((s) => s.summary)]),
+      [
+        ["Checkout", ["One", "Two"]],
+        ["Search", ["Three"]],
+      ]
+    );
+  });
+
+  test("bad rows are skipped and reported by line", () => {
+    const csv = [
+      "Epic ID,Epic Summary,Story Summary,Story Description",
+      "E-1,Checkout,Pay,",
+      ",,Orphan,",
+      "E-1,,,only a description",
+      '"E-1",Checkout,"Too",many,cells',
+      "E-3,,Nameless epic,",
+    ].join("\n");
+    const { epics, parseErrors } = csvToEpics(csv);
+
+    assert.deepEqual(epics.map((e) => e.PDEEpicID), ["E-1"]);
+    assert.deepEqual(parseErrors, [
+      { row: 3, error: "Missing Epic ID and Epic Summary" },
+      { row: 4, error: "Story row is missing Story Summary" },
+      { row: 5, error: "Row has 5 cells but the header has 4" },
+      { row: 6, error: "Epic E-3 has no Epic Summary" },
+    ]);
+  });
+
+  test("a header without an epic column is refused", () => {
+    assert.deepEqual(csvToEpics("Story Summary\nPay").parseErrors, [
+      { row: 1, error: "CSV needs an Epic ID or Epic Summary column" },
+    ]);
+    assert.deepEqual(csvToEpics("").parseErrors, [{ row: 1, error: "CSV has no header row" }]);
+  });
+});
+
+describe("csvOptionsFromQuery", () => {
+  test("reads every batch option and ignores other parameters", () => {
+    const planHash = "a".repeat(64);
+    assert.deepEqual(
+      csvOptionsFromQuery({
+        format: "csv",
+        dryRun: "1",
+        async: "false",
+        atomic: "TRUE",
+        plan: "0",
+        apply: planHash,
+        concurrency: "4",
+        defaultAssignee: ["true", "false"],
+        createVersions: "1",
+      }),
+      {
+        dryRun: true,
+        async: false,
+        atomic: true,
+        plan: false,
+        apply: planHash,
+        concurrency: 4,
+        defaultAssignee: true,
+        createVersions: true,
+      }
+    );
+  });
+
+  test("passes values it cannot read through for validation to report", () => {
+    assert.deepEqual(csvOptionsFromQuery({ dryRun: "yes", concurrency: "many" }), { dryRun: "yes", concurrency: "many" });
+    assert.deepEqual(csvOptionsFromQuery(), {});
+  });
+});
+
+describe("readIntakeBody", () => {
+  test("a CSV stream becomes a batch with the query's options", async () => {
+    const req = streamRequest("Epic,Story\nCheckout,Pay\n,Orphan", { "content-type": "text/csv; charset=utf-8" }, { atomic: "1" });
+    const { format, body, parseErrors } = await readIntakeBody(req);
+    assert.equal(format, "csv");
+    assert.deepEqual(body, { epics: [{ summary: "Checkout", stories: [{ summary: "Pay" }] }], options: { atomic: true } });
+    assert.deepEqual(parseErrors, [{ row: 3, error: "Missing Epic ID and Epic Summary" }]);
+  });
+
+  test("a CSV without epics is a 400 carrying its parseErrors", async () => {
+    await assert.rejects(readIntakeBody(streamRequest("Story\nPay", { "content-type": "text/csv" })), (e) => {
+      assert.equal(e.statusCode, 400);
+      assert.equal(e.details.parseErrors.length, 1);
+      return true;
+    });
+  });
+
+  test("YAML, with a top-level list read as epics", async () => {
+    const req = streamRequest("- summary: Checkout\n  stories:\n    - summary: Pay\n", { "content-type": "application/yaml" });
+    assert.deepEqual((await readIntakeBody(req)).body, { epics: [{ summary: "Checkout", stories: [{ summary: "Pay" }] }] });
+  });
+
+  test("JSON from the runtime's body, parsed or not", async () => {
+    assert.deepEqual((await readIntakeBody({ headers: {}, body: { epics: [] } })).body, { epics: [] });
+    assert.deepEqual((await readIntakeBody({ headers: {}, body: '{"summary":"E"}' })).body, { summary: "E" });
+    await assert.rejects(readIntakeBody({ headers: {}, body: "{nope" }), (e) => e.statusCode === 400);
+  });
+
+  test("?format=yaml on a body the runtime already parsed stays JSON", async () => {
+    const { format, body } = await readIntakeBody({ headers: {}, query: { format: "yaml" }, body: { summary: "E" } });
+    assert.equal(format, "json");
+    assert.deepEqual(body, { summary: "E" });
+  });
+});
@@ -0,0 +1,133 @@
+// test/intake_plan.test.js
+//
+// buildPlan against a stand-in Jira (global fetch): item actions, the Markdown
+// compare of ADF fields, orphans found through the paged search and what moves
+// the planHash.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { markdownToAdf } from "../api/_lib/adf.js";
+import { loadBatchContext } from "../api/_lib/intake_batch.js";
+import { buildPlan } from "../api/_lib/intake_plan.js";
+
+let issues; // key -> { fields, parent? }
+let searches;
+
+const FIELDS = ["summary", "description", "parent", "labels"].map((fieldId) => ({ fieldId, name: fieldId, required: fieldId === "summary" }));
+
+function json(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+}
+
+// Jira hands ADF back with localIds on its nodes.
+function asStored(adf) {
+  return JSON.parse(JSON.stringify(adf), (k, v) =>
+    v && typeof v === "object" && !Array.isArray(v) && v.type && v.type !== "text" && k !== "marks"
+      ? { ...v, attrs: { ...v.attrs, localId: "0f1e" } }
+      : v
+  );
+}
+
+globalThis.fetch = async (url) => {
+  const u = new URL(url);
+  const p = u.pathname;
+  if (p === "/rest/api/3/myself") return json(200, { accountId: "me" });
+  if (p === "/rest/api/3/field") return json(200, FIELDS.map((f) => ({ id: f.fieldId, name: f.name })));
+  if (p === "/rest/api/3/issue/createmeta/ORKY/issuetypes") {
+    return json(200, { issueTypes: [{ id: "1", name: "Epic" }, { id: "2", name: "Story" }], total: 2 });
+  }
+  if (p.startsWith("/rest/api/3/issue/createmeta/ORKY/issuetypes/")) return json(200, { fields: FIELDS, total: FIELDS.length });
+
+  if (p === "/rest/api/3/search/jql") {
+    // One child per page, so the plan has to follow nextPageToken.
+    const parent = /parent = "(.+)"/.exec(u.searchParams.get("jql"))[1];
+    const children = [...issues].filter(([, it]) => it.parent === parent);
+    const at = Number(u.searchParams.get("nextPageToken") || 0);
+    searches.push(at);
+    const page = children.slice(at, at + 1).map(([key, it]) => ({ key, fields: { summary: it.fields.summary, issuetype: { name: "Story" } } }));
+    return json(200, { issues: page, ...(at + 1 < children.length ? { nextPageToken: String(at + 1) } : { isLast: true }) });
+  }
+  const m = /^\/rest\/api\/3\/issue\/([^/]+)$/.exec(p);
+  if (m && issues.has(m[1])) {
+    const { fields, parent } = issues.get(m[1]);
+    return json(200, { key: m[1], fields: parent ? { ...fields, parent: { key: parent, id: "10001" } } : fields });
+  }
+  return json(404, { errorMessages: [`unexpected GET ${p}`] });
+};
+
+const jira = { baseUrl: "https://jira.test", email: "e", apiToken: "t", projectKey: "ORKY" };
+
+beforeEach(() => {
+  delete process.env.ORKY_SUPABASE_URL;
+  delete process.env.JIRA_FIELD_PDE_EPIC_ID;
+  delete process.env.JIRA_FIELD_PDE_STORY_ID;
+  searches = [];
+  issues = new Map([
+    ["ORKY-1", { fields: { summary: "Checkout", description: asStored(markdownToAdf("Pay **fast**, see [docs](https://e.x/a_(b))")) } }],
+    ["ORKY-2", { parent: "ORKY-1", fields: { summary: "Pay by card", labels: ["web", "api"] } }],
+    ["ORKY-3", { parent: "ORKY-1", fields: { summary: "Old story" } }],
+  ]);
+});
+
+const payload = () => [
+  {
+    key: "ORKY-1",
+    summary: "Checkout",
+    description: "Pay **fast**, see [docs](https://e.x/a_(b))",
+    stories: [
+      { key: "ORKY-2", summary: "Pay by card", fields: { labels: ["api", "web"] } },
+      { summary: "Pay by invoice" },
+    ],
+  },
+];
+
+describe("buildPlan", () => {
+  test("matching issues are noop, new ones create and unmentioned children orphans", async () => {
+    const plan = await buildPlan(await loadBatchContext(jira), payload());
+
+    assert.deepEqual(
+      plan.items.map((it) => [it.ref, it.key, it.action]),
+      [
+        ["/epics/0", "ORKY-1", "noop"],
+        ["/epics/0/stories/0", "ORKY-2", "noop"],
+        ["/epics/0/stories/1", null, "create"],
+        [null, "ORKY-3", "orphan"],
+      ]
+    );
+    assert.deepEqual(plan.totals, { create: 1, update: 0, noop: 2, orphan: 1, error: 0 });
+    assert.deepEqual(searches, [0, 1], "both pages of children were read");
+  });
+
+  test("a description is compared as Markdown and reported as such", async () => {
+    const epics = payload();
+    epics[0].description = "Pay *fast*";
+    const plan = await buildPlan(await loadBatchContext(jira), epics);
+
+    assert.equal(plan.items[0].action, "update");
+    assert.deepEqual(plan.items[0].changes, [
+      { field: "description", from: "Pay **fast**, see [docs](https://e.x/a_(b))", to: "Pay _fast_" },
+    ]);
+  });
+
+  test("a plain-text value matches the ADF intake would send for it", async () => {
+    issues.get("ORKY-1").fields.description = "Pay **fast**, see [docs](https://e.x/a_(b))";
+    const plan = await buildPlan(await loadBatchContext(jira), payload());
+    assert.equal(plan.items[0].action, "noop");
+  });
+
+  test("planHash is stable and moves when Jira or the payload changes", async () => {
+    const ctx = await loadBatchContext(jira);
+    const first = await buildPlan(ctx, payload());
+    assert.match(first.planHash, /^[0-9a-f]{64}$/);
+    assert.equal((await buildPlan(ctx, payload())).planHash, first.planHash);
+
+    issues.get("ORKY-2").fields.summary = "Pay by credit card";
+    const jiraChanged = await buildPlan(ctx, payload());
+    assert.notEqual(jiraChanged.planHash, first.planHash);
+    assert.deepEqual(jiraChanged.items[1].changes, [{ field: "summary", from: "Pay by credit card", to: "Pay by card" }]);
+
+    const epics = payload();
+    epics[0].stories[1].summary = "Pay later";
+    assert.notEqual((await buildPlan(ctx, epics)).planHash, jiraChanged.planHash);
+  });
+});
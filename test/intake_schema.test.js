@@ -0,0 +1,84 @@
+// test/intake_schema.test.js
+//
+// Intake payload validation (violations with JSON-pointer paths), mode
+// selection and the legacy alias rewrite.
+
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+import { intakeKindOf, normalizeIntakePayload, validateIntakePayload } from "../api/_lib/intake_schema.js";
+
+describe("validateIntakePayload", () => {
+  test("accepts a batch with canonical and legacy keys", () => {
+    const body = {
+      epics: [
+        { summary: "Checkout", stories: [{ summary: "Pay by card", acceptanceCriteria: ["Card is charged"] }] },
+        { epicSummary: "Search", stories: [{ storySummary: "Filter by tag" }] },
+      ],
+      options: { dryRun: true, concurrency: 2 },
+    };
+    assert.deepEqual(validateIntakePayload(body, "batch"), []);
+  });
+
+  test("reports every violation at once, by path", () => {
+    const body = { epics: [{ stories: [{}] }], options: { concurrency: 99, bogus: 1 } };
+    const violations = validateIntakePayload(body, "batch");
+    assert.deepEqual(
+      violations.map((v) => [v.path, v.keyword]),
+      [
+        ["/epics/0/summary", "required"],
+        ["/epics/0/stories/0/summary", "required"],
+        ["/options/bogus", "additionalProperties"],
+        ["/options/concurrency", "maximum"],
+      ]
+    );
+    assert.match(violations[0].message, /epicSummary/);
+  });
+
+  test("a story needs its epicKey", () => {
+    assert.deepEqual(validateIntakePayload({ summary: "Pay by card" }, "story"), [
+      { path: "/epicKey", message: "is required", keyword: "required" },
+    ]);
+  });
+
+  test("a single epic may carry batch options", () => {
+    const epic = { summary: "Checkout", stories: [{ summary: "Pay by card" }], options: { dryRun: true } };
+    assert.deepEqual(validateIntakePayload(epic, "epic"), []);
+    assert.deepEqual(normalizeIntakePayload(epic, "epic").options, { dryRun: true });
+    assert.deepEqual(
+      validateIntakePayload({ summary: "Checkout", options: { bogus: 1 } }, "epic").map((v) => [v.path, v.keyword]),
+      [["/options/bogus", "additionalProperties"]]
+    );
+  });
+
+  test("batch epics do not take options", () => {
+    const violations = validateIntakePayload({ epics: [{ summary: "Checkout", options: {} }] }, "batch");
+    assert.deepEqual(violations.map((v) => [v.path, v.keyword]), [["/epics/0/options", "additionalProperties"]]);
+  });
+
+  test("throws for an unknown kind", () => {
+    assert.throws(() => validateIntakePayload({}, "task"), /Unknown intake payload kind/);
+  });
+});
+
+describe("intakeKindOf", () => {
+  test("picks the mode the way /api/intake does", () => {
+    assert.equal(intakeKindOf({ epics: [] }), "batch");
+    assert.equal(intakeKindOf({ epicKey: "ORKY-1", summary: "s" }), "story");
+    assert.equal(intakeKindOf({ summary: "e" }), "epic");
+  });
+});
+
+describe("normalizeIntakePayload", () => {
+  test("rewrites legacy aliases to summary / description", () => {
+    const body = {
+      epics: [{ epicSummary: "E", epicDescription: "ed", stories: [{ storySummary: "S", storyDescription: "sd" }] }],
+    };
+    assert.deepEqual(normalizeIntakePayload(body, "batch"), {
+      epics: [{ summary: "E", description: "ed", stories: [{ summary: "S", description: "sd" }] }],
+    });
+  });
+
+  test("the canonical key wins over an alias", () => {
+    assert.equal(normalizeIntakePayload({ epicKey: "ORKY-1", summary: "new", title: "old" }, "story").summary, "new");
+  });
+});
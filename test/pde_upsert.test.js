@@ -0,0 +1,230 @@
+// test/pde_upsert.test.js
+//
+// upsertIssueByPdeId against a stand-in Jira (global fetch): the create / update /
+// unchanged decision and the re-check after a failed create. The fields-hash
+// tests also stand in for the PostgREST endpoint behind orky_pde_issue_map.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { upsertIssueByPdeId } from "../api/_lib/pde_upsert.js";
+
+const PDE_FIELD = "customfield_10100";
+let calls;
+let issues; // key -> fields
+let createReplies; // statuses for the next POST /issue calls; then 201
+let mapRows; // orky_pde_issue_map
+
+const MAP_COLUMNS = ["project_key", "pde_type", "pde_id", "jira_key"];
+
+function mapStore(u, init) {
+  const method = init.method || "GET";
+  const filters = MAP_COLUMNS.filter((c) => u.searchParams.has(c)).map((c) => [c, u.searchParams.get(c).replace(/^eq\./, "")]);
+  const matches = (row) => filters.every(([c, v]) => row[c] === v);
+
+  if (method === "POST") {
+    const rows = [].concat(JSON.parse(init.body));
+    for (const row of rows) {
+      mapRows = mapRows.filter((r) => !["project_key", "pde_type", "pde_id"].every((c) => r[c] === row[c]));
+      mapRows.push(row);
+    }
+    return new Response(null, { status: 201 });
+  }
+  if (method === "DELETE") {
+    mapRows = mapRows.filter((r) => !matches(r));
+    return new Response(null, { status: 204 });
+  }
+  return json(200, mapRows.filter(matches));
+}
+
+function json(status, body) {
+  return new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { "content-type": "application/json" },
+  });
+}
+
+globalThis.fetch = async (url, init = {}) => {
+  const u = new URL(url);
+  const method = init.method || "GET";
+  if (u.origin === "https://store.test") return mapStore(u, init);
+  calls.push(`${method} ${u.pathname}`);
+
+  if (method === "POST" && u.pathname === "/rest/api/3/issue") {
+    const key = `ORKY-${issues.size + 1}`;
+    issues.set(key, JSON.parse(init.body).fields);
+    const status = createReplies.shift() ?? 201;
+    // A gateway error after Jira committed the create: the issue exists anyway.
+    return status === 201 ? json(201, { id: "1", key, self: `${u.origin}/rest/api/3/issue/${key}` }) : json(status, {});
+  }
+  if (method === "GET" && u.pathname === "/rest/api/3/search/jql") {
+    const wanted = /~ "\\"(.+)\\""/.exec(u.searchParams.get("jql"))[1];
+    const found = [...issues].filter(([, f]) => f[PDE_FIELD] === wanted);
+    return json(200, { issues: found.map(([key, fields]) => ({ key, fields })), isLast: true });
+  }
+  const m = /^\/rest\/api\/3\/issue\/([^/]+)$/.exec(u.pathname);
+  if (m && method === "PUT") {
+    Object.assign(issues.get(m[1]), JSON.parse(init.body).fields);
+    return new Response(null, { status: 204 });
+  }
+  if (m && method === "GET") return issues.has(m[1]) ? json(200, { key: m[1] }) : json(404, {});
+  return json(404, { errorMessages: [`unexpected ${method} ${u.pathname}`] });
+};
+
+const jira = (extra = {}) => ({ baseUrl: "https://jira.test", email: "e", apiToken: "t", projectKey: "ORKY", ...extra });
+const storyFields = (summary, pdeId = "S-1") => ({
+  project: { key: "ORKY" },
+  issuetype: { name: "Story" },
+  summary,
+  ...(pdeId ? { [PDE_FIELD]: pdeId } : {}),
+});
+
+beforeEach(() => {
+  delete process.env.ORKY_SUPABASE_URL;
+  process.env.JIRA_FIELD_PDE_STORY_ID = PDE_FIELD;
+  process.env.JIRA_RETRY_BASE_MS = "1";
+  calls = [];
+  issues = new Map();
+  createReplies = [];
+  mapRows = [];
+});
+
+describe("upsertIssueByPdeId", () => {
+  test("creates a new issue, then updates the one carrying the same PDE ID", async () => {
+    const created = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") });
+    assert.equal(created.action, "created");
+    assert.equal(created.key, "ORKY-1");
+
+    const updated = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v2") });
+    assert.deepEqual(updated, { key: "ORKY-1", self: "https://jira.test/rest/api/3/issue/ORKY-1", action: "updated" });
+    assert.equal(issues.size, 1);
+    assert.equal(issues.get("ORKY-1").summary, "v2");
+  });
+
+  test("a create that failed with 503 after Jira committed it is found, not repeated", async () => {
+    createReplies = [503];
+    const retries = [];
+    const result = await upsertIssueByPdeId(jira({ onRetry: (r) => retries.push(r) }), {
+      issueType: "Story",
+      pdeId: "S-1",
+      fields: storyFields("v1"),
+    });
+
+    assert.equal(result.action, "created");
+    assert.equal(result.key, "ORKY-1");
+    assert.equal(issues.size, 1);
+    assert.equal(calls.filter((c) => c === "POST /rest/api/3/issue").length, 1);
+    assert.equal(retries.length, 1);
+    assert.equal(retries[0].status, 503);
+    assert.equal(retries[0].path, "/rest/api/3/issue");
+    assert.ok(retries[0].delayMs >= 0 && retries[0].delayMs <= 1, "full jitter within the base delay");
+  });
+
+  test("a create that failed before reaching Jira is sent again", async () => {
+    createReplies = [502];
+    let lost = true;
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      // The first POST never lands: drop the issue it would have created.
+      const res = await realFetch(url, init);
+      if (lost && init?.method === "POST") {
+        lost = false;
+        issues.clear();
+      }
+      return res;
+    };
+    try {
+      const result = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") });
+      assert.equal(result.action, "created");
+      assert.equal(calls.filter((c) => c === "POST /rest/api/3/issue").length, 2);
+      assert.equal(issues.size, 1);
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+  });
+
+  test("a failed create is not retried when the PDE ID cannot be looked up", async () => {
+    delete process.env.JIRA_FIELD_PDE_STORY_ID;
+    createReplies = [504];
+    await assert.rejects(
+      upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") }),
+      (e) => e.statusCode === 504
+    );
+    assert.deepEqual(calls, ["POST /rest/api/3/issue"]);
+  });
+
+  test("a rejected create (400) is not retried", async () => {
+    createReplies = [400];
+    await assert.rejects(
+      upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") }),
+      (e) => e.statusCode === 400
+    );
+    assert.equal(calls.filter((c) => c === "POST /rest/api/3/issue").length, 1);
+  });
+
+  test("dry runs report the would-be action without writing", async () => {
+    const result = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1"), dryRun: true });
+    assert.equal(result.action, "created");
+    assert.equal(result.dryRun, true);
+    assert.equal(issues.size, 0);
+  });
+});
+
+describe("upsertIssueByPdeId with the PDE map", () => {
+  beforeEach(() => {
+    process.env.ORKY_SUPABASE_URL = "https://store.test";
+    process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY = "service-role";
+  });
+
+  test("the same fields again are unchanged, by PDE ID or by key", async () => {
+    const created = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") });
+    assert.equal(mapRows.length, 1);
+    assert.equal(mapRows[0].jira_key, created.key);
+
+    const again = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") });
+    assert.equal(again.action, "unchanged");
+
+    const byKey = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", key: created.key, fields: storyFields("v1") });
+    assert.equal(byKey.action, "unchanged");
+    assert.equal(calls.filter((c) => c.startsWith("PUT")).length, 0);
+  });
+
+  test("an item with only a key compares against the hash stored for that key", async () => {
+    const created = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") });
+    const fields = storyFields("v1", null);
+    const first = await upsertIssueByPdeId(jira(), { issueType: "Story", key: created.key, fields });
+    assert.equal(first.action, "updated");
+    assert.equal(mapRows[0].pde_id, "S-1", "the key's row keeps its PDE ID");
+
+    const second = await upsertIssueByPdeId(jira(), { issueType: "Story", key: created.key, fields });
+    assert.equal(second.action, "unchanged");
+  });
+
+  test("changed fields on the key path are written", async () => {
+    const created = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") });
+    const result = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", key: created.key, fields: storyFields("v2") });
+    assert.equal(result.action, "updated");
+    assert.equal(issues.get(created.key).summary, "v2");
+  });
+
+  test("a failed create already recorded in the map is found with a GET", async () => {
+    createReplies = [503];
+    const realFetch = globalThis.fetch;
+    globalThis.fetch = async (url, init) => {
+      const res = await realFetch(url, init);
+      // Another worker recorded the issue the lost POST created.
+      if (init?.method === "POST" && String(url).endsWith("/rest/api/3/issue") && res.status === 503) {
+        mapRows.push({ project_key: "ORKY", pde_type: "STORY", pde_id: "S-1", jira_key: "ORKY-1", content_hash: null });
+      }
+      return res;
+    };
+    try {
+      const result = await upsertIssueByPdeId(jira(), { issueType: "Story", pdeId: "S-1", fields: storyFields("v1") });
+      assert.equal(result.key, "ORKY-1");
+      assert.ok(calls.includes("GET /rest/api/3/issue/ORKY-1"));
+      // Only the lookup before the create searched; the re-check stopped at the map.
+      assert.equal(calls.filter((c) => c === "GET /rest/api/3/search/jql").length, 1);
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+  });
+});
@@ -0,0 +1,137 @@
+// test/rate_limit.test.js
+//
+// Limits per client and family (defaults, ORKY_RATE_LIMITS overrides, the
+// internal client's own budget), the 429s they produce and the PR cap. Runs on
+// the in-memory counters (no Supabase) with a fixed clock.
+
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, mock, test } from "node:test";
+import { INTERNAL_CLIENT } from "../api/_lib/api_keys.js";
+import { enforcePrCap, enforceRateLimit, limitsFor, prCapFor } from "../api/_lib/rate_limit.js";
+
+const NOW = Date.UTC(2026, 0, 15, 12, 0, 30);
+let clientSeq = 0;
+
+function response() {
+  const headers = {};
+  return { headers, setHeader: (name, value) => (headers[name] = value) };
+}
+
+async function rejects429(promise, message) {
+  await assert.rejects(promise, (e) => {
+    assert.equal(e.statusCode, 429);
+    assert.match(e.message, message);
+    return true;
+  });
+}
+
+beforeEach(() => {
+  delete process.env.ORKY_SUPABASE_URL;
+  delete process.env.ORKY_RATE_LIMITS;
+  delete process.env.ORKY_PR_DAILY_CAP;
+  delete process.env.ORKY_PR_DAILY_CAPS;
+  mock.timers.enable({ apis: ["Date"], now: NOW });
+});
+
+afterEach(() => mock.timers.reset());
+
+// Counters outlive a test, so each test counts under a fresh client name.
+const freshClient = () => `client-${++clientSeq}`;
+
+describe("limitsFor", () => {
+  test("uses the family defaults", () => {
+    assert.deepEqual(limitsFor("acme", "forge"), { perMinute: 5, perDay: 100 });
+  });
+
+  test("applies default then per-client overrides", () => {
+    process.env.ORKY_RATE_LIMITS = JSON.stringify({
+      default: { forge: { perMinute: 2 } },
+      clients: { acme: { forge: { perDay: null } } },
+    });
+    assert.deepEqual(limitsFor("acme", "forge"), { perMinute: 2, perDay: null });
+    assert.deepEqual(limitsFor("other", "forge"), { perMinute: 2, perDay: 100 });
+  });
+
+  test("the internal client has its own budget, untouched by default", () => {
+    process.env.ORKY_RATE_LIMITS = JSON.stringify({ default: { github: { perMinute: 1 } } });
+    assert.deepEqual(limitsFor(INTERNAL_CLIENT, "github"), { perMinute: 30, perDay: 200 });
+
+    process.env.ORKY_RATE_LIMITS = JSON.stringify({ clients: { [INTERNAL_CLIENT]: { github: { perMinute: 3 } } } });
+    assert.deepEqual(limitsFor(INTERNAL_CLIENT, "github"), { perMinute: 3, perDay: 200 });
+  });
+
+  test("rejects invalid ORKY_RATE_LIMITS", () => {
+    process.env.ORKY_RATE_LIMITS = "{nope";
+    assert.throws(() => limitsFor("acme", "intake"), /ORKY_RATE_LIMITS must be valid JSON/);
+  });
+});
+
+describe("enforceRateLimit", () => {
+  test("sets minute and day headers", async () => {
+    const res = response();
+    await enforceRateLimit(res, freshClient(), "forge");
+    assert.equal(res.headers["X-RateLimit-Limit"], "5");
+    assert.equal(res.headers["X-RateLimit-Remaining"], "4");
+    assert.equal(res.headers["X-RateLimit-Reset"], String(Math.ceil((NOW - (NOW % 60000) + 60000) / 1000)));
+    assert.equal(res.headers["X-Quota-Limit"], "100");
+    assert.equal(res.headers["X-Quota-Remaining"], "99");
+  });
+
+  test("refuses past the minute limit with Retry-After, then resets", async () => {
+    const client = freshClient();
+    process.env.ORKY_RATE_LIMITS = JSON.stringify({ clients: { [client]: { forge: { perMinute: 2 } } } });
+    await enforceRateLimit(response(), client, "forge");
+    await enforceRateLimit(response(), client, "forge");
+
+    const res = response();
+    await assert.rejects(enforceRateLimit(res, client, "forge"), (e) => {
+      assert.equal(e.statusCode, 429);
+      assert.match(e.message, /2 forge requests per minute/);
+      assert.deepEqual(e.details, { family: "forge", window: "minute", limit: 2, used: 3, retryAfter: 30 });
+      return true;
+    });
+    assert.equal(res.headers["Retry-After"], "30");
+
+    mock.timers.setTime(NOW + 60_000);
+    await enforceRateLimit(response(), client, "forge");
+  });
+
+  test("refuses past the daily quota", async () => {
+    const client = freshClient();
+    process.env.ORKY_RATE_LIMITS = JSON.stringify({ clients: { [client]: { intake: { perMinute: null, perDay: 1 } } } });
+    await enforceRateLimit(response(), client, "intake");
+    await rejects429(enforceRateLimit(response(), client, "intake"), /Daily quota exceeded: 1 intake/);
+  });
+
+  test("families are counted separately", async () => {
+    const client = freshClient();
+    process.env.ORKY_RATE_LIMITS = JSON.stringify({ clients: { [client]: { forge: { perMinute: 1 } } } });
+    await enforceRateLimit(response(), client, "forge");
+    await enforceRateLimit(response(), client, "github");
+    await rejects429(enforceRateLimit(response(), client, "forge"), /per minute/);
+  });
+
+  test("the internal client is limited too", async () => {
+    process.env.ORKY_RATE_LIMITS = JSON.stringify({ clients: { [INTERNAL_CLIENT]: { github: { perMinute: 1 } } } });
+    const res = response();
+    await enforceRateLimit(res, INTERNAL_CLIENT, "github");
+    assert.equal(res.headers["X-RateLimit-Limit"], "1");
+    await rejects429(enforceRateLimit(response(), INTERNAL_CLIENT, "github"), /1 github requests per minute/);
+  });
+});
+
+describe("enforcePrCap", () => {
+  test("caps PRs per repo per day, per-repo caps first", async () => {
+    process.env.ORKY_PR_DAILY_CAP = "1";
+    process.env.ORKY_PR_DAILY_CAPS = JSON.stringify({ "cap-two": 2 });
+    assert.equal(prCapFor("cap-two"), 2);
+    assert.equal(prCapFor("cap-one"), 1);
+
+    await enforcePrCap(response(), { owner: "o", repo: "cap-one" });
+    await rejects429(enforcePrCap(response(), { owner: "o", repo: "cap-one" }), /Daily PR cap reached for o\/cap-one: 1/);
+
+    await enforcePrCap(response(), { owner: "o", repo: "cap-two" });
+    await enforcePrCap(response(), { owner: "o", repo: "cap-two" });
+    await rejects429(enforcePrCap(response(), { owner: "o", repo: "cap-two" }), /cap-two: 2/);
+  });
+});
@@ -0,0 +1,147 @@
+// test/ready_rules.test.js
+//
+// Definition-of-Ready rules: what each rule type reports for a story, and the
+// rule files readyRulesFor refuses (written to a temp dir via READY_RULES_PATH).
+
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, test } from "node:test";
+import { markdownToAdf } from "../api/_lib/adf.js";
+import { evaluateReadyRules, readyRulesFor, ruleFieldIds } from "../api/_lib/ready_rules.js";
+
+const story = (extra = {}) => ({
+  summary: "Pay by card at checkout",
+  description: "Card payments",
+  acceptanceCriteria: "- card is charged",
+  labels: ["Web"],
+  components: ["Payments"],
+  issueType: "Story",
+  fields: {},
+  ...extra,
+});
+
+describe("evaluateReadyRules", () => {
+  test("a story meeting every rule passes", () => {
+    const rules = [
+      { id: "summary", type: "min_length", field: "summary", min: 8 },
+      { id: "ac", type: "required_field", field: "acceptanceCriteria" },
+      { id: "web", type: "required_labels", labels: ["web"] },
+      { id: "blocked", type: "blocking_labels", labels: ["blocked"] },
+      { id: "types", type: "issue_types", allowed: ["story", "Bug"] },
+      { id: "component", type: "required_components", components: ["payments", "search"] },
+      { id: "no-todo", type: "regex", field: "description", pattern: "TODO", mustMatch: false },
+    ];
+    assert.deepEqual(evaluateReadyRules(rules, story()), []);
+  });
+
+  test("each failing rule is reported with its id and message", () => {
+    const rules = [
+      { id: "summary", type: "min_length", field: "summary", min: 30 },
+      { id: "desc", type: "required_field", field: "description", message: "Missing Description" },
+      { id: "labels", type: "required_labels", labels: ["web", "api", "mobile"] },
+      { id: "blocked", type: "blocking_labels", labels: ["needs-info"] },
+      { id: "types", type: "issue_types", allowed: ["Bug"] },
+      { id: "any-component", type: "required_components", components: [] },
+      { id: "ticket", type: "regex", field: "summary", pattern: "^[A-Z]+-\\d+" },
+    ];
+    const failures = evaluateReadyRules(rules, story({ description: "", labels: ["web", "Needs-Info"], components: [] }));
+    assert.deepEqual(failures, [
+      { id: "summary", message: "summary is shorter than 30 characters" },
+      { id: "desc", message: "Missing Description" },
+      { id: "labels", message: "Missing required label: api, mobile" },
+      { id: "blocked", message: "Blocking label: Needs-Info" },
+      { id: "types", message: 'Issue type "Story" is not one of: Bug' },
+      { id: "any-component", message: "Missing component" },
+      { id: "ticket", message: "summary does not match /^[A-Z]+-\\d+/" },
+    ]);
+  });
+
+  test("rules on other Jira fields read text, options, users and ADF", () => {
+    const rules = [
+      { id: "points", type: "required_field", field: "customfield_1" },
+      { id: "team", type: "regex", field: "customfield_2", pattern: "^platform$", flags: "i" },
+      { id: "owner", type: "required_field", field: "customfield_3" },
+      { id: "notes", type: "regex", field: "customfield_4", pattern: "\\*\\*risk\\*\\*" },
+    ];
+    const fields = {
+      customfield_1: 3,
+      customfield_2: { value: "Platform" },
+      customfield_3: [{ displayName: "Ada" }],
+      customfield_4: markdownToAdf("**risk** noted"),
+    };
+    assert.deepEqual(evaluateReadyRules(rules, story({ fields })), []);
+    assert.deepEqual(evaluateReadyRules(rules, story()).map((f) => f.id), ["points", "team", "owner", "notes"]);
+    assert.deepEqual(ruleFieldIds([...rules, { id: "s", type: "required_field", field: "summary" }]), [
+      "customfield_1",
+      "customfield_2",
+      "customfield_3",
+      "customfield_4",
+    ]);
+  });
+});
+
+describe("readyRulesFor", () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), "ready-rules-"));
+  });
+
+  after(async () => {
+    delete process.env.READY_RULES_PATH;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  async function rulesFile(name, yaml) {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, yaml);
+    process.env.READY_RULES_PATH = file;
+    return file;
+  }
+
+  async function rejects(yaml, problem) {
+    const file = await rulesFile(`bad-${Math.random().toString(36).slice(2)}.yaml`, yaml);
+    await assert.rejects(readyRulesFor("ORKY"), (e) => {
+      assert.equal(e.statusCode, 500);
+      assert.ok(e.message.startsWith(`Invalid ready rules in ${file}: `), e.message);
+      assert.ok(e.details.some((d) => d.includes(problem)), JSON.stringify(e.details));
+      return true;
+    });
+  }
+
+  // A valid file is cached for the instance, so the refusals run first.
+  test("refuses an unknown rule type", () =>
+    rejects("version: 1\ndefault:\n  rules:\n    - { id: a, type: vibes }\n", 'default.rules[0] has unknown type "vibes"'));
+
+  test("refuses a rule missing its parameters", () =>
+    rejects("version: 1\ndefault:\n  rules:\n    - { id: a, type: min_length, field: summary }\n", "default.rules[0] must have required property 'min'"));
+
+  test("refuses repeated ids and bad patterns in a project's rules", async () => {
+    const yaml = [
+      "version: 1",
+      "default: { rules: [] }",
+      "projects:",
+      "  WEB:",
+      "    rules:",
+      "      - { id: a, type: regex, field: summary, pattern: '(' }",
+      "      - { id: a, type: required_field, field: summary }",
+    ].join("\n");
+    await rejects(yaml, "projects.WEB.rules[0] has a bad pattern");
+    await rejects(yaml, 'projects.WEB.rules[1] repeats id "a"');
+  });
+
+  test("refuses a file without version", () => rejects("default: { rules: [] }\n", "must have required property 'version'"));
+
+  test("applies a project's own rules, else the default", async () => {
+    await rulesFile(
+      "good.yaml",
+      "version: 7\ndefault:\n  rules:\n    - { id: d, type: required_field, field: summary }\nprojects:\n  WEB:\n    rules: []\n"
+    );
+    assert.deepEqual(await readyRulesFor("WEB"), { version: 7, project: "WEB", rules: [] });
+    const fallback = await readyRulesFor("ORKY");
+    assert.equal(fallback.project, "default");
+    assert.deepEqual(fallback.rules.map((r) => r.id), ["d"]);
+  });
+});
@@ -0,0 +1,116 @@
+// test/repo_routing.test.js
+//
+// resolveTargetRepo: labels, mapped components and the repo field each name a
+// repo; none, several or an unreachable one is a target-repo failure. The GitHub
+// App is a generated key against a stand-in api.github.com (global fetch).
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { before, beforeEach, describe, test } from "node:test";
+import { resolveTargetRepo } from "../api/_lib/repo_routing.js";
+
+const REPO_FIELD = "customfield_10200";
+let repoListings = 0;
+
+before(() => {
+  const { privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  Object.assign(process.env, {
+    GH_APP_ID: "1",
+    GH_APP_INSTALLATION_ID: "2",
+    GH_APP_PRIVATE_KEY: privateKey.export({ type: "pkcs1", format: "pem" }),
+    GH_OWNER: "orky",
+  });
+
+  globalThis.fetch = async (url) => {
+    const href = String(url);
+    const { pathname } = new URL(href);
+    // Octokit's paginator reads response.url, which a real fetch sets.
+    const reply = (status, body) =>
+      Object.defineProperty(new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } }), "url", {
+        value: href,
+      });
+    if (pathname === "/app/installations/2/access_tokens") {
+      return reply(201, { token: "ghs_test", expires_at: new Date(Date.now() + 3600_000).toISOString() });
+    }
+    if (pathname === "/installation/repositories") {
+      repoListings++;
+      const repo = (owner, name) => ({ name, owner: { login: owner } });
+      return reply(200, {
+        total_count: 3,
+        repositories: [repo("orky", "orky-service"), repo("Orky", "ohh-web"), repo("someone-else", "fork")],
+      });
+    }
+    return reply(404, { message: `unexpected ${pathname}` });
+  };
+});
+
+beforeEach(() => {
+  process.env.JIRA_COMPONENT_REPOS = JSON.stringify({ Web: "ohh-web", API: "orky-service" });
+  process.env.JIRA_TARGET_REPO_FIELD_ID = REPO_FIELD;
+  delete process.env.DEFAULT_TARGET_REPO;
+});
+
+describe("resolveTargetRepo", () => {
+  test("no repo named is a failure that says how to name one", async () => {
+    assert.deepEqual(await resolveTargetRepo({ labels: ["web"], components: [{ name: "Docs" }] }), {
+      failure: {
+        id: "target-repo",
+        message: `No target repo: add a repo:<name> label, a mapped component or set ${REPO_FIELD}`,
+      },
+    });
+
+    delete process.env.JIRA_COMPONENT_REPOS;
+    delete process.env.JIRA_TARGET_REPO_FIELD_ID;
+    assert.equal((await resolveTargetRepo({})).failure.message, "No target repo: add a repo:<name> label");
+  });
+
+  test("several repos are a failure listing each with its sources", async () => {
+    const result = await resolveTargetRepo({
+      labels: ["repo:ohh-web"],
+      components: [{ name: "web" }, { name: "API" }],
+      [REPO_FIELD]: [{ value: "docs-site" }],
+    });
+    assert.deepEqual(result, {
+      failure: {
+        id: "target-repo",
+        message:
+          "Story maps to 3 repos, keep exactly one: ohh-web (label repo:ohh-web, component web); " +
+          `orky-service (component API); docs-site (field ${REPO_FIELD})`,
+      },
+    });
+  });
+
+  test("sources naming the same repo agree, in any case", async () => {
+    const result = await resolveTargetRepo({
+      labels: ["Repo:OHH-Web"],
+      components: [{ name: "Web" }],
+      [REPO_FIELD]: { value: "ohh-web" },
+    });
+    assert.deepEqual(result, {
+      repo: "ohh-web",
+      sources: ["label Repo:OHH-Web", "component Web", `field ${REPO_FIELD}`],
+    });
+  });
+
+  test("DEFAULT_TARGET_REPO only applies when nothing names a repo", async () => {
+    process.env.DEFAULT_TARGET_REPO = "orky-service";
+    assert.deepEqual(await resolveTargetRepo({}), { repo: "orky-service", sources: ["DEFAULT_TARGET_REPO"] });
+    assert.equal((await resolveTargetRepo({ labels: ["repo:ohh-web"] })).repo, "ohh-web");
+  });
+
+  test("a repo the installation cannot reach is a failure", async () => {
+    const result = await resolveTargetRepo({ labels: ["repo:fork"] });
+    assert.deepEqual(result, {
+      failure: {
+        id: "target-repo",
+        message: 'Repo "fork" (label repo:fork) is not reachable by the GitHub App; allowed: orky-service, ohh-web',
+      },
+    });
+    assert.equal(repoListings, 1, "the installation's repos are listed once and cached");
+  });
+
+  test("a bad JIRA_COMPONENT_REPOS throws", async () => {
+    process.env.JIRA_COMPONENT_REPOS = "{nope";
+    await assert.rejects(resolveTargetRepo({ components: [{ name: "Web" }] }), /JIRA_COMPONENT_REPOS must be a JSON object/);
+  });
+});
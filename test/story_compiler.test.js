@@ -0,0 +1,95 @@
+// test/story_compiler.test.js
+//
+// Acceptance criteria (from their field or a description heading) split into
+// items, and the CONTEXT_SOURCES_JSON block read out of a description, as text
+// and as ADF.
+
+import assert from "node:assert/strict";
+import { beforeEach, describe, test } from "node:test";
+import { markdownToAdf } from "../api/_lib/adf.js";
+import { acceptanceCriteriaOf, extractContextSources, parseAcceptanceCriteria } from "../api/_lib/story_compiler.js";
+
+beforeEach(() => {
+  delete process.env.JIRA_ACCEPTANCE_CRITERIA_FIELD_ID;
+  delete process.env.JIRA_FIELD_ACCEPTANCE_CRITERIA;
+});
+
+describe("parseAcceptanceCriteria", () => {
+  test("one item per bullet, number or checkbox, with continuation lines joined", () => {
+    const text = "- card is charged\n  once\n* receipt is emailed\n1. order is paid\n2) [x] stock is reserved\n- [ ] refund works";
+    assert.deepEqual(parseAcceptanceCriteria(text), [
+      "card is charged once",
+      "receipt is emailed",
+      "order is paid",
+      "stock is reserved",
+      "refund works",
+    ]);
+  });
+
+  test("without markers, one item per paragraph, else per line", () => {
+    assert.deepEqual(parseAcceptanceCriteria("Card is\ncharged.\n\nReceipt is emailed."), [
+      "Card is charged.",
+      "Receipt is emailed.",
+    ]);
+    assert.deepEqual(parseAcceptanceCriteria("Card is charged\r\nReceipt is emailed\n"), ["Card is charged", "Receipt is emailed"]);
+    assert.deepEqual(parseAcceptanceCriteria(""), []);
+  });
+});
+
+describe("acceptanceCriteriaOf", () => {
+  test("reads the acceptance criteria field, as ADF or text", () => {
+    process.env.JIRA_FIELD_ACCEPTANCE_CRITERIA = "customfield_10300";
+    assert.equal(acceptanceCriteriaOf({ customfield_10300: markdownToAdf("- card is charged\n- receipt") }), "- card is charged\n- receipt");
+    assert.equal(acceptanceCriteriaOf({ customfield_10300: "Given a card" }), "Given a card");
+  });
+
+  test("falls back to an Acceptance Criteria heading in the description", () => {
+    const description = markdownToAdf("Pay by card.\n\n## Acceptance Criteria\n\n- card is charged\n- receipt\n\n## Notes\n\nlater");
+    assert.deepEqual(parseAcceptanceCriteria(acceptanceCriteriaOf({ description })), ["card is charged", "receipt"]);
+
+    const plain = "Pay by card.\nAcceptance criteria:\n- card is charged\nOut of scope\nrefunds";
+    assert.equal(acceptanceCriteriaOf({ description: plain }), "- card is charged");
+    assert.equal(acceptanceCriteriaOf({ description: "No criteria here." }), "");
+  });
+});
+
+describe("extractContextSources", () => {
+  const block = (json) => `Pay by card.\n\n=== CONTEXT_SOURCES_JSON ===\n${json}\n=== /CONTEXT_SOURCES_JSON ===\n\nMore text.`;
+
+  test("reads the block and cuts it from the description", () => {
+    const json = JSON.stringify([
+      { title: "Checkout spec", location: "https://docs.test/checkout", excerpt: "Cards only" },
+      { name: "Schema", path: "db/schema.sql", quote: "create table orders" },
+      "https://docs.test/faq",
+      { excerpt: "no title or location" },
+    ]);
+    assert.deepEqual(extractContextSources(block(json)), {
+      description: "Pay by card.\n\nMore text.",
+      contextSources: [
+        { title: "Checkout spec", location: "https://docs.test/checkout", excerpt: "Cards only" },
+        { title: "Schema", location: "db/schema.sql", excerpt: "create table orders" },
+        { title: "https://docs.test/faq", location: "https://docs.test/faq", excerpt: "" },
+      ],
+    });
+  });
+
+  test("reads the block from ADF, fenced and wrapped in { contextSources }", () => {
+    const json = '{ "contextSources": [{ "title": "snake_case_spec", "url": "https://docs.test/a_(b)" }] }';
+    const description = markdownToAdf(`Pay by card.\n\n=== CONTEXT_SOURCES_JSON ===\n\n\`\`\`json\n${json}\n\`\`\`\n\n=== /CONTEXT_SOURCES_JSON ===`);
+    const result = extractContextSources(description);
+    assert.equal(result.description, "Pay by card.");
+    assert.deepEqual(result.contextSources, [{ title: "snake_case_spec", location: "https://docs.test/a_(b)", excerpt: "" }]);
+  });
+
+  test("bad JSON is reported and the block still cut", () => {
+    const result = extractContextSources(block("[{ nope"));
+    assert.equal(result.description, "Pay by card.\n\nMore text.");
+    assert.deepEqual(result.contextSources, []);
+    assert.match(result.error, /^CONTEXT_SOURCES_JSON is not valid JSON: /);
+  });
+
+  test("a description without a block is returned as Markdown", () => {
+    assert.deepEqual(extractContextSources(markdownToAdf("Pay **by** card")), { description: "Pay **by** card", contextSources: [] });
+    assert.deepEqual(extractContextSources(null), { description: "", contextSources: [] });
+  });
+});
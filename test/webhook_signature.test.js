@@ -0,0 +1,205 @@
+// test/webhook_signature.test.js
+//
+// verifyWebhookSignature for both header schemes (Orky and native Jira webhooks),
+// with nonces in the in-memory store (no Supabase), plus readRawBody
+// (api/_lib/raw_body.js) on the requests they verify.
+
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { PassThrough, Readable } from "node:stream";
+import { before, describe, test } from "node:test";
+import { readRawBody } from "../api/_lib/raw_body.js";
+import { verifyWebhookSignature, webhookSecrets } from "../api/_lib/webhook_signature.js";
+
+const secrets = { automation: "automation-secret", "jira-webhook": "jira-secret" };
+
+before(() => {
+  delete process.env.ORKY_SUPABASE_URL;
+  delete process.env.ORKY_SUPABASE_SERVICE_ROLE_KEY;
+});
+
+function hmac(secret, data) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(data).digest("hex")}`;
+}
+
+function orkyRequest(body, { secret = secrets.automation, ts = Math.floor(Date.now() / 1000), nonce, integration } = {}) {
+  const raw = Buffer.from(body, "utf8");
+  const headers = {
+    "x-orky-timestamp": String(ts),
+    "x-orky-nonce": nonce ?? crypto.randomUUID(),
+    "x-orky-signature": hmac(secret, `${ts}.${body}`),
+  };
+  if (integration) headers["x-orky-integration"] = integration;
+  return { req: { headers }, raw };
+}
+
+function jiraRequest(payload, { secret = secrets["jira-webhook"], id = crypto.randomUUID() } = {}) {
+  const body = JSON.stringify(payload);
+  return {
+    req: { headers: { "x-hub-signature": hmac(secret, body), "x-atlassian-webhook-identifier": id } },
+    raw: Buffer.from(body, "utf8"),
+  };
+}
+
+async function rejects(promise, statusCode, message) {
+  await assert.rejects(promise, (e) => {
+    assert.equal(e.statusCode, statusCode);
+    assert.match(e.message, message);
+    return true;
+  });
+}
+
+describe("verifyWebhookSignature", () => {
+  test("accepts a valid Orky signature and names the integration", async () => {
+    const { req, raw } = orkyRequest('{"jiraKey":"ORKY-1"}');
+    assert.deepEqual(await verifyWebhookSignature(req, raw, { secrets }), { integration: "automation", scheme: "orky" });
+  });
+
+  test("returns null when the request is not signed", async () => {
+    assert.equal(await verifyWebhookSignature({ headers: {} }, Buffer.from("{}"), { secrets }), null);
+  });
+
+  test("returns null when no secrets are configured", async () => {
+    const { req, raw } = orkyRequest("{}");
+    assert.equal(await verifyWebhookSignature(req, raw, { secrets: {} }), null);
+  });
+
+  test("rejects a signature made with another secret", async () => {
+    const { req, raw } = orkyRequest("{}", { secret: "wrong" });
+    await rejects(verifyWebhookSignature(req, raw, { secrets }), 401, /Invalid webhook signature/);
+  });
+
+  test("rejects a body changed after signing", async () => {
+    const { req } = orkyRequest('{"jiraKey":"ORKY-1"}');
+    await rejects(verifyWebhookSignature(req, Buffer.from('{"jiraKey":"ORKY-2"}'), { secrets }), 401, /Invalid/);
+  });
+
+  test("only tries the integration the caller names", async () => {
+    const { req, raw } = orkyRequest("{}", { integration: "jira-webhook" });
+    await rejects(verifyWebhookSignature(req, raw, { secrets }), 401, /Invalid webhook signature/);
+  });
+
+  test("rejects a timestamp outside the tolerance window", async () => {
+    const { req, raw } = orkyRequest("{}", { ts: Math.floor(Date.now() / 1000) - 301 });
+    await rejects(verifyWebhookSignature(req, raw, { secrets, toleranceS: 300 }), 401, /outside the 300s window/);
+  });
+
+  test("rejects a missing nonce", async () => {
+    const { req, raw } = orkyRequest("{}", { nonce: "" });
+    await rejects(verifyWebhookSignature(req, raw, { secrets }), 401, /nonce missing/);
+  });
+
+  test("rejects a replayed nonce", async () => {
+    const first = orkyRequest("{}", { nonce: "once" });
+    await verifyWebhookSignature(first.req, first.raw, { secrets });
+    const again = orkyRequest("{}", { nonce: "once" });
+    await rejects(verifyWebhookSignature(again.req, again.raw, { secrets }), 401, /replay/);
+  });
+
+  test("refuses to verify without the raw body", async () => {
+    const { req } = orkyRequest("{}");
+    await rejects(verifyWebhookSignature(req, null, { secrets }), 400, /Raw request body unavailable/);
+  });
+
+  test("accepts a native Jira webhook, timed by the payload", async () => {
+    const { req, raw } = jiraRequest({ webhookEvent: "jira:issue_updated", timestamp: Date.now() });
+    assert.deepEqual(await verifyWebhookSignature(req, raw, { secrets }), { integration: "jira-webhook", scheme: "jira" });
+  });
+
+  test("rejects a native Jira webhook without a timestamp", async () => {
+    const { req, raw } = jiraRequest({ webhookEvent: "jira:issue_updated" });
+    await rejects(verifyWebhookSignature(req, raw, { secrets }), 401, /timestamp missing/);
+  });
+
+  test("rejects a redelivered Jira webhook identifier", async () => {
+    const payload = { webhookEvent: "jira:issue_updated", timestamp: Date.now() };
+    const first = jiraRequest(payload, { id: "delivery-1" });
+    await verifyWebhookSignature(first.req, first.raw, { secrets });
+    const again = jiraRequest(payload, { id: "delivery-1" });
+    await rejects(verifyWebhookSignature(again.req, again.raw, { secrets }), 401, /replay/);
+  });
+});
+
+describe("webhookSecrets", () => {
+  test("keeps only non-empty string secrets", () => {
+    process.env.TEST_WEBHOOK_SECRETS = '{"a":"s1","b":"","c":3}';
+    assert.deepEqual(webhookSecrets("TEST_WEBHOOK_SECRETS"), { a: "s1" });
+  });
+
+  test("throws on invalid JSON", () => {
+    process.env.TEST_WEBHOOK_SECRETS = "a=s1";
+    assert.throws(() => webhookSecrets("TEST_WEBHOOK_SECRETS"), /must be a JSON object/);
+  });
+});
+
+// What @vercel/node's helpers do before the handler runs: read the body, replay
+// it through req.on, and define req.body as a lazy parser over that copy.
+async function vercelRequest(body, contentType = "application/json") {
+  const req = Readable.from([Buffer.from(body, "utf8")]);
+  req.headers = { "content-type": contentType };
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const copy = Buffer.concat(chunks);
+
+  const replay = new PassThrough();
+  const originalOn = req.on.bind(req);
+  req.on = (name, cb) => (name === "data" || name === "end" ? replay.on(name, cb) : originalOn(name, cb));
+  replay.end(copy);
+
+  let parsed = 0;
+  Object.defineProperty(req, "body", {
+    configurable: true,
+    enumerable: true,
+    get() {
+      parsed++;
+      return JSON.parse(copy.toString("utf8"));
+    },
+  });
+  return { req, parsedCount: () => parsed };
+}
+
+async function withinOneSecond(promise) {
+  const timeout = new Promise((_, reject) => setTimeout(() => reject(new Error("readRawBody hung")), 1000).unref());
+  return Promise.race([promise, timeout]);
+}
+
+describe("readRawBody", () => {
+  test("reads an unread stream", async () => {
+    const req = Readable.from([Buffer.from('{"jiraKey":'), Buffer.from('"ORKY-1"}')]);
+    assert.equal(String(await readRawBody(req)), '{"jiraKey":"ORKY-1"}');
+  });
+
+  test("reads the bytes @vercel/node replays, without parsing req.body", async () => {
+    const sent = '{ "jiraKey" : "ORKY-1" }';
+    const { req, parsedCount } = await vercelRequest(sent);
+    assert.equal(String(await withinOneSecond(readRawBody(req))), sent);
+    assert.equal(parsedCount(), 0);
+  });
+
+  test("returns the same bytes when called twice", async () => {
+    const { req } = await vercelRequest('{"jiraKey":"ORKY-1"}');
+    await readRawBody(req);
+    assert.equal(String(await withinOneSecond(readRawBody(req))), '{"jiraKey":"ORKY-1"}');
+  });
+
+  test("a signed request verifies through the @vercel/node replay", async () => {
+    const body = '{"jiraKey":"ORKY-1"}';
+    const signed = orkyRequest(body);
+    const { req } = await vercelRequest(body);
+    Object.assign(req.headers, signed.req.headers);
+    const raw = await readRawBody(req);
+    assert.equal((await verifyWebhookSignature(req, raw, { secrets })).integration, "automation");
+  });
+
+  test("returns null for a stream that has already ended and left only a parsed body", async () => {
+    const req = Readable.from([Buffer.from("{}")]);
+    for await (const _chunk of req); // drained by someone else
+    req.body = { jiraKey: "ORKY-1" };
+    assert.equal(await withinOneSecond(readRawBody(req)), null);
+  });
+
+  test("uses a string or Buffer body once the stream is gone", async () => {
+    assert.equal(String(await readRawBody({ body: "abc" })), "abc");
+    assert.equal(String(await readRawBody({ rawBody: Buffer.from("xyz"), body: {} })), "xyz");
+  });
+});